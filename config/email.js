@@ -11,6 +11,17 @@ const transporter = nodemailer.createTransport({
   }
 });
 
+/**
+ * Escape user-supplied text for use in email HTML
+ */
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, (char) => ({
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+})[char]);
+
 /**
  * Send verification email
  * @param {string} to - Recipient email
@@ -32,7 +43,7 @@ const sendVerificationEmail = async (to, token) => {
       <p>If you did not request this registration, please ignore this email.</p>
     `
   };
-
+  
   try {
     const info = await transporter.sendMail(mailOptions);
     console.log('Email sent: ' + info.response);
@@ -64,7 +75,7 @@ const sendPasswordResetEmail = async (to, token) => {
       <p>If you did not request this password reset, please ignore this email.</p>
     `
   };
-
+  
   try {
     const info = await transporter.sendMail(mailOptions);
     console.log('Password reset email sent: ' + info.response);
@@ -75,7 +86,277 @@ const sendPasswordResetEmail = async (to, token) => {
   }
 };
 
+/**
+ * Send login confirmation email when the session limit is reached, or when
+ * the login comes from a network flagged for credential stuffing
+ * @param {string} to - Recipient email
+ * @param {string} token - Login confirmation token
+ * @param {string} [reason] - 'session_limit' or 'credential_stuffing'
+ * @returns {Promise} - Email send result
+ */
+const sendLoginConfirmationEmail = async (to, token, reason = 'session_limit') => {
+  const confirmLink = `${process.env.FRONTEND_URL}/confirm-login?token=${token}`;
+  const explanation = reason === 'credential_stuffing'
+    ? '<p>Someone signed in to your account from a network we have seen unusual login activity from.</p>\n      <p>If this was you, click the link below to continue.</p>'
+    : '<p>Someone signed in to your account while you already have the maximum number of active sessions.</p>\n      <p>If this was you, click the link below to continue. Your oldest session will be signed out.</p>';
+  
+  const mailOptions = {
+    from: process.env.EMAIL_USER,
+    to,
+    subject: 'Confirm New Login',
+    html: `
+      <h1>Confirm New Login</h1>
+      ${explanation}
+      <a href="${confirmLink}">Confirm Login</a>
+      <p>This link will expire in 15 minutes.</p>
+      <p>If this was not you, please ignore this email and consider changing your password.</p>
+    `
+  };
+  
+  try {
+    const info = await transporter.sendMail(mailOptions);
+    console.log('Login confirmation email sent: ' + info.response);
+    return info;
+  } catch (error) {
+    console.error('Error sending login confirmation email:', error);
+    throw error;
+  }
+};
+
+/**
+ * Send magic-link sign-in email
+ * @param {string} to - Recipient email
+ * @param {string} token - Magic-link token
+ * @returns {Promise} - Email send result
+ */
+const sendMagicLinkEmail = async (to, token) => {
+  const magicLink = `${process.env.FRONTEND_URL}/magic-link?token=${token}`;
+  
+  const mailOptions = {
+    from: process.env.EMAIL_USER,
+    to,
+    subject: 'Your Sign-in Link',
+    html: `
+      <h1>Sign In</h1>
+      <p>Click the link below to sign in to your account. The link can only be used once.</p>
+      <a href="${magicLink}">Sign In</a>
+      <p>This link will expire in ${parseInt(process.env.MAGIC_LINK_EXPIRY) || 15} minutes.</p>
+      <p>If you did not request this link, please ignore this email.</p>
+    `
+  };
+  
+  try {
+    const info = await transporter.sendMail(mailOptions);
+    console.log('Magic link email sent: ' + info.response);
+    return info;
+  } catch (error) {
+    console.error('Error sending magic link email:', error);
+    throw error;
+  }
+};
+
+/**
+ * Send organization invitation email
+ * @param {string} to - Recipient email
+ * @param {string} organizationName - Name of the inviting organization
+ * @param {string} token - Invitation token
+ * @returns {Promise} - Email send result
+ */
+const sendInvitationEmail = async (to, organizationName, token) => {
+  const inviteLink = `${process.env.FRONTEND_URL}/invitations/accept?token=${token}`;
+  const name = escapeHtml(organizationName);
+  
+  const mailOptions = {
+    from: process.env.EMAIL_USER,
+    to,
+    subject: `You have been invited to join ${organizationName}`,
+    html: `
+      <h1>Organization Invitation</h1>
+      <p>You have been invited to join <strong>${name}</strong>. Sign in or create an account with this email address, then click the link below to accept.</p>
+      <a href="${inviteLink}">Accept Invitation</a>
+      <p>This invitation will expire in ${parseInt(process.env.INVITATION_EXPIRY_DAYS) || 7} days.</p>
+      <p>If you were not expecting this invitation, please ignore this email.</p>
+    `
+  };
+  
+  try {
+    const info = await transporter.sendMail(mailOptions);
+    console.log('Invitation email sent: ' + info.response);
+    return info;
+  } catch (error) {
+    console.error('Error sending invitation email:', error);
+    throw error;
+  }
+};
+
+/**
+ * Send account unlock email after a hard lock
+ * @param {string} to - Recipient email
+ * @param {string} token - Unlock token
+ * @returns {Promise} - Email send result
+ */
+const sendAccountUnlockEmail = async (to, token) => {
+  const unlockLink = `${process.env.FRONTEND_URL}/unlock-account?token=${token}`;
+  
+  const mailOptions = {
+    from: process.env.EMAIL_USER,
+    to,
+    subject: 'Your Account Has Been Locked',
+    html: `
+      <h1>Account Locked</h1>
+      <p>Your account was locked after too many failed login attempts.</p>
+      <p>If this was you, click the link below to unlock your account:</p>
+      <a href="${unlockLink}">Unlock Account</a>
+      <p>This link will expire in ${parseInt(process.env.UNLOCK_TOKEN_EXPIRY) || 24} hours.</p>
+      <p>If this was not you, someone may be trying to guess your password. Consider resetting it after unlocking.</p>
+    `
+  };
+  
+  try {
+    const info = await transporter.sendMail(mailOptions);
+    console.log('Account unlock email sent: ' + info.response);
+    return info;
+  } catch (error) {
+    console.error('Error sending account unlock email:', error);
+    throw error;
+  }
+};
+
+/**
+ * Send notification that the account password was changed
+ * @param {string} to - Recipient email
+ * @returns {Promise} - Email send result
+ */
+const sendPasswordChangedEmail = async (to) => {
+  const resetLink = `${process.env.FRONTEND_URL}/forgot-password`;
+  
+  const mailOptions = {
+    from: process.env.EMAIL_USER,
+    to,
+    subject: 'Your Password Was Changed',
+    html: `
+      <h1>Password Changed</h1>
+      <p>The password for your account was just changed, and your other devices have been signed out.</p>
+      <p>If this was you, no further action is needed.</p>
+      <p>If this was not you, reset your password right away:</p>
+      <a href="${resetLink}">Reset Password</a>
+    `
+  };
+  
+  try {
+    const info = await transporter.sendMail(mailOptions);
+    console.log('Password changed email sent: ' + info.response);
+    return info;
+  } catch (error) {
+    console.error('Error sending password changed email:', error);
+    throw error;
+  }
+};
+
+/**
+ * Send email change confirmation link to the new address
+ * @param {string} to - New email address
+ * @param {string} token - Email change token
+ * @returns {Promise} - Email send result
+ */
+const sendEmailChangeConfirmationEmail = async (to, token) => {
+  const confirmLink = `${process.env.FRONTEND_URL}/confirm-email-change?token=${token}`;
+  
+  const mailOptions = {
+    from: process.env.EMAIL_USER,
+    to,
+    subject: 'Confirm Your New Email Address',
+    html: `
+      <h1>Confirm Email Change</h1>
+      <p>You asked to use this address for your account. Click the link below to confirm:</p>
+      <a href="${confirmLink}">Confirm Email Address</a>
+      <p>This link will expire in ${parseInt(process.env.EMAIL_CHANGE_TOKEN_EXPIRY) || 24} hours.</p>
+      <p>If you did not request this change, please ignore this email.</p>
+    `
+  };
+  
+  try {
+    const info = await transporter.sendMail(mailOptions);
+    console.log('Email change confirmation sent: ' + info.response);
+    return info;
+  } catch (error) {
+    console.error('Error sending email change confirmation:', error);
+    throw error;
+  }
+};
+
+/**
+ * Send alert with a revert link to the address being replaced
+ * @param {string} to - Current email address
+ * @param {string} newEmail - Requested new address
+ * @param {string} token - Email revert token
+ * @returns {Promise} - Email send result
+ */
+const sendEmailChangeAlertEmail = async (to, newEmail, token) => {
+  const revertLink = `${process.env.FRONTEND_URL}/revert-email-change?token=${token}`;
+  
+  const mailOptions = {
+    from: process.env.EMAIL_USER,
+    to,
+    subject: 'Your Account Email Is Being Changed',
+    html: `
+      <h1>Email Change Requested</h1>
+      <p>Someone asked to change the email address of your account to <strong>${escapeHtml(newEmail)}</strong>. The change takes effect once the new address is confirmed.</p>
+      <p>If this was you, no further action is needed.</p>
+      <p>If this was not you, click the link below to keep this address and sign out all devices:</p>
+      <a href="${revertLink}">Revert Email Change</a>
+      <p>This link will work for ${parseInt(process.env.EMAIL_REVERT_EXPIRY_DAYS) || 7} days, even after the change is confirmed.</p>
+    `
+  };
+  
+  try {
+    const info = await transporter.sendMail(mailOptions);
+    console.log('Email change alert sent: ' + info.response);
+    return info;
+  } catch (error) {
+    console.error('Error sending email change alert:', error);
+    throw error;
+  }
+};
+
+/**
+ * Send notice that the account is scheduled for deletion
+ * @param {string} to - Recipient email
+ * @param {Date} deletionDate - When the account will be deleted
+ * @returns {Promise} - Email send result
+ */
+const sendAccountDeletionScheduledEmail = async (to, deletionDate) => {
+  const mailOptions = {
+    from: process.env.EMAIL_USER,
+    to,
+    subject: 'Your Account Will Be Deleted',
+    html: `
+      <h1>Account Deletion Scheduled</h1>
+      <p>Your account and its data will be permanently deleted on ${deletionDate.toUTCString()}.</p>
+      <p>Changed your mind? Sign in before then and cancel the deletion from your account settings.</p>
+      <p>If you did not ask for this, sign in, cancel the deletion and change your password.</p>
+    `
+  };
+  
+  try {
+    const info = await transporter.sendMail(mailOptions);
+    console.log('Account deletion email sent: ' + info.response);
+    return info;
+  } catch (error) {
+    console.error('Error sending account deletion email:', error);
+    throw error;
+  }
+};
+
 module.exports = {
   sendVerificationEmail,
-  sendPasswordResetEmail
+  sendPasswordResetEmail,
+  sendLoginConfirmationEmail,
+  sendMagicLinkEmail,
+  sendInvitationEmail,
+  sendAccountUnlockEmail,
+  sendPasswordChangedEmail,
+  sendEmailChangeConfirmationEmail,
+  sendEmailChangeAlertEmail,
+  sendAccountDeletionScheduledEmail
 };
\ No newline at end of file
@@ -0,0 +1,13 @@
+/**
+ * WebAuthn relying party settings
+ * @returns {Object} - { rpID, rpName, origin }
+ */
+const getRelyingParty = () => ({
+  // Domain passkeys are bound to, e.g. example.com
+  rpID: process.env.WEBAUTHN_RP_ID || 'localhost',
+  rpName: process.env.WEBAUTHN_RP_NAME || 'Secure Backend',
+  // Origin of the frontend that runs the ceremonies
+  origin: process.env.WEBAUTHN_ORIGIN || process.env.FRONTEND_URL || 'http://localhost:3000'
+});
+
+module.exports = { getRelyingParty };
@@ -0,0 +1,546 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const AdminAction = require('../models/AdminAction');
+const AuditEvent = require('../models/AuditEvent');
+const { sendPasswordResetEmail } = require('../config/email');
+const { issueToken, revokeTokens } = require('../utils/oneTimeTokens');
+const { removeAllSessions } = require('../utils/sessions');
+const { deleteAccount, getSoleOwnedOrganizations } = require('../utils/accountData');
+const { recordAuditEvent, formatAuditEvent } = require('../utils/auditLog');
+const { getClientIp } = require('../utils/clientIp');
+
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Admin view of a user account
+ */
+const formatUser = (user) => ({
+  id: user._id,
+  email: user.email,
+  isVerified: user.isVerified,
+  roles: user.roles,
+  mfaEnabled: user.mfaEnabled,
+  passkeys: user.webauthnCredentials.length,
+  lockedAt: user.lockedAt,
+  lockReason: user.lockReason,
+  failedLoginAttempts: user.failedLoginAttempts,
+  lockoutUntil: user.lockoutUntil,
+  createdAt: user.createdAt
+});
+
+/**
+ * Record an action taken by the current admin
+ * @param {Object} req - Request (req.user is the admin)
+ * @param {string} action - Action name
+ * @param {Object} target - Target user document
+ * @param {Object} [details] - Action-specific details
+ */
+const recordAdminAction = (req, action, target, details = {}) => {
+  return AdminAction.create({
+    adminId: req.user._id,
+    adminEmail: req.user.email,
+    action,
+    targetUserId: target._id,
+    targetEmail: target.email,
+    details,
+    ip: getClientIp(req)
+  });
+};
+
+/**
+ * Load the user named in req.params.id
+ * @returns {Promise<Object|null>} - User document, or null if not found
+ */
+const findTargetUser = (req) => {
+  const { id } = req.params;
+  return mongoose.isValidObjectId(id) ? User.findById(id) : null;
+};
+
+/**
+ * Parse a date query parameter
+ * @returns {Date|null|undefined} - Date, undefined if absent, null if invalid
+ */
+const parseDate = (value) => {
+  if (value === undefined) return undefined;
+  
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const notFound = (res) => res.status(404).json({
+  success: false,
+  message: 'User not found'
+});
+
+const notOnSelf = (req, res, user) => {
+  if (user._id.equals(req.user._id)) {
+    res.status(400).json({
+      success: false,
+      message: 'You cannot perform this action on your own account'
+    });
+    return true;
+  }
+  
+  return false;
+};
+
+/**
+ * @desc    Search users
+ * @route   GET /api/admin/users?email=&verified=&locked=&createdFrom=&createdTo=&page=&limit=
+ * @access  Private (users:read)
+ */
+const listUsers = async (req, res) => {
+  try {
+    const { email, verified, locked } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), MAX_PAGE_SIZE);
+    const createdFrom = parseDate(req.query.createdFrom);
+    const createdTo = parseDate(req.query.createdTo);
+    
+    if (createdFrom === null || createdTo === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'createdFrom and createdTo must be valid dates'
+      });
+    }
+    
+    const filter = {};
+    
+    if (typeof email === 'string' && email) {
+      filter.email = { $regex: escapeRegex(email.toLowerCase()) };
+    }
+    
+    if (verified === 'true' || verified === 'false') {
+      filter.isVerified = verified === 'true';
+    }
+    
+    if (locked === 'true') {
+      filter.lockedAt = { $ne: null };
+    } else if (locked === 'false') {
+      filter.lockedAt = null;
+    }
+    
+    if (createdFrom || createdTo) {
+      filter.createdAt = {};
+      if (createdFrom) filter.createdAt.$gte = createdFrom;
+      if (createdTo) filter.createdAt.$lte = createdTo;
+    }
+    
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      User.countDocuments(filter)
+    ]);
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        users: users.map(formatUser),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('List users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Get a user with their recent admin history
+ * @route   GET /api/admin/users/:id
+ * @access  Private (users:read)
+ */
+const getUser = async (req, res) => {
+  try {
+    const user = await findTargetUser(req);
+    
+    if (!user) {
+      return notFound(res);
+    }
+    
+    const actions = await AdminAction.find({ targetUserId: user._id })
+      .sort({ createdAt: -1 })
+      .limit(20);
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        user: formatUser(user),
+        actions
+      }
+    });
+  } catch (error) {
+    console.error('Get user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Lock a user out and end their sessions
+ * @route   POST /api/admin/users/:id/lock
+ * @access  Private (users:write)
+ */
+const lockUser = async (req, res) => {
+  try {
+    const user = await findTargetUser(req);
+    
+    if (!user) {
+      return notFound(res);
+    }
+    
+    if (notOnSelf(req, res, user)) return;
+    
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.slice(0, 500) : null;
+    
+    user.lockedAt = new Date();
+    user.lockReason = reason;
+    await user.save();
+    
+    // Admin locks cannot be lifted by the user
+    await revokeTokens(user._id, 'account_unlock');
+    
+    const sessionsRevoked = await removeAllSessions(user._id);
+    await recordAdminAction(req, 'lock', user, { reason, sessionsRevoked });
+    await recordAuditEvent(req, 'account_lock', { user, actorId: req.user._id, details: { reason } });
+    await recordAuditEvent(req, 'session_revoke', {
+      user,
+      actorId: req.user._id,
+      details: { sessionsRevoked }
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: 'User locked',
+      data: {
+        user: formatUser(user)
+      }
+    });
+  } catch (error) {
+    console.error('Lock user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Unlock a user
+ * @route   POST /api/admin/users/:id/unlock
+ * @access  Private (users:write)
+ */
+const unlockUser = async (req, res) => {
+  try {
+    const user = await findTargetUser(req);
+    
+    if (!user) {
+      return notFound(res);
+    }
+    
+    user.lockedAt = null;
+    user.lockReason = null;
+    user.failedLoginAttempts = 0;
+    user.lockoutUntil = null;
+    await user.save();
+    
+    await revokeTokens(user._id, 'account_unlock');
+    
+    await recordAdminAction(req, 'unlock', user);
+    await recordAuditEvent(req, 'account_unlock', { user, actorId: req.user._id });
+    
+    res.status(200).json({
+      success: true,
+      message: 'User unlocked',
+      data: {
+        user: formatUser(user)
+      }
+    });
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Mark a user's email as verified
+ * @route   POST /api/admin/users/:id/verify
+ * @access  Private (users:write)
+ */
+const verifyUser = async (req, res) => {
+  try {
+    const user = await findTargetUser(req);
+    
+    if (!user) {
+      return notFound(res);
+    }
+    
+    // Pending accounts still have the placeholder password from registration
+    const passwordSet = user.isVerified;
+    
+    user.isVerified = true;
+    
+    if (!passwordSet) {
+      // Nobody knows this password; the owner sets their own from the reset link
+      user.password = crypto.randomBytes(32).toString('hex');
+    }
+    
+    await user.save();
+    
+    await revokeTokens(user._id, 'registration');
+    
+    if (!passwordSet) {
+      const resetToken = await issueToken(user._id, 'password_reset');
+      await sendPasswordResetEmail(user.email, resetToken);
+    }
+    
+    await recordAdminAction(req, 'verify', user, { passwordResetSent: !passwordSet });
+    await recordAuditEvent(req, 'account_verify', { user, actorId: req.user._id });
+    
+    res.status(200).json({
+      success: true,
+      message: 'User verified',
+      data: {
+        user: formatUser(user)
+      }
+    });
+  } catch (error) {
+    console.error('Verify user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Send the user a password reset link
+ * @route   POST /api/admin/users/:id/password-reset
+ * @access  Private (users:write)
+ */
+const triggerPasswordReset = async (req, res) => {
+  try {
+    const user = await findTargetUser(req);
+    
+    if (!user) {
+      return notFound(res);
+    }
+    
+    if (!user.isVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'User has not verified their email'
+      });
+    }
+    
+    const resetToken = await issueToken(user._id, 'password_reset');
+    
+    await sendPasswordResetEmail(user.email, resetToken);
+    await recordAdminAction(req, 'password_reset', user);
+    await recordAuditEvent(req, 'password_reset_request', { user, actorId: req.user._id });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Password reset link sent'
+    });
+  } catch (error) {
+    console.error('Trigger password reset error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Log a user out everywhere
+ * @route   DELETE /api/admin/users/:id/sessions
+ * @access  Private (users:write)
+ */
+const revokeUserSessions = async (req, res) => {
+  try {
+    const user = await findTargetUser(req);
+    
+    if (!user) {
+      return notFound(res);
+    }
+    
+    const sessionsRevoked = await removeAllSessions(user._id);
+    await recordAdminAction(req, 'revoke_sessions', user, { sessionsRevoked });
+    await recordAuditEvent(req, 'session_revoke', {
+      user,
+      actorId: req.user._id,
+      details: { sessionsRevoked }
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: `${sessionsRevoked} session(s) revoked`,
+      data: {
+        revoked: sessionsRevoked
+      }
+    });
+  } catch (error) {
+    console.error('Revoke user sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Delete a user along with their sessions, tokens and API keys
+ * @route   DELETE /api/admin/users/:id
+ * @access  Private (users:write)
+ */
+const deleteUser = async (req, res) => {
+  try {
+    const user = await findTargetUser(req);
+    
+    if (!user) {
+      return notFound(res);
+    }
+    
+    if (notOnSelf(req, res, user)) return;
+    
+    const organizations = await getSoleOwnedOrganizations(user._id);
+    
+    if (organizations.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'User is the last owner of an organization; transfer ownership first',
+        data: { organizations }
+      });
+    }
+    
+    await deleteAccount(user);
+    
+    await recordAdminAction(req, 'delete', user);
+    await recordAuditEvent(req, 'account_delete', { user, actorId: req.user._id });
+    
+    res.status(200).json({
+      success: true,
+      message: 'User deleted'
+    });
+  } catch (error) {
+    console.error('Delete user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Query the security audit log
+ * @route   GET /api/admin/audit-events?userId=&email=&type=&outcome=&ip=&from=&to=&page=&limit=
+ * @access  Private (audit:read)
+ */
+const listAuditEvents = async (req, res) => {
+  try {
+    const { userId, email, type, outcome, ip } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), MAX_PAGE_SIZE);
+    const from = parseDate(req.query.from);
+    const to = parseDate(req.query.to);
+    
+    if (from === null || to === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be valid dates'
+      });
+    }
+    
+    const filter = {};
+    
+    if (userId !== undefined) {
+      if (!mongoose.isValidObjectId(userId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'userId must be a valid ID'
+        });
+      }
+      filter.userId = userId;
+    }
+    
+    if (typeof email === 'string' && email) {
+      filter.email = email.toLowerCase();
+    }
+    
+    if (typeof type === 'string' && type) {
+      filter.type = type;
+    }
+    
+    if (outcome === 'success' || outcome === 'failure') {
+      filter.outcome = outcome;
+    }
+    
+    if (typeof ip === 'string' && ip) {
+      filter.ip = ip;
+    }
+    
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = from;
+      if (to) filter.createdAt.$lte = to;
+    }
+    
+    const [events, total] = await Promise.all([
+      AuditEvent.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      AuditEvent.countDocuments(filter)
+    ]);
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        events: events.map(formatAuditEvent),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('List audit events error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+module.exports = {
+  listUsers,
+  getUser,
+  lockUser,
+  unlockUser,
+  verifyUser,
+  triggerPasswordReset,
+  revokeUserSessions,
+  deleteUser,
+  listAuditEvents
+};
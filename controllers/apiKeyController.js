@@ -0,0 +1,157 @@
+const mongoose = require('mongoose');
+const ApiKey = require('../models/ApiKey');
+const {
+  generateApiKey,
+  isValidScopeList,
+  getApiKeyExpiryDate
+} = require('../utils/apiKeys');
+const { hasPermission, resolvePermissions } = require('../utils/permissions');
+
+/**
+ * Public representation of an API key (never includes the hash)
+ */
+const formatApiKey = (apiKey) => ({
+  id: apiKey._id,
+  name: apiKey.name,
+  prefix: apiKey.prefix,
+  scopes: apiKey.scopes,
+  expiresAt: apiKey.expiresAt,
+  lastUsedAt: apiKey.lastUsedAt,
+  revokedAt: apiKey.revokedAt,
+  createdAt: apiKey.createdAt
+});
+
+/**
+ * @desc    Create an API key - the key is only returned in this response
+ * @route   POST /api/users/me/api-keys
+ * @access  Private
+ */
+const createApiKey = async (req, res) => {
+  try {
+    const { name, scopes = [], expiresInDays } = req.body;
+    
+    if (!name || typeof name !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Name is required'
+      });
+    }
+    
+    if (name.length > 100) {
+      return res.status(400).json({
+        success: false,
+        message: 'Name should be at most 100 characters long'
+      });
+    }
+    
+    if (!isValidScopeList(scopes)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Scopes must be a list of resource:read or resource:write values'
+      });
+    }
+    
+    // A key can never do more than its owner
+    const permissions = await resolvePermissions(req.user);
+    const ungranted = scopes.find((scope) => !hasPermission(permissions, scope));
+    
+    if (ungranted) {
+      return res.status(403).json({
+        success: false,
+        message: `You cannot grant a scope you do not have: ${ungranted}`
+      });
+    }
+    
+    const { key, prefix, keyHash } = generateApiKey();
+    
+    const apiKey = await ApiKey.create({
+      userId: req.user._id,
+      name,
+      prefix,
+      keyHash,
+      scopes,
+      expiresAt: getApiKeyExpiryDate(expiresInDays)
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Copy it now, it will not be shown again.',
+      data: {
+        key,
+        apiKey: formatApiKey(apiKey)
+      }
+    });
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    List the current user's API keys
+ * @route   GET /api/users/me/api-keys
+ * @access  Private
+ */
+const listApiKeys = async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find({ userId: req.user._id }).sort({ createdAt: -1 });
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        apiKeys: apiKeys.map(formatApiKey)
+      }
+    });
+  } catch (error) {
+    console.error('List API keys error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Revoke one of the current user's API keys
+ * @route   DELETE /api/users/me/api-keys/:id
+ * @access  Private
+ */
+const revokeApiKey = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const apiKey = mongoose.isValidObjectId(id)
+      ? await ApiKey.findOneAndUpdate(
+        { _id: id, userId: req.user._id, revokedAt: null },
+        { revokedAt: new Date() }
+      )
+      : null;
+    
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'API key revoked'
+    });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+module.exports = {
+  createApiKey,
+  listApiKeys,
+  revokeApiKey
+};
@@ -1,17 +1,32 @@
 const User = require('../models/User');
-const { sendVerificationEmail, sendPasswordResetEmail } = require('../config/email');
 const { 
-  generateAuthToken, 
-  generateRegistrationToken, 
-  generatePasswordResetToken,
-  getTokenExpiryDate,
-  getPasswordResetExpiryDate
-} = require('../utils/tokenGenerator');
-const { 
-  recordLoginAttempt, 
-  createActiveSession, 
-  removeActiveSession 
-} = require('../middlewares/rateLimiter');
+  sendVerificationEmail, 
+  sendPasswordResetEmail, 
+  sendLoginConfirmationEmail, 
+  sendMagicLinkEmail 
+} = require('../config/email');
+const { generateMfaToken } = require('../utils/tokenGenerator');
+const { issueToken, findToken, consumeToken, revokeTokens } = require('../utils/oneTimeTokens');
+const { verifyTotp, hashRecoveryCode } = require('../utils/totp');
+const { recordLoginAttempt } = require('../middlewares/rateLimiter');
+const { getClientIp } = require('../utils/clientIp');
+const { recordAuditEvent } = require('../utils/auditLog');
+const { validatePassword, sendPasswordPolicyError } = require('../utils/passwordPolicy');
+const { rotateRefreshToken } = require('../utils/refreshTokens');
+const {
+  createActiveSession,
+  refreshActiveSession,
+  removeActiveSession,
+  removeAllSessions
+} = require('../utils/sessions');
+const { applySessionPolicy, getSessionPolicy, makeRoomForSession } = require('../utils/sessionPolicy');
+const {
+  getLockoutStatus,
+  sendLockoutResponse,
+  registerFailedLogin,
+  resetFailedLogins,
+  unlockWithToken
+} = require('../utils/lockout');
 
 /**
  * @desc    Register a new user - send verification email
@@ -35,12 +50,7 @@ const register = async (req, res) => {
     if (userExists) {
       // If user exists but is not verified, send new verification email
       if (!userExists.isVerified) {
-        const token = generateRegistrationToken();
-        const tokenExpiry = getTokenExpiryDate();
-        
-        userExists.registrationToken = token;
-        userExists.registrationTokenExpires = tokenExpiry;
-        await userExists.save();
+        const token = await issueToken(userExists._id, 'registration');
         
         await sendVerificationEmail(email, token);
         
@@ -56,21 +66,19 @@ const register = async (req, res) => {
       });
     }
     
-    // Generate registration token and expiry
-    const token = generateRegistrationToken();
-    const tokenExpiry = getTokenExpiryDate();
-    
-    // Create user with registration token
+    // Create user, then the registration token for it
     const user = await User.create({
       email,
-      password: 'temporary_password', // Will be set during verification
-      registrationToken: token,
-      registrationTokenExpires: tokenExpiry
+      password: 'temporary_password' // Will be set during verification
     });
     
+    const token = await issueToken(user._id, 'registration');
+    
     // Send verification email
     await sendVerificationEmail(email, token);
     
+    await recordAuditEvent(req, 'register', { user });
+    
     res.status(201).json({
       success: true,
       message: 'Registration initiated, please check your email to complete the process'
@@ -100,11 +108,9 @@ const verifyRegistration = async (req, res) => {
       });
     }
     
-    // Find user with the provided token
-    const user = await User.findOne({
-      registrationToken: token,
-      registrationTokenExpires: { $gt: Date.now() }
-    });
+    // Find the token's user, with the history the new password is recorded in
+    const record = await findToken(token, 'registration');
+    const user = record && await User.findById(record.userId).select('+passwordHistory');
     
     if (!user) {
       return res.status(400).json({
@@ -114,21 +120,28 @@ const verifyRegistration = async (req, res) => {
     }
     
     // Validate password
-    if (password.length < 8) {
+    const passwordCheck = await validatePassword(password, { user });
+    
+    if (!passwordCheck.valid) {
+      return sendPasswordPolicyError(res, passwordCheck);
+    }
+    
+    // Spend the token only once the password is acceptable
+    if (!(await consumeToken(token, 'registration'))) {
       return res.status(400).json({
         success: false,
-        message: 'Password should be at least 8 characters long'
+        message: 'Invalid or expired token'
       });
     }
     
     // Update user
     user.password = password;
     user.isVerified = true;
-    user.registrationToken = null;
-    user.registrationTokenExpires = null;
     
     await user.save();
     
+    await recordAuditEvent(req, 'verify_registration', { user });
+    
     res.status(200).json({
       success: true,
       message: 'Registration successful, you can now login'
@@ -142,6 +155,111 @@ const verifyRegistration = async (req, res) => {
   }
 };
 
+/**
+ * Record a failed login, for the rate limiters and in the audit log
+ * @param {Object} req - Request
+ * @param {string} email - Email the login was for
+ * @param {Object|null} user - Matching user, if any
+ * @param {string} reason - Why the login failed
+ */
+const recordLoginFailure = async (req, email, user, reason) => {
+  await recordLoginAttempt(email, getClientIp(req), false);
+  await recordAuditEvent(req, 'login', {
+    outcome: 'failure',
+    user,
+    email,
+    details: { reason }
+  });
+};
+
+/**
+ * Finish a login once every required factor has been checked: apply the
+ * concurrent-login policy, create the session and record the attempt
+ * @param {Object} req - Request (userEmail set by the limiter)
+ * @param {Object} res - Response
+ * @param {Object} user - Authenticated user document
+ * @param {Object} [extra] - Additional fields for the success response
+ * @param {Object} [details] - Details for the login audit event
+ */
+const completeLogin = async (req, res, user, extra = {}, details = {}) => {
+  const clientIP = getClientIp(req);
+  const userEmail = req.userEmail || user.email;
+  
+  // Temporary lockouts only guard password guessing; hard locks apply to every login method
+  const lockout = getLockoutStatus(user);
+  
+  if (lockout && lockout.reason === 'account_locked') {
+    await recordLoginFailure(req, userEmail, user, 'account_locked');
+    return sendLockoutResponse(res, lockout);
+  }
+  
+  // Login from a network flagged for credential stuffing - confirm by email first
+  if (req.loginChallenge) {
+    const confirmToken = await issueToken(user._id, 'login_confirmation', { reason: 'credential_stuffing' });
+    
+    await sendLoginConfirmationEmail(user.email, confirmToken, 'credential_stuffing');
+    
+    return res.status(202).json({
+      success: true,
+      confirmationRequired: true,
+      reason: 'credential_stuffing',
+      message: 'Unusual sign-in activity from your network. Please confirm this login from the link sent to your email.'
+    });
+  }
+  
+  // Apply the concurrent-login policy
+  const policy = await applySessionPolicy(user._id);
+  const sessionPolicy = {
+    mode: policy.mode,
+    maxSessions: policy.maxSessions,
+    evicted: policy.evicted
+  };
+  
+  if (policy.outcome === 'rejected') {
+    await recordAuditEvent(req, 'login', {
+      outcome: 'failure',
+      user,
+      details: { reason: 'session_limit' }
+    });
+    return res.status(409).json({
+      success: false,
+      message: policy.mode === 'reject'
+        ? 'User is already logged in. Please logout first or wait for session to expire.'
+        : 'Maximum number of active sessions reached. Please logout from another device first.',
+      sessionPolicy
+    });
+  }
+  
+  if (policy.outcome === 'confirmation_required') {
+    const confirmToken = await issueToken(user._id, 'login_confirmation', { reason: 'session_limit' });
+    
+    await sendLoginConfirmationEmail(user.email, confirmToken);
+    
+    return res.status(202).json({
+      success: true,
+      confirmationRequired: true,
+      message: 'Maximum number of active sessions reached. Please confirm this login from the link sent to your email.',
+      sessionPolicy
+    });
+  }
+  
+  // Create active session with short-lived access token and refresh token
+  const { token, refreshToken } = await createActiveSession(user._id, req);
+  
+  // Record successful login attempt and clear the lockout counter
+  await recordLoginAttempt(userEmail, clientIP, true);
+  await resetFailedLogins(user._id);
+  await recordAuditEvent(req, 'login', { user, details });
+  
+  res.status(200).json({
+    success: true,
+    token,
+    refreshToken,
+    sessionPolicy,
+    ...extra
+  });
+};
+
 /**
  * @desc    Login user
  * @route   POST /api/auth/login
@@ -150,11 +268,10 @@ const verifyRegistration = async (req, res) => {
 const login = async (req, res) => {
   try {
     const { email, password } = req.body;
-    const clientIP = req.clientIP;
     const userEmail = req.userEmail;
     
     if (!email || !password) {
-      await recordLoginAttempt(userEmail, clientIP, false);
+      await recordLoginFailure(req, userEmail, null, 'missing_credentials');
       return res.status(400).json({
         success: false,
         message: 'Email and password are required'
@@ -165,7 +282,7 @@ const login = async (req, res) => {
     const user = await User.findOne({ email: userEmail }).select('+password');
     
     if (!user) {
-      await recordLoginAttempt(userEmail, clientIP, false);
+      await recordLoginFailure(req, userEmail, null, 'unknown_user');
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
@@ -174,7 +291,7 @@ const login = async (req, res) => {
     
     // Check if user is verified
     if (!user.isVerified) {
-      await recordLoginAttempt(userEmail, clientIP, false);
+      await recordLoginFailure(req, userEmail, user, 'unverified');
       return res.status(401).json({
         success: false,
         message: 'Please verify your email first'
@@ -185,28 +302,348 @@ const login = async (req, res) => {
     const isMatch = await user.comparePassword(password);
     
     if (!isMatch) {
-      await recordLoginAttempt(userEmail, clientIP, false);
+      await recordLoginFailure(req, userEmail, user, 'invalid_password');
+      await registerFailedLogin(user._id);
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
     
-    // Generate JWT token
-    const token = generateAuthToken(user._id);
+    // Second factor required - hand out a short-lived challenge token instead
+    if (user.mfaEnabled && !user.isLocked()) {
+      return res.status(200).json({
+        success: true,
+        mfaRequired: true,
+        mfaToken: generateMfaToken(user._id)
+      });
+    }
     
-    // Create active session
-    await createActiveSession(user._id, token);
+    await completeLogin(req, res, user);
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Complete login with a TOTP code or recovery code
+ * @route   POST /api/auth/mfa/verify
+ * @access  Public (requires MFA token from login)
+ */
+const verifyMfa = async (req, res) => {
+  try {
+    const { code, recoveryCode } = req.body;
+    const userEmail = req.userEmail;
+    
+    if (!code && !recoveryCode) {
+      return res.status(400).json({
+        success: false,
+        message: 'Authentication code or recovery code is required'
+      });
+    }
+    
+    const user = await User.findById(req.mfaUserId)
+      .select('+mfaSecret +mfaLastUsedStep');
+    
+    // The account may have been deleted since the MFA token was issued
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired MFA token'
+      });
+    }
+    
+    if (!user.mfaEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+    
+    if (recoveryCode) {
+      // Remove the code atomically so it can only be used once
+      const codeHash = hashRecoveryCode(recoveryCode);
+      const updated = await User.findOneAndUpdate(
+        { _id: user._id, mfaRecoveryCodes: codeHash },
+        { $pull: { mfaRecoveryCodes: codeHash } },
+        { new: true }
+      ).select('+mfaRecoveryCodes');
+      
+      if (!updated) {
+        await recordLoginFailure(req, userEmail, user, 'invalid_recovery_code');
+        await registerFailedLogin(user._id);
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid recovery code'
+        });
+      }
+      
+      return await completeLogin(req, res, user, {
+        recoveryCodesRemaining: updated.mfaRecoveryCodes.length
+      });
+    }
+    
+    const step = verifyTotp(user.mfaSecret, code);
+    
+    // Reject codes from a time step that was already used (replay)
+    const claimed = step !== null && await User.updateOne(
+      {
+        _id: user._id,
+        $or: [{ mfaLastUsedStep: null }, { mfaLastUsedStep: { $lt: step } }]
+      },
+      { mfaLastUsedStep: step }
+    );
+    
+    if (!claimed || claimed.modifiedCount === 0) {
+      await recordLoginFailure(req, userEmail, user, 'invalid_mfa_code');
+      await registerFailedLogin(user._id);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
     
-    // Record successful login attempt
-    await recordLoginAttempt(userEmail, clientIP, true);
+    await completeLogin(req, res, user);
+  } catch (error) {
+    console.error('Verify MFA error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Confirm a login held back by the session policy
+ * @route   POST /api/auth/login/confirm
+ * @access  Public
+ */
+const confirmLogin = async (req, res) => {
+  try {
+    const { token } = req.body;
+    
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Token is required'
+      });
+    }
+    
+    // Token is single-use
+    const record = await consumeToken(token, 'login_confirmation');
+    const user = record && await User.findById(record.userId);
+    
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired token'
+      });
+    }
+    
+    if (!user.isVerified) {
+      return res.status(401).json({
+        success: false,
+        message: 'Please verify your email first'
+      });
+    }
+    
+    // A credential-stuffing confirmation only proves the login was the user's -
+    // the lockout and the configured session policy still apply in full
+    const reason = record.data && record.data.reason;
+    
+    if (reason !== 'session_limit' || getSessionPolicy().mode !== 'confirm') {
+      return await completeLogin(req, res, user, {}, { confirmed: true, reason });
+    }
+    
+    const lockout = getLockoutStatus(user);
+    
+    if (lockout && lockout.reason === 'account_locked') {
+      await recordLoginFailure(req, user.email, user, 'account_locked');
+      return sendLockoutResponse(res, lockout);
+    }
+    
+    // Sign out the oldest session(s) to stay within the limit
+    const evicted = await makeRoomForSession(user._id);
+    
+    const { token: authToken, refreshToken } = await createActiveSession(user._id, req);
+    
+    await recordLoginAttempt(user.email, getClientIp(req), true);
+    await resetFailedLogins(user._id);
+    await recordAuditEvent(req, 'login', { user, details: { confirmed: true, reason } });
     
     res.status(200).json({
       success: true,
-      token
+      token: authToken,
+      refreshToken,
+      sessionPolicy: { mode: 'confirm', evicted }
     });
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Confirm login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Request a magic sign-in link by email
+ * @route   POST /api/auth/magic-link
+ * @access  Public
+ */
+const requestMagicLink = async (req, res) => {
+  try {
+    const { email } = req.body;
+    
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required'
+      });
+    }
+    
+    const user = await User.findOne({ email: email.toLowerCase() });
+    
+    // Only verified users get a link, but the response never reveals which
+    if (user && user.isVerified) {
+      const token = await issueToken(user._id, 'magic_link');
+      
+      await sendMagicLinkEmail(user.email, token);
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'If an account with that email exists, a sign-in link has been sent'
+    });
+  } catch (error) {
+    console.error('Magic link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Log in with a magic-link token
+ * @route   POST /api/auth/magic-link/consume
+ * @access  Public
+ */
+const consumeMagicLink = async (req, res) => {
+  try {
+    const { token } = req.body;
+    
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Token is required'
+      });
+    }
+    
+    // Token is single-use
+    const record = await consumeToken(token, 'magic_link');
+    const user = record && await User.findById(record.userId);
+    
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired token'
+      });
+    }
+    
+    req.userEmail = user.email;
+    
+    // The link replaces the password, not the second factor
+    if (user.mfaEnabled) {
+      return res.status(200).json({
+        success: true,
+        mfaRequired: true,
+        mfaToken: generateMfaToken(user._id)
+      });
+    }
+    
+    await completeLogin(req, res, user);
+  } catch (error) {
+    console.error('Consume magic link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Exchange a refresh token for a new access token and refresh token
+ * @route   POST /api/auth/refresh
+ * @access  Public
+ */
+const refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required'
+      });
+    }
+    
+    if (typeof refreshToken !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token must be a string'
+      });
+    }
+    
+    const result = await rotateRefreshToken(refreshToken);
+    
+    if (result.error === 'reused') {
+      // A rotated token was replayed - end the session along with its family
+      await removeActiveSession(result.family);
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token reuse detected, please login again'
+      });
+    }
+    
+    if (result.error) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token'
+      });
+    }
+    
+    const user = await User.findById(result.userId);
+    
+    if (!user || !user.isVerified || user.isLocked()) {
+      await removeAllSessions(result.userId);
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized, user not found'
+      });
+    }
+    
+    // Issue new access token and replace the session's token
+    const token = await refreshActiveSession(result.family, user._id);
+    
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has been revoked, please login again'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      token,
+      refreshToken: result.refreshToken
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error'
@@ -234,6 +671,12 @@ const forgotPassword = async (req, res) => {
     const user = await User.findOne({ email: email.toLowerCase() });
     
     if (!user) {
+      await recordAuditEvent(req, 'password_reset_request', {
+        outcome: 'failure',
+        email,
+        details: { reason: 'unknown_user' }
+      });
+      
       // Don't reveal if user exists or not for security
       return res.status(200).json({
         success: true,
@@ -243,6 +686,11 @@ const forgotPassword = async (req, res) => {
     
     // Check if user is verified
     if (!user.isVerified) {
+      await recordAuditEvent(req, 'password_reset_request', {
+        outcome: 'failure',
+        user,
+        details: { reason: 'unverified' }
+      });
       return res.status(400).json({
         success: false,
         message: 'Please verify your email first'
@@ -250,17 +698,13 @@ const forgotPassword = async (req, res) => {
     }
     
     // Generate password reset token
-    const resetToken = generatePasswordResetToken();
-    const resetExpires = getPasswordResetExpiryDate();
-    
-    // Save reset token to user
-    user.passwordResetToken = resetToken;
-    user.passwordResetExpires = resetExpires;
-    await user.save();
+    const resetToken = await issueToken(user._id, 'password_reset');
     
     // Send password reset email
     await sendPasswordResetEmail(email, resetToken);
     
+    await recordAuditEvent(req, 'password_reset_request', { user });
+    
     res.status(200).json({
       success: true,
       message: 'If an account with that email exists, a password reset link has been sent'
@@ -290,35 +734,49 @@ const resetPassword = async (req, res) => {
       });
     }
     
-    // Validate password
-    if (password.length < 8) {
+    // Find the token's user, with the hashes needed for the reuse check
+    const record = await findToken(token, 'password_reset');
+    const user = record && await User.findById(record.userId).select('+password +passwordHistory');
+    
+    if (!user) {
+      await recordAuditEvent(req, 'password_reset', {
+        outcome: 'failure',
+        details: { reason: 'invalid_token' }
+      });
       return res.status(400).json({
         success: false,
-        message: 'Password should be at least 8 characters long'
+        message: 'Invalid or expired reset token'
       });
     }
     
-    // Find user with valid reset token
-    const user = await User.findOne({
-      passwordResetToken: token,
-      passwordResetExpires: { $gt: Date.now() }
-    });
+    // Validate password
+    const passwordCheck = await validatePassword(password, { user });
     
-    if (!user) {
+    if (!passwordCheck.valid) {
+      await recordAuditEvent(req, 'password_reset', {
+        outcome: 'failure',
+        user,
+        details: { reason: 'password_policy', errors: passwordCheck.errors.map((error) => error.code) }
+      });
+      return sendPasswordPolicyError(res, passwordCheck);
+    }
+    
+    // Spend the token only once the password is acceptable
+    if (!(await consumeToken(token, 'password_reset'))) {
       return res.status(400).json({
         success: false,
         message: 'Invalid or expired reset token'
       });
     }
     
-    // Update password and clear reset token
+    // Update password
     user.password = password;
-    user.passwordResetToken = null;
-    user.passwordResetExpires = null;
     await user.save();
     
-    // Remove any active sessions for this user
-    await removeActiveSession(user._id);
+    // Remove all active sessions and refresh tokens for this user
+    const sessionsRevoked = await removeAllSessions(user._id);
+    
+    await recordAuditEvent(req, 'password_reset', { user, details: { sessionsRevoked } });
     
     res.status(200).json({
       success: true,
@@ -333,6 +791,218 @@ const resetPassword = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Unlock an account hard locked after failed logins
+ * @route   POST /api/auth/unlock
+ * @access  Public
+ */
+const unlockAccount = async (req, res) => {
+  try {
+    const { token } = req.body;
+    
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Token is required'
+      });
+    }
+    
+    const user = await unlockWithToken(token);
+    
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired token'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Account unlocked. You can now log in.'
+    });
+  } catch (error) {
+    console.error('Unlock account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Confirm an email change from the link sent to the new address
+ * @route   POST /api/auth/email-change/confirm
+ * @access  Public
+ */
+const confirmEmailChange = async (req, res) => {
+  try {
+    const { token } = req.body;
+    
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Token is required'
+      });
+    }
+    
+    const record = await findToken(token, 'email_change');
+    
+    if (!record) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired token'
+      });
+    }
+    
+    const { oldEmail, newEmail } = record.data;
+    
+    // The address may have been registered since the change was requested
+    if (await User.exists({ email: newEmail, _id: { $ne: record.userId } })) {
+      await recordAuditEvent(req, 'email_change', {
+        outcome: 'failure',
+        user: { _id: record.userId, email: oldEmail },
+        details: { newEmail, reason: 'email_in_use' }
+      });
+      return res.status(409).json({
+        success: false,
+        message: 'This email address is already in use'
+      });
+    }
+    
+    if (!(await consumeToken(token, 'email_change'))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired token'
+      });
+    }
+    
+    // Only swap if the address is still the one the change was requested from
+    let result;
+    try {
+      result = await User.updateOne({ _id: record.userId, email: oldEmail }, { email: newEmail });
+    } catch (error) {
+      // Taken by a registration since the check above
+      if (error.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: 'This email address is already in use'
+        });
+      }
+      throw error;
+    }
+    
+    if (result.matchedCount === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired token'
+      });
+    }
+    
+    // Links already sent to the old address no longer apply
+    await revokeTokens(record.userId, 'password_reset');
+    await revokeTokens(record.userId, 'magic_link');
+    
+    await recordAuditEvent(req, 'email_change', {
+      user: { _id: record.userId, email: newEmail },
+      details: { oldEmail, newEmail }
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Email address changed'
+    });
+  } catch (error) {
+    console.error('Confirm email change error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Revert an email change from the link sent to the old address -
+ *          cancels a pending change or restores the old address, and logs
+ *          out every session
+ * @route   POST /api/auth/email-change/revert
+ * @access  Public
+ */
+const revertEmailChange = async (req, res) => {
+  try {
+    const { token } = req.body;
+    
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Token is required'
+      });
+    }
+    
+    const record = await findToken(token, 'email_revert');
+    const user = record && await User.findById(record.userId);
+    
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired token'
+      });
+    }
+    
+    const { oldEmail, newEmail } = record.data;
+    const swapped = user.email === newEmail;
+    
+    // Changed again since - this link no longer describes the account
+    if (!swapped && user.email !== oldEmail) {
+      return res.status(400).json({
+        success: false,
+        message: 'This email change can no longer be reverted'
+      });
+    }
+    
+    if (swapped && await User.exists({ email: oldEmail })) {
+      return res.status(409).json({
+        success: false,
+        message: 'The previous email address is now used by another account'
+      });
+    }
+    
+    if (!(await consumeToken(token, 'email_revert'))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired token'
+      });
+    }
+    
+    if (swapped) {
+      await User.updateOne({ _id: user._id, email: newEmail }, { email: oldEmail });
+    }
+    
+    // Whoever requested the change knew the password - shut them out
+    await revokeTokens(user._id, 'email_change');
+    await revokeTokens(user._id, 'password_reset');
+    await revokeTokens(user._id, 'magic_link');
+    const sessionsRevoked = await removeAllSessions(user._id);
+    
+    await recordAuditEvent(req, 'email_change_revert', {
+      user: { _id: user._id, email: oldEmail },
+      details: { oldEmail, newEmail, restored: swapped, sessionsRevoked }
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: swapped
+        ? 'Email address restored and all sessions logged out. Please reset your password.'
+        : 'Email change cancelled and all sessions logged out. Please reset your password.'
+    });
+  } catch (error) {
+    console.error('Revert email change error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
 /**
  * @desc    Logout user
  * @route   POST /api/auth/logout
@@ -340,8 +1010,10 @@ const resetPassword = async (req, res) => {
  */
 const logout = async (req, res) => {
   try {
-    // Remove active session
-    await removeActiveSession(req.user._id);
+    // Remove the current session and its refresh tokens
+    await removeActiveSession(req.sessionId);
+    
+    await recordAuditEvent(req, 'logout', { user: req.user, details: { sessionId: req.sessionId } });
     
     res.status(200).json({
       success: true,
@@ -357,10 +1029,20 @@ const logout = async (req, res) => {
 };
 
 module.exports = {
+  completeLogin,
+  recordLoginFailure,
   register,
   verifyRegistration,
   login,
+  confirmLogin,
+  verifyMfa,
+  requestMagicLink,
+  consumeMagicLink,
+  refresh,
   forgotPassword,
   resetPassword,
+  unlockAccount,
+  confirmEmailChange,
+  revertEmailChange,
   logout
 };
\ No newline at end of file
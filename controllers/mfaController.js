@@ -0,0 +1,179 @@
+const User = require('../models/User');
+const {
+  generateTotpSecret,
+  verifyTotp,
+  buildOtpAuthUri,
+  generateRecoveryCodes,
+  hashRecoveryCode
+} = require('../utils/totp');
+const { registerFailedLogin } = require('../utils/lockout');
+
+/**
+ * @desc    Start TOTP enrollment - returns secret and provisioning URI for a QR code
+ * @route   POST /api/users/me/mfa/setup
+ * @access  Private
+ */
+const setupMfa = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    
+    if (user.mfaEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+    
+    // Secret stays pending until confirmed with a first code
+    const secret = generateTotpSecret();
+    user.mfaPendingSecret = secret;
+    await user.save();
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        secret,
+        otpauthUrl: buildOtpAuthUri(secret, user.email)
+      }
+    });
+  } catch (error) {
+    console.error('MFA setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Confirm TOTP enrollment with a first code and issue recovery codes
+ * @route   POST /api/users/me/mfa/confirm
+ * @access  Private
+ */
+const confirmMfa = async (req, res) => {
+  try {
+    const { code } = req.body;
+    
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Authentication code is required'
+      });
+    }
+    
+    const user = await User.findById(req.user._id).select('+mfaPendingSecret');
+    
+    if (!user.mfaPendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'No two-factor enrollment in progress'
+      });
+    }
+    
+    const step = verifyTotp(user.mfaPendingSecret, code);
+    
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+    
+    // Recovery codes are shown once and stored hashed
+    const recoveryCodes = generateRecoveryCodes();
+    
+    user.mfaSecret = user.mfaPendingSecret;
+    user.mfaPendingSecret = null;
+    user.mfaEnabled = true;
+    user.mfaLastUsedStep = step;
+    user.mfaRecoveryCodes = recoveryCodes.map(hashRecoveryCode);
+    await user.save();
+    
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    console.error('MFA confirm error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Disable TOTP - requires password and a current code
+ * @route   POST /api/users/me/mfa/disable
+ * @access  Private
+ */
+const disableMfa = async (req, res) => {
+  try {
+    const { password, code } = req.body;
+    
+    if (!password || !code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password and authentication code are required'
+      });
+    }
+    
+    const user = await User.findById(req.user._id).select('+password +mfaSecret');
+    
+    if (!user.mfaEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+    
+    const isMatch = await user.comparePassword(password);
+    let codeAccepted = false;
+    
+    // Claim the code's time step, as at login, so a code can't be replayed
+    if (isMatch) {
+      const step = verifyTotp(user.mfaSecret, code);
+      const claimed = step !== null && await User.updateOne(
+        {
+          _id: user._id,
+          $or: [{ mfaLastUsedStep: null }, { mfaLastUsedStep: { $lt: step } }]
+        },
+        { mfaLastUsedStep: step }
+      );
+      
+      codeAccepted = Boolean(claimed) && claimed.modifiedCount > 0;
+    }
+    
+    if (!isMatch || !codeAccepted) {
+      await registerFailedLogin(user._id);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid password or authentication code'
+      });
+    }
+    
+    user.mfaEnabled = false;
+    user.mfaSecret = null;
+    user.mfaLastUsedStep = null;
+    user.mfaRecoveryCodes = [];
+    await user.save();
+    
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('MFA disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+module.exports = {
+  setupMfa,
+  confirmMfa,
+  disableMfa
+};
@@ -0,0 +1,531 @@
+const mongoose = require('mongoose');
+const Organization = require('../models/Organization');
+const Membership = require('../models/Membership');
+const Invitation = require('../models/Invitation');
+const { sendInvitationEmail } = require('../config/email');
+const {
+  generateInvitationToken,
+  getInvitationExpiryDate,
+  hashToken
+} = require('../utils/tokenGenerator');
+const { switchSessionOrganization } = require('../utils/sessions');
+
+/**
+ * Public view of an organization with the caller's role in it
+ */
+const formatOrganization = (organization, membership) => ({
+  id: organization._id,
+  name: organization.name,
+  role: membership.role,
+  createdAt: organization.createdAt
+});
+
+/**
+ * Whether removing or demoting this membership would leave the organization without an owner
+ */
+const isLastOwner = async (membership) => {
+  if (membership.role !== 'owner') return false;
+  
+  const owners = await Membership.countDocuments({
+    organizationId: membership.organizationId,
+    role: 'owner'
+  });
+  
+  return owners <= 1;
+};
+
+/**
+ * @desc    Create an organization owned by the current user
+ * @route   POST /api/orgs
+ * @access  Private
+ */
+const createOrganization = async (req, res) => {
+  try {
+    const { name } = req.body;
+    
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Organization name is required'
+      });
+    }
+    
+    if (name.trim().length > 100) {
+      return res.status(400).json({
+        success: false,
+        message: 'Organization name should be at most 100 characters long'
+      });
+    }
+    
+    const organization = await Organization.create({ name, createdBy: req.user._id });
+    const membership = await Membership.create({
+      organizationId: organization._id,
+      userId: req.user._id,
+      role: 'owner'
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Organization created',
+      data: {
+        organization: formatOrganization(organization, membership)
+      }
+    });
+  } catch (error) {
+    console.error('Create organization error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    List organizations the current user belongs to
+ * @route   GET /api/orgs
+ * @access  Private
+ */
+const listOrganizations = async (req, res) => {
+  try {
+    const memberships = await Membership.find({ userId: req.user._id })
+      .populate('organizationId')
+      .sort({ createdAt: 1 });
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        organizations: memberships
+          .filter((membership) => membership.organizationId)
+          .map((membership) => ({
+            ...formatOrganization(membership.organizationId, membership),
+            active: Boolean(req.organization && req.organization._id.equals(membership.organizationId._id))
+          }))
+      }
+    });
+  } catch (error) {
+    console.error('List organizations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Make an organization active for this session (sets the token's org claim)
+ * @route   POST /api/orgs/:id/switch
+ * @access  Private
+ */
+const switchOrganization = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const membership = mongoose.isValidObjectId(id)
+      ? await Membership.findOne({ organizationId: id, userId: req.user._id })
+      : null;
+    
+    if (!membership) {
+      return res.status(404).json({
+        success: false,
+        message: 'Organization not found'
+      });
+    }
+    
+    const token = await switchSessionOrganization(req.sessionId, req.user._id, membership.organizationId);
+    
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has been revoked, please login again'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      token,
+      organizationId: membership.organizationId
+    });
+  } catch (error) {
+    console.error('Switch organization error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Get the active organization
+ * @route   GET /api/orgs/current
+ * @access  Private (org:read)
+ */
+const getCurrentOrganization = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: {
+        organization: formatOrganization(req.organization, req.membership)
+      }
+    });
+  } catch (error) {
+    console.error('Get organization error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    List members of the active organization
+ * @route   GET /api/orgs/current/members
+ * @access  Private (members:read)
+ */
+const listMembers = async (req, res) => {
+  try {
+    const memberships = await Membership.find({ organizationId: req.organization._id })
+      .populate('userId', 'email')
+      .sort({ createdAt: 1 });
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        members: memberships
+          .filter((membership) => membership.userId)
+          .map((membership) => ({
+            userId: membership.userId._id,
+            email: membership.userId.email,
+            role: membership.role,
+            joinedAt: membership.createdAt
+          }))
+      }
+    });
+  } catch (error) {
+    console.error('List members error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Change a member's role in the active organization
+ * @route   PATCH /api/orgs/current/members/:userId
+ * @access  Private (members:write)
+ */
+const updateMember = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { role } = req.body;
+    
+    if (!['owner', 'admin', 'member'].includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Role must be one of owner, admin or member'
+      });
+    }
+    
+    const membership = mongoose.isValidObjectId(userId)
+      ? await Membership.findOne({ organizationId: req.organization._id, userId })
+      : null;
+    
+    if (!membership) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+    
+    // Only owners can hand out or take away ownership
+    if ((role === 'owner' || membership.role === 'owner') && req.membership.role !== 'owner') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only owners can change ownership'
+      });
+    }
+    
+    if (role !== 'owner' && await isLastOwner(membership)) {
+      return res.status(400).json({
+        success: false,
+        message: 'An organization must have at least one owner'
+      });
+    }
+    
+    membership.role = role;
+    await membership.save();
+    
+    res.status(200).json({
+      success: true,
+      message: 'Member updated',
+      data: {
+        userId: membership.userId,
+        role: membership.role
+      }
+    });
+  } catch (error) {
+    console.error('Update member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Remove a member from the active organization
+ * @route   DELETE /api/orgs/current/members/:userId
+ * @access  Private (members:write)
+ */
+const removeMember = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    
+    const membership = mongoose.isValidObjectId(userId)
+      ? await Membership.findOne({ organizationId: req.organization._id, userId })
+      : null;
+    
+    if (!membership) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+    
+    if (membership.role === 'owner' && req.membership.role !== 'owner') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only owners can change ownership'
+      });
+    }
+    
+    if (await isLastOwner(membership)) {
+      return res.status(400).json({
+        success: false,
+        message: 'An organization must have at least one owner'
+      });
+    }
+    
+    await Membership.deleteOne({ _id: membership._id });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Member removed'
+    });
+  } catch (error) {
+    console.error('Remove member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Invite someone to the active organization by email
+ * @route   POST /api/orgs/current/invitations
+ * @access  Private (members:write)
+ */
+const createInvitation = async (req, res) => {
+  try {
+    const { email, role = 'member' } = req.body;
+    
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required'
+      });
+    }
+    
+    if (!['admin', 'member'].includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Role must be admin or member'
+      });
+    }
+    
+    const token = generateInvitationToken();
+    
+    const invitation = await Invitation.create({
+      organizationId: req.organization._id,
+      email,
+      role,
+      tokenHash: hashToken(token),
+      invitedBy: req.user._id,
+      expiresAt: getInvitationExpiryDate()
+    });
+    
+    await sendInvitationEmail(invitation.email, req.organization.name, token);
+    
+    res.status(201).json({
+      success: true,
+      message: 'Invitation sent',
+      data: {
+        invitation: {
+          id: invitation._id,
+          email: invitation.email,
+          role: invitation.role,
+          expiresAt: invitation.expiresAt
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Create invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    List pending invitations for the active organization
+ * @route   GET /api/orgs/current/invitations
+ * @access  Private (members:read)
+ */
+const listInvitations = async (req, res) => {
+  try {
+    const invitations = await Invitation.find({
+      organizationId: req.organization._id,
+      acceptedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ createdAt: -1 });
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        invitations: invitations.map((invitation) => ({
+          id: invitation._id,
+          email: invitation.email,
+          role: invitation.role,
+          createdAt: invitation.createdAt,
+          expiresAt: invitation.expiresAt
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('List invitations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Withdraw a pending invitation
+ * @route   DELETE /api/orgs/current/invitations/:id
+ * @access  Private (members:write)
+ */
+const revokeInvitation = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const result = mongoose.isValidObjectId(id)
+      ? await Invitation.deleteOne({ _id: id, organizationId: req.organization._id, acceptedAt: null })
+      : { deletedCount: 0 };
+    
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Invitation revoked'
+    });
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Accept an invitation sent to the current user's email
+ * @route   POST /api/orgs/invitations/accept
+ * @access  Private
+ */
+const acceptInvitation = async (req, res) => {
+  try {
+    const { token } = req.body;
+    
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Token is required'
+      });
+    }
+    
+    // Claim the invitation atomically so it can only be used once
+    const invitation = await Invitation.findOneAndUpdate(
+      {
+        tokenHash: hashToken(String(token)),
+        email: req.user.email,
+        acceptedAt: null,
+        expiresAt: { $gt: new Date() }
+      },
+      { acceptedAt: new Date() },
+      { new: true }
+    );
+    
+    if (!invitation) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired invitation'
+      });
+    }
+    
+    const existing = await Membership.findOne({
+      organizationId: invitation.organizationId,
+      userId: req.user._id
+    });
+    
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'You are already a member of this organization'
+      });
+    }
+    
+    const membership = await Membership.create({
+      organizationId: invitation.organizationId,
+      userId: req.user._id,
+      role: invitation.role
+    });
+    
+    const organization = await Organization.findById(invitation.organizationId);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Invitation accepted',
+      data: {
+        organization: formatOrganization(organization, membership)
+      }
+    });
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+module.exports = {
+  createOrganization,
+  listOrganizations,
+  switchOrganization,
+  getCurrentOrganization,
+  listMembers,
+  updateMember,
+  removeMember,
+  createInvitation,
+  listInvitations,
+  revokeInvitation,
+  acceptInvitation
+};
@@ -1,3 +1,27 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const ActiveSession = require('../models/ActiveSession');
+const AuditEvent = require('../models/AuditEvent');
+const {
+  sendPasswordChangedEmail,
+  sendEmailChangeConfirmationEmail,
+  sendEmailChangeAlertEmail,
+  sendAccountDeletionScheduledEmail
+} = require('../config/email');
+const { removeActiveSession, removeAllSessions } = require('../utils/sessions');
+const { issueToken, revokeTokens } = require('../utils/oneTimeTokens');
+const { validatePassword, sendPasswordPolicyError } = require('../utils/passwordPolicy');
+const { verifyTotp } = require('../utils/totp');
+const { recordAuditEvent, formatAuditEvent } = require('../utils/auditLog');
+const {
+  exportAccountData,
+  getSoleOwnedOrganizations,
+  scheduleAccountDeletion,
+  cancelAccountDeletion
+} = require('../utils/accountData');
+
+const MAX_PAGE_SIZE = 100;
+
 /**
  * @desc    Get protected user data
  * @route   GET /api/users/protected
@@ -14,6 +38,7 @@ const getProtectedData = async (req, res) => {
           id: req.user._id,
           email: req.user.email,
           isVerified: req.user.isVerified,
+          roles: req.user.roles,
           createdAt: req.user.createdAt
         }
       }
@@ -27,6 +52,448 @@ const getProtectedData = async (req, res) => {
   }
 };
 
+/**
+ * @desc    List the current user's active sessions
+ * @route   GET /api/users/me/sessions
+ * @access  Private
+ */
+const listSessions = async (req, res) => {
+  try {
+    const sessions = await ActiveSession.find({ userId: req.user._id })
+      .sort({ lastSeenAt: -1 });
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        sessions: sessions.map((session) => ({
+          id: session._id,
+          device: session.device,
+          userAgent: session.userAgent,
+          ip: session.ip,
+          createdAt: session.createdAt,
+          lastSeenAt: session.lastSeenAt,
+          current: session._id.toString() === req.sessionId
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Revoke one of the current user's sessions
+ * @route   DELETE /api/users/me/sessions/:id
+ * @access  Private
+ */
+const revokeSession = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+    
+    const removed = await removeActiveSession(id, req.user._id);
+    
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+    
+    await recordAuditEvent(req, 'session_revoke', { user: req.user, details: { sessionId: id } });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Log out everywhere else - revoke all sessions except the current one
+ * @route   DELETE /api/users/me/sessions
+ * @access  Private
+ */
+const revokeOtherSessions = async (req, res) => {
+  try {
+    const count = await removeAllSessions(req.user._id, req.sessionId);
+    
+    await recordAuditEvent(req, 'session_revoke', {
+      user: req.user,
+      details: { sessionsRevoked: count, keptSessionId: req.sessionId }
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Logged out of all other sessions',
+      data: { revoked: count }
+    });
+  } catch (error) {
+    console.error('Revoke other sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Change the current user's password
+ * @route   POST /api/users/me/password
+ * @access  Private
+ */
+const changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'Current password and new password are required'
+      });
+    }
+    
+    // Load the hashes needed for the password check and the reuse check
+    const user = await User.findById(req.user._id).select('+password +passwordHistory');
+    
+    const isMatch = await user.comparePassword(currentPassword);
+    
+    if (!isMatch) {
+      await recordAuditEvent(req, 'password_change', {
+        outcome: 'failure',
+        user,
+        details: { reason: 'invalid_password' }
+      });
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+    
+    // Same rules as a password reset
+    const passwordCheck = await validatePassword(newPassword, { user });
+    
+    if (!passwordCheck.valid) {
+      await recordAuditEvent(req, 'password_change', {
+        outcome: 'failure',
+        user,
+        details: { reason: 'password_policy', errors: passwordCheck.errors.map((error) => error.code) }
+      });
+      return sendPasswordPolicyError(res, passwordCheck);
+    }
+    
+    user.password = newPassword;
+    await user.save();
+    
+    // Sign out every other device and drop reset links sent for the old password
+    const revoked = await removeAllSessions(user._id, req.sessionId);
+    await revokeTokens(user._id, 'password_reset');
+    
+    await recordAuditEvent(req, 'password_change', { user, details: { sessionsRevoked: revoked } });
+    
+    // The password has changed either way - a failed notification is only logged
+    try {
+      await sendPasswordChangedEmail(user.email);
+    } catch (error) {
+      console.error('Password changed notification error:', error);
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Password changed, other sessions have been logged out',
+      data: { revoked }
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Start changing the current user's email - confirm link to the new
+ *          address, alert with a revert link to the current one
+ * @route   POST /api/users/me/email
+ * @access  Private
+ */
+const requestEmailChange = async (req, res) => {
+  try {
+    const { newEmail, password } = req.body;
+    
+    if (!newEmail || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'New email and password are required'
+      });
+    }
+    
+    // Normalize and validate with the schema's own rules
+    const candidate = new User({ email: newEmail });
+    const validationError = candidate.validateSync(['email']);
+    
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError.errors.email.message
+      });
+    }
+    
+    const user = await User.findById(req.user._id).select('+password');
+    
+    const isMatch = await user.comparePassword(password);
+    
+    if (!isMatch) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+    
+    if (candidate.email === user.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'New email must be different from the current one'
+      });
+    }
+    
+    // Whether the address is taken is only checked when the change is
+    // confirmed, so this endpoint does not reveal which addresses have accounts
+    const change = { oldEmail: user.email, newEmail: candidate.email };
+    const confirmToken = await issueToken(user._id, 'email_change', change);
+    const revertToken = await issueToken(user._id, 'email_revert', change);
+    
+    await sendEmailChangeConfirmationEmail(change.newEmail, confirmToken);
+    await sendEmailChangeAlertEmail(change.oldEmail, change.newEmail, revertToken);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Confirmation link sent to the new email address'
+    });
+  } catch (error) {
+    console.error('Request email change error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Download everything stored about the current user
+ * @route   GET /api/users/me/export
+ * @access  Private
+ */
+const exportData = async (req, res) => {
+  try {
+    const archive = await exportAccountData(req.user);
+    
+    res.attachment('account-export.json');
+    res.status(200).json({
+      success: true,
+      data: archive
+    });
+  } catch (error) {
+    console.error('Export data error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Delete the current user's account after a grace period
+ * @route   DELETE /api/users/me
+ * @access  Private
+ */
+const deleteAccount = async (req, res) => {
+  try {
+    const { password, code } = req.body;
+    
+    if (!password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password is required'
+      });
+    }
+    
+    const user = await User.findById(req.user._id).select('+password +mfaSecret');
+    
+    // Re-authenticate with every factor the account has
+    if (user.mfaEnabled && !code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password and authentication code are required'
+      });
+    }
+    
+    const isMatch = await user.comparePassword(password);
+    let codeAccepted = true;
+    
+    // Claim the code's time step, as at login, so a code can't be replayed
+    if (isMatch && user.mfaEnabled) {
+      const step = verifyTotp(user.mfaSecret, code);
+      const claimed = step !== null && await User.updateOne(
+        {
+          _id: user._id,
+          $or: [{ mfaLastUsedStep: null }, { mfaLastUsedStep: { $lt: step } }]
+        },
+        { mfaLastUsedStep: step }
+      );
+      
+      codeAccepted = Boolean(claimed) && claimed.modifiedCount > 0;
+    }
+    
+    if (!isMatch || !codeAccepted) {
+      await recordAuditEvent(req, 'account_deletion_request', {
+        outcome: 'failure',
+        user,
+        details: { reason: 'reauthentication_failed' }
+      });
+      return res.status(401).json({
+        success: false,
+        message: user.mfaEnabled ? 'Invalid password or authentication code' : 'Password is incorrect'
+      });
+    }
+    
+    const organizations = await getSoleOwnedOrganizations(user._id);
+    
+    if (organizations.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Transfer ownership of your organizations before deleting your account',
+        data: { organizations }
+      });
+    }
+    
+    const deletionScheduledFor = await scheduleAccountDeletion(user);
+    
+    await recordAuditEvent(req, 'account_deletion_request', { user, details: { deletionScheduledFor } });
+    
+    try {
+      await sendAccountDeletionScheduledEmail(user.email, deletionScheduledFor);
+    } catch (error) {
+      console.error('Account deletion notification error:', error);
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Account scheduled for deletion',
+      data: { deletionScheduledFor }
+    });
+  } catch (error) {
+    console.error('Delete account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Cancel a scheduled deletion of the current user's account
+ * @route   POST /api/users/me/deletion/cancel
+ * @access  Private
+ */
+const cancelDeletion = async (req, res) => {
+  try {
+    const cancelled = await cancelAccountDeletion(req.user._id);
+    
+    if (!cancelled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Account is not scheduled for deletion'
+      });
+    }
+    
+    await recordAuditEvent(req, 'account_deletion_cancel', { user: req.user });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Account deletion cancelled'
+    });
+  } catch (error) {
+    console.error('Cancel deletion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    List the current user's security history, newest first
+ * @route   GET /api/users/me/audit-events?type=&page=&limit=
+ * @access  Private
+ */
+const listAuditEvents = async (req, res) => {
+  try {
+    const { type } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), MAX_PAGE_SIZE);
+    
+    const filter = { userId: req.user._id };
+    
+    if (typeof type === 'string' && type) {
+      filter.type = type;
+    }
+    
+    const [events, total] = await Promise.all([
+      AuditEvent.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      AuditEvent.countDocuments(filter)
+    ]);
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        events: events.map(formatAuditEvent),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('List audit events error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
 module.exports = {
-  getProtectedData
+  getProtectedData,
+  listSessions,
+  revokeSession,
+  revokeOtherSessions,
+  changePassword,
+  requestEmailChange,
+  exportData,
+  deleteAccount,
+  cancelDeletion,
+  listAuditEvents
 };
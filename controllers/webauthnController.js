@@ -0,0 +1,441 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const {
+  generateRegistrationOptions,
+  verifyRegistrationResponse,
+  generateAuthenticationOptions,
+  verifyAuthenticationResponse
+} = require('@simplewebauthn/server');
+const { decodeClientDataJSON, isoUint8Array } = require('@simplewebauthn/server/helpers');
+const User = require('../models/User');
+const WebAuthnChallenge = require('../models/WebAuthnChallenge');
+const { getRelyingParty } = require('../config/webauthn');
+const { checkFailedAttempts } = require('../middlewares/rateLimiter');
+const { getClientIp } = require('../utils/clientIp');
+const { registerFailedLogin } = require('../utils/lockout');
+const { completeLogin, recordLoginFailure } = require('./authController');
+
+// Fallback for decoy credential IDs when no secret is configured; stable for the process only
+const processDecoySecret = crypto.randomBytes(32);
+
+const getMaxPendingChallenges = () => parseInt(process.env.WEBAUTHN_MAX_PENDING_CHALLENGES) || 5;
+
+/**
+ * Store a ceremony challenge, keeping only the newest few per user so
+ * repeated option requests cannot pile up challenge documents
+ * @param {string} challenge - Challenge from the generated options
+ * @param {string} type - 'registration' or 'authentication'
+ * @param {string} [userId] - User the challenge is for, if known
+ */
+const storeChallenge = async (challenge, type, userId) => {
+  await WebAuthnChallenge.create({ challenge, type, userId: userId || null });
+  
+  if (!userId) return;
+  
+  const stale = await WebAuthnChallenge.find({ type, userId })
+    .sort({ createdAt: -1, _id: -1 })
+    .skip(getMaxPendingChallenges())
+    .select('_id');
+  
+  if (stale.length > 0) {
+    await WebAuthnChallenge.deleteMany({ _id: { $in: stale.map((doc) => doc._id) } });
+  }
+};
+
+/**
+ * Credential list offered for an email with no passkeys. Derived from the
+ * email so it is the same on every request and indistinguishable from a real
+ * account's list.
+ * @param {string} email - Normalized email
+ * @returns {Array} - allowCredentials entries
+ */
+const getDecoyCredentials = (email) => {
+  const secret = process.env.WEBAUTHN_DECOY_SECRET || process.env.JWT_SECRET || processDecoySecret;
+  
+  return [{
+    id: crypto.createHmac('sha256', secret).update(email).digest('base64url'),
+    transports: ['internal', 'hybrid']
+  }];
+};
+
+/**
+ * Look up and delete the stored challenge a ceremony response was signed over
+ * @param {Object} response - Credential JSON from the browser
+ * @param {string} type - 'registration' or 'authentication'
+ * @param {string} [userId] - Owner the challenge was issued to
+ * @returns {Promise<string|null>} - Challenge, or null if unknown, expired or already used
+ */
+const consumeChallenge = async (response, type, userId) => {
+  let challenge;
+  
+  try {
+    challenge = decodeClientDataJSON(response.response.clientDataJSON).challenge;
+  } catch (error) {
+    return null;
+  }
+  
+  const filter = { challenge, type };
+  if (userId) filter.userId = userId;
+  
+  const stored = await WebAuthnChallenge.findOneAndDelete(filter);
+  
+  return stored ? stored.challenge : null;
+};
+
+/**
+ * @desc    Get options to register a new passkey
+ * @route   POST /api/auth/webauthn/register/options
+ * @access  Private
+ */
+const registrationOptions = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    const { rpID, rpName } = getRelyingParty();
+    
+    const options = await generateRegistrationOptions({
+      rpName,
+      rpID,
+      userName: user.email,
+      userID: isoUint8Array.fromUTF8String(user._id.toString()),
+      attestationType: 'none',
+      // Stop the same authenticator being registered twice
+      excludeCredentials: user.webauthnCredentials.map((credential) => ({
+        id: credential.credentialId,
+        transports: credential.transports
+      })),
+      authenticatorSelection: {
+        residentKey: 'preferred',
+        userVerification: 'preferred'
+      }
+    });
+    
+    await storeChallenge(options.challenge, 'registration', user._id);
+    
+    res.status(200).json({
+      success: true,
+      data: { options }
+    });
+  } catch (error) {
+    console.error('WebAuthn registration options error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Verify a registration response and store the passkey
+ * @route   POST /api/auth/webauthn/register/verify
+ * @access  Private
+ */
+const verifyRegistration = async (req, res) => {
+  try {
+    const { response, name } = req.body;
+    
+    if (!response || !response.response) {
+      return res.status(400).json({
+        success: false,
+        message: 'Registration response is required'
+      });
+    }
+    
+    const expectedChallenge = await consumeChallenge(response, 'registration', req.user._id);
+    
+    if (!expectedChallenge) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired challenge'
+      });
+    }
+    
+    const { rpID, origin } = getRelyingParty();
+    let verification;
+    
+    try {
+      verification = await verifyRegistrationResponse({
+        response,
+        expectedChallenge,
+        expectedOrigin: origin,
+        expectedRPID: rpID,
+        requireUserVerification: false
+      });
+    } catch (error) {
+      console.error('WebAuthn registration verification failed:', error.message);
+      verification = null;
+    }
+    
+    if (!verification || !verification.verified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Passkey registration failed'
+      });
+    }
+    
+    const { credential } = verification.registrationInfo;
+    const user = await User.findById(req.user._id);
+    
+    if (user.webauthnCredentials.some((existing) => existing.credentialId === credential.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Passkey is already registered'
+      });
+    }
+    
+    user.webauthnCredentials.push({
+      credentialId: credential.id,
+      publicKey: Buffer.from(credential.publicKey),
+      counter: credential.counter,
+      transports: credential.transports || response.response.transports || [],
+      name: name ? String(name).slice(0, 100) : undefined
+    });
+    await user.save();
+    
+    const stored = user.webauthnCredentials[user.webauthnCredentials.length - 1];
+    
+    res.status(201).json({
+      success: true,
+      message: 'Passkey registered',
+      data: {
+        passkey: {
+          id: stored._id,
+          name: stored.name,
+          createdAt: stored.createdAt
+        }
+      }
+    });
+  } catch (error) {
+    console.error('WebAuthn registration error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Get options to sign in with a passkey
+ * @route   POST /api/auth/webauthn/login/options
+ * @access  Public
+ */
+const authenticationOptions = async (req, res) => {
+  try {
+    const { email } = req.body;
+    let allowCredentials;
+    let userId;
+    
+    // Without an email the browser offers any discoverable passkey for this site
+    if (typeof email === 'string' && email) {
+      const normalizedEmail = email.trim().toLowerCase();
+      const user = await User.findOne({ email: normalizedEmail });
+      
+      if (user && user.webauthnCredentials.length > 0) {
+        userId = user._id;
+        allowCredentials = user.webauthnCredentials.map((credential) => ({
+          id: credential.credentialId,
+          transports: credential.transports
+        }));
+      } else {
+        // Don't reveal whether the email has an account or any passkeys
+        allowCredentials = getDecoyCredentials(normalizedEmail);
+      }
+    }
+    
+    const { rpID } = getRelyingParty();
+    const options = await generateAuthenticationOptions({
+      rpID,
+      allowCredentials,
+      userVerification: 'required'
+    });
+    
+    await storeChallenge(options.challenge, 'authentication', userId);
+    
+    res.status(200).json({
+      success: true,
+      data: { options }
+    });
+  } catch (error) {
+    console.error('WebAuthn authentication options error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Verify a passkey assertion and log the user in (passwordless)
+ * @route   POST /api/auth/webauthn/login/verify
+ * @access  Public
+ */
+const verifyAuthentication = async (req, res) => {
+  try {
+    const { response } = req.body;
+    const clientIP = getClientIp(req);
+    
+    if (!response || !response.id || !response.response) {
+      return res.status(400).json({
+        success: false,
+        message: 'Authentication response is required'
+      });
+    }
+    
+    const expectedChallenge = await consumeChallenge(response, 'authentication');
+    
+    if (!expectedChallenge) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired challenge'
+      });
+    }
+    
+    const user = await User.findOne({ 'webauthnCredentials.credentialId': response.id });
+    
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid passkey'
+      });
+    }
+    
+    if (!user.isVerified) {
+      return res.status(401).json({
+        success: false,
+        message: 'Please verify your email first'
+      });
+    }
+    
+    const blockMessage = await checkFailedAttempts(user.email, clientIP);
+    
+    if (blockMessage) {
+      return res.status(429).json({
+        success: false,
+        message: blockMessage
+      });
+    }
+    
+    const credential = user.webauthnCredentials.find(
+      (candidate) => candidate.credentialId === response.id
+    );
+    const { rpID, origin } = getRelyingParty();
+    let verification;
+    
+    try {
+      verification = await verifyAuthenticationResponse({
+        response,
+        expectedChallenge,
+        expectedOrigin: origin,
+        expectedRPID: rpID,
+        credential: {
+          id: credential.credentialId,
+          publicKey: new Uint8Array(credential.publicKey),
+          counter: credential.counter,
+          transports: credential.transports
+        },
+        requireUserVerification: true
+      });
+    } catch (error) {
+      console.error('WebAuthn authentication verification failed:', error.message);
+      verification = null;
+    }
+    
+    if (!verification || !verification.verified) {
+      await recordLoginFailure(req, user.email, user, 'invalid_passkey');
+      await registerFailedLogin(user._id);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid passkey'
+      });
+    }
+    
+    // Track the signature counter to detect cloned authenticators
+    credential.counter = verification.authenticationInfo.newCounter;
+    credential.lastUsedAt = new Date();
+    await user.save();
+    
+    req.userEmail = user.email;
+    
+    await completeLogin(req, res, user);
+  } catch (error) {
+    console.error('WebAuthn authentication error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    List the current user's passkeys
+ * @route   GET /api/users/me/passkeys
+ * @access  Private
+ */
+const listPasskeys = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        passkeys: user.webauthnCredentials.map((credential) => ({
+          id: credential._id,
+          name: credential.name,
+          transports: credential.transports,
+          createdAt: credential.createdAt,
+          lastUsedAt: credential.lastUsedAt
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('List passkeys error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Remove one of the current user's passkeys
+ * @route   DELETE /api/users/me/passkeys/:id
+ * @access  Private
+ */
+const deletePasskey = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const result = mongoose.isValidObjectId(id)
+      ? await User.updateOne(
+        { _id: req.user._id },
+        { $pull: { webauthnCredentials: { _id: id } } }
+      )
+      : null;
+    
+    if (!result || result.modifiedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Passkey not found'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Passkey removed'
+    });
+  } catch (error) {
+    console.error('Delete passkey error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+module.exports = {
+  registrationOptions,
+  verifyRegistration,
+  authenticationOptions,
+  verifyAuthentication,
+  listPasskeys,
+  deletePasskey
+};
@@ -0,0 +1,23 @@
+const { getJwks } = require('../utils/keyRing');
+
+/**
+ * @desc    Publish public JWT verification keys
+ * @route   GET /.well-known/jwks.json
+ * @access  Public
+ */
+const jwks = async (req, res) => {
+  try {
+    res.set('Cache-Control', 'public, max-age=300');
+    res.status(200).json(getJwks());
+  } catch (error) {
+    console.error('JWKS error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+module.exports = {
+  jwks
+};
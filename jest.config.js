@@ -5,11 +5,11 @@ module.exports = {
   coverageDirectory: 'coverage',
   coveragePathIgnorePatterns: [
     '/node_modules/',
-    '/tests/',
+    '/test/',
     '/coverage/'
   ],
   testMatch: [
-    '**/tests/**/*.test.js'
+    '**/test/**/*.test.js'
   ],
-  setupFilesAfterEnv: ['<rootDir>/tests/setup.js']
+  setupFilesAfterEnv: ['<rootDir>/test/setup.js']
 };
\ No newline at end of file
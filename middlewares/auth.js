@@ -1,5 +1,101 @@
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const ActiveSession = require('../models/ActiveSession');
+const Organization = require('../models/Organization');
+const Membership = require('../models/Membership');
+const { verifyToken } = require('../utils/keyRing');
+const { TOKEN_AUDIENCES } = require('../utils/tokenGenerator');
+const { getCachedSession, cacheSession } = require('../utils/sessionCache');
+const { touchSession } = require('../utils/sessions');
+const { getApiKeyFromRequest, authenticateApiKey } = require('../utils/apiKeys');
+const { hasPermission, resolvePermissions } = require('../utils/permissions');
+
+/**
+ * 401 messages for tokens that verify but are no longer usable
+ */
+const SESSION_ERRORS = {
+  expired: 'Not authorized, token expired',
+  revoked: 'Not authorized, session revoked',
+  superseded: 'Not authorized, session token has been refreshed'
+};
+
+/**
+ * Check that a token still belongs to a live session
+ * @param {Object} decoded - Verified token payload ({ id, sid })
+ * @param {string} token - Presented JWT
+ * @returns {Promise<string>} - 'active', 'revoked' or 'superseded'
+ */
+const getSessionStatus = async (decoded, token) => {
+  if (!decoded.sid) {
+    return 'revoked';
+  }
+
+  // Fast path - token matches the cached live session
+  if (getCachedSession(decoded.sid) === token) {
+    return 'active';
+  }
+
+  const session = await ActiveSession.findOne({ _id: decoded.sid, userId: decoded.id });
+
+  if (!session) {
+    return 'revoked';
+  }
+
+  if (session.token !== token) {
+    return 'superseded';
+  }
+
+  cacheSession(decoded.sid, token);
+  touchSession(session);
+  return 'active';
+};
+
+/**
+ * Resolve the active organization from the X-Organization-Id header, falling
+ * back to the token's org claim. Sets req.organization and req.membership.
+ * A claim for an organization the user has left, or that no longer exists,
+ * is dropped from the session rather than refused, so the user can carry on
+ * without one; only an organization asked for in the header is refused.
+ * @param {Object} req - Request with req.user set
+ * @param {string} [claimedOrganizationId] - org claim from the access token
+ * @param {string} [sessionId] - Session the claim came from
+ * @returns {Promise<boolean>} - false if the user is not a member of the requested organization
+ */
+const resolveOrganization = async (req, claimedOrganizationId, sessionId) => {
+  const requestedOrganizationId = req.headers['x-organization-id'];
+  const organizationId = requestedOrganizationId || claimedOrganizationId;
+  
+  if (!organizationId) {
+    return true;
+  }
+  
+  const [organization, membership] = mongoose.isValidObjectId(organizationId)
+    ? await Promise.all([
+      Organization.findById(organizationId),
+      Membership.findOne({ organizationId, userId: req.user._id })
+    ])
+    : [null, null];
+  
+  if (!organization || !membership) {
+    if (requestedOrganizationId) {
+      return false;
+    }
+    
+    // Stale claim - refreshed tokens will no longer carry it
+    if (sessionId) {
+      await ActiveSession.updateOne(
+        { _id: sessionId, organizationId: claimedOrganizationId },
+        { organizationId: null }
+      );
+    }
+    return true;
+  }
+  
+  req.organization = organization;
+  req.membership = membership;
+  return true;
+};
 
 /**
  * Authentication middleware to protect routes
@@ -16,8 +112,19 @@ const protect = async (req, res, next) => {
       // Get token from header
       token = req.headers.authorization.split(' ')[1];
       
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      // Verify token - MFA challenge tokens share the key ring but not the audience
+      const decoded = verifyToken(token, { audience: TOKEN_AUDIENCES.access });
+      
+      // Check token has not been logged out or replaced
+      const sessionStatus = await getSessionStatus(decoded, token);
+      
+      if (sessionStatus !== 'active') {
+        return res.status(401).json({
+          success: false,
+          reason: sessionStatus,
+          message: SESSION_ERRORS[sessionStatus]
+        });
+      }
       
       // Find user by id and exclude password
       req.user = await User.findById(decoded.id).select('-password');
@@ -38,8 +145,32 @@ const protect = async (req, res, next) => {
         });
       }
       
+      if (req.user.isLocked()) {
+        return res.status(401).json({
+          success: false,
+          message: 'Not authorized, account locked'
+        });
+      }
+      
+      if (!(await resolveOrganization(req, decoded.org, decoded.sid))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not a member of this organization'
+        });
+      }
+      
+      req.token = token;
+      req.sessionId = decoded.sid;
       next();
     } catch (error) {
+      if (error instanceof jwt.TokenExpiredError) {
+        return res.status(401).json({
+          success: false,
+          reason: 'expired',
+          message: SESSION_ERRORS.expired
+        });
+      }
+      
       console.error('Auth middleware error:', error);
       return res.status(401).json({
         success: false,
@@ -56,4 +187,133 @@ const protect = async (req, res, next) => {
   }
 };
 
-module.exports = { protect };
+/**
+ * Authentication middleware for routes open to machine clients -
+ * accepts an API key (X-API-Key or Bearer sbk_...) or falls back to protect
+ */
+const protectOrApiKey = async (req, res, next) => {
+  const key = getApiKeyFromRequest(req);
+  
+  if (!key) {
+    return protect(req, res, next);
+  }
+  
+  try {
+    const apiKey = await authenticateApiKey(key);
+    
+    if (!apiKey) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized, invalid or expired API key'
+      });
+    }
+    
+    req.user = await User.findById(apiKey.userId).select('-password');
+    
+    if (!req.user || !req.user.isVerified) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized, user not found'
+      });
+    }
+    
+    if (req.user.isLocked()) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized, account locked'
+      });
+    }
+    
+    if (!(await resolveOrganization(req))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not a member of this organization'
+      });
+    }
+    
+    req.apiKey = apiKey;
+    next();
+  } catch (error) {
+    console.error('API key middleware error:', error);
+    return res.status(401).json({
+      success: false,
+      message: 'Not authorized, API key failed'
+    });
+  }
+};
+
+/**
+ * Require a scope on API key requests; interactive sessions pass through
+ * @param {string} scope - Scope such as 'profile:read'
+ */
+const requireScope = (scope) => (req, res, next) => {
+  if (!req.apiKey || req.apiKey.scopes.includes(scope)) {
+    return next();
+  }
+  
+  return res.status(403).json({
+    success: false,
+    message: `API key is missing the required scope: ${scope}`
+  });
+};
+
+/**
+ * Authorization middleware - use after protect or protectOrApiKey.
+ * Permissions are resolved per request from the user's roles, so role
+ * changes apply immediately. API key requests also need a matching scope.
+ * @param {...string} permissions - Required permissions, e.g. 'users:read'
+ */
+const authorize = (...permissions) => async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized, no token provided'
+      });
+    }
+    
+    req.permissions = req.permissions || await resolvePermissions(req.user, req.membership);
+    
+    const missing = permissions.find((permission) => {
+      if (!hasPermission(req.permissions, permission)) return true;
+      return req.apiKey && !hasPermission(req.apiKey.scopes, permission);
+    });
+    
+    if (missing) {
+      return res.status(403).json({
+        success: false,
+        message: `Forbidden, missing permission: ${missing}`
+      });
+    }
+    
+    next();
+  } catch (error) {
+    console.error('Authorize middleware error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * Require an active organization - use after protect
+ */
+const requireOrganization = (req, res, next) => {
+  if (req.organization) {
+    return next();
+  }
+  
+  return res.status(400).json({
+    success: false,
+    message: 'No active organization. Send X-Organization-Id or switch organization first.'
+  });
+};
+
+module.exports = {
+  protect,
+  protectOrApiKey,
+  requireScope,
+  authorize,
+  requireOrganization
+};
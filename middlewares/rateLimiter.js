@@ -1,48 +1,301 @@
 const rateLimit = require('express-rate-limit');
 const LoginAttempt = require('../models/LoginAttempt');
-const ActiveSession = require('../models/ActiveSession');
+const User = require('../models/User');
+const { verifyToken } = require('../utils/keyRing');
+const { TOKEN_AUDIENCES } = require('../utils/tokenGenerator');
+const { getLockoutStatus, sendLockoutResponse } = require('../utils/lockout');
+const { createRateLimitStore, isFailOpen } = require('../utils/rateLimitStore');
+const { getRateLimitPolicy, resolvePolicy, formatWindow } = require('../utils/rateLimitPolicy');
+const { getClientIp } = require('../utils/clientIp');
+const { getApiKeyFromRequest, findLiveApiKey } = require('../utils/apiKeys');
+const { isCaptchaEnabled, verifyCaptcha, sendCaptchaChallenge } = require('../utils/captcha');
+const {
+  getSourceSubnet,
+  getActiveStuffingEvent,
+  detectCredentialStuffing
+} = require('../utils/credentialStuffing');
+
+/**
+ * Work out who is calling before protect or protectOrApiKey have run, as for
+ * the global API limiter, so user and API key limits and allowlists still
+ * apply. Credentials are only read here, never rejected - callers without
+ * valid ones are limited by IP and turned away later by the auth middleware.
+ * @param {Object} req - Request
+ */
+const identifyClient = async (req) => {
+  if (req.user || req.apiKey || req.rateLimitIdentity) return;
+  
+  req.rateLimitIdentity = {};
+  
+  try {
+    const key = getApiKeyFromRequest(req);
+    
+    if (key) {
+      const apiKey = await findLiveApiKey(key);
+      
+      if (apiKey) {
+        req.rateLimitIdentity = { userId: apiKey.userId, apiKeyId: apiKey._id, apiKeyPrefix: apiKey.prefix };
+      }
+      return;
+    }
+    
+    const { authorization } = req.headers;
+    
+    if (authorization && authorization.startsWith('Bearer ')) {
+      const decoded = verifyToken(authorization.split(' ')[1], { audience: TOKEN_AUDIENCES.access });
+      req.rateLimitIdentity = { userId: decoded.id };
+    }
+  } catch (error) {
+    // Invalid or expired credentials - count the request against the IP
+  }
+};
+
+/**
+ * Authenticated identity of a request, from the auth middleware or identifyClient
+ * @param {Object} req - Request
+ * @returns {Object} - { userId, apiKeyId, apiKeyPrefix } - unset when unknown
+ */
+const getClientIdentity = (req) => {
+  const identity = req.rateLimitIdentity || {};
+  
+  return {
+    userId: req.user ? req.user._id : identity.userId,
+    apiKeyId: req.apiKey ? req.apiKey._id : identity.apiKeyId,
+    apiKeyPrefix: req.apiKey ? req.apiKey.prefix : identity.apiKeyPrefix
+  };
+};
+
+/**
+ * Get the client key a policy counts against. Identities that are not set
+ * yet (no authenticated user or API key, no email in the body) fall back to
+ * the client IP, so a limiter can never be dodged by omitting them.
+ * @param {Object} req - Request
+ * @param {string} keyBy - ip, email, user or apiKey
+ * @returns {string} - Rate limit key
+ */
+const getClientKey = (req, keyBy) => {
+  const ip = getClientIp(req);
+  const { userId, apiKeyId } = getClientIdentity(req);
+  
+  if (keyBy === 'email' && req.body && typeof req.body.email === 'string') {
+    return `email:${req.body.email.toLowerCase()}`;
+  }
+  
+  if (keyBy === 'user' && userId) {
+    return `user:${userId}`;
+  }
+  
+  if (keyBy === 'apiKey' && apiKeyId) {
+    return `apiKey:${apiKeyId}`;
+  }
+  
+  return `ip:${ip}`;
+};
+
+/**
+ * Whether a request comes from an allowlisted client
+ * @param {Object} req - Request
+ * @returns {boolean} - Whether the client is exempt from rate limits
+ */
+const isAllowlisted = (req) => {
+  const { allowlist } = getRateLimitPolicy();
+  const { userId, apiKeyPrefix } = getClientIdentity(req);
+  
+  if (allowlist.isAllowedIp(getClientIp(req))) return true;
+  if (userId && allowlist.users.has(String(userId))) return true;
+  if (apiKeyPrefix && allowlist.apiKeys.has(apiKeyPrefix)) return true;
+  
+  return false;
+};
+
+/**
+ * Whether a policy needs to know the caller's user or API key
+ */
+const needsIdentity = (policy, allowlist) => {
+  return policy.keyBy === 'user' ||
+    policy.keyBy === 'apiKey' ||
+    allowlist.users.size > 0 ||
+    allowlist.apiKeys.size > 0;
+};
+
+/**
+ * Create a limiter driven by a named policy. The underlying express-rate-limit
+ * instance is built on first use and rebuilt whenever the policy set is
+ * reloaded; routes with an override get their own instance and counters.
+ * @param {string} name - Policy name, e.g. 'auth'
+ * @returns {Function} - Express middleware
+ */
+const createPolicyLimiter = (name) => {
+  let limiters = new Map();
+  let builtForVersion = null;
+  
+  const buildLimiter = (policy, route) => {
+    const store = createRateLimitStore(route ? `${name}:${route}` : name);
+    
+    const limiter = rateLimit({
+      windowMs: policy.windowMs,
+      max: policy.max,
+      message: {
+        success: false,
+        message: policy.message.replace('{window}', formatWindow(policy.windowMs))
+      },
+      standardHeaders: true,
+      legacyHeaders: false,
+      keyGenerator: (req) => getClientKey(req, policy.keyBy),
+      skip: isAllowlisted,
+      store,
+      passOnStoreError: isFailOpen(),
+      // Limiters are built lazily, inside the first request that needs them
+      validate: { creationStack: false }
+    });
+    
+    return { limiter, store };
+  };
+  
+  return async (req, res, next) => {
+    try {
+      const { version, allowlist } = getRateLimitPolicy();
+      const { policy, route } = resolvePolicy(name, req);
+      
+      // Policy reloaded - drop limiters built from the old one
+      if (builtForVersion !== version) {
+        limiters.forEach(({ store }) => store.shutdown && store.shutdown());
+        limiters = new Map();
+        builtForVersion = version;
+      }
+      
+      const cacheKey = route || '';
+      if (!limiters.has(cacheKey)) {
+        limiters.set(cacheKey, buildLimiter(policy, route));
+      }
+      
+      if (needsIdentity(policy, allowlist)) {
+        await identifyClient(req);
+      }
+      
+      return limiters.get(cacheKey).limiter(req, res, next);
+    } catch (error) {
+      console.error(`Rate limiter (${name}) error:`, error);
+      return res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  };
+};
 
 /**
  * Rate limiter middleware to prevent brute force attacks on auth routes
  */
-const authLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 5, // Limit each IP to 5 requests per windowMs for auth routes
-  message: {
-    success: false,
-    message: 'Too many authentication attempts, please try again after 15 minutes'
-  },
-  standardHeaders: true,
-  legacyHeaders: false,
-});
+const authLimiter = createPolicyLimiter('auth');
 
 /**
  * Registration rate limiter - more restrictive
  */
-const registrationLimiter = rateLimit({
-  windowMs: 60 * 60 * 1000, // 1 hour
-  max: 3, // Limit each IP to 3 registration attempts per hour
-  message: {
-    success: false,
-    message: 'Too many registration attempts, please try again after 1 hour'
-  },
-  standardHeaders: true,
-  legacyHeaders: false,
-});
+const registrationLimiter = createPolicyLimiter('registration');
 
 /**
  * General API rate limiter
  */
-const apiLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // Limit each IP to 100 requests per windowMs
-  message: {
-    success: false,
-    message: 'Too many requests, please try again after 15 minutes'
-  },
-  standardHeaders: true,
-  legacyHeaders: false,
-});
+const apiLimiter = createPolicyLimiter('api');
+
+/**
+ * Count recent failed login attempts for an email and IP
+ * @param {string} email - Account email
+ * @param {string} clientIP - Client IP
+ * @returns {Promise<Object>} - { byEmail, byIp }
+ */
+const countFailedAttempts = async (email, clientIP) => {
+  // LoginAttempt records expire after 15 minutes, which caps the usable window
+  const { windowMs } = getRateLimitPolicy().policies.loginFailures;
+  const windowStart = new Date(Date.now() - windowMs);
+  
+  // Check failed attempts for this email within the window
+  const byEmail = await LoginAttempt.countDocuments({
+    email: email.toLowerCase(),
+    successful: false,
+    timestamp: { $gte: windowStart }
+  });
+  
+  // Allowlisted addresses (e.g. an office NAT) are only limited per email
+  if (getRateLimitPolicy().allowlist.isAllowedIp(clientIP)) {
+    return { byEmail, byIp: 0 };
+  }
+  
+  // Check failed attempts for this IP within the window
+  const byIp = await LoginAttempt.countDocuments({
+    ip: clientIP,
+    successful: false,
+    timestamp: { $gte: windowStart }
+  });
+  
+  return { byEmail, byIp };
+};
+
+/**
+ * Get the block message for a set of failed attempt counts
+ * @param {Object} counts - Result of countFailedAttempts
+ * @returns {string|null} - Block message, or null if the attempt may proceed
+ */
+const getFailedAttemptsMessage = ({ byEmail, byIp }) => {
+  const { windowMs, maxPerEmail, maxPerIp } = getRateLimitPolicy().policies.loginFailures;
+  const retryIn = formatWindow(windowMs);
+  
+  if (byEmail >= maxPerEmail) {
+    return `Too many failed login attempts for this email. Please try again in ${retryIn}.`;
+  }
+  
+  if (byIp >= maxPerIp) {
+    return `Too many failed login attempts from this IP. Please try again in ${retryIn}.`;
+  }
+  
+  return null;
+};
+
+/**
+ * Check recent failed login attempts for an email and IP
+ * @param {string} email - Account email
+ * @param {string} clientIP - Client IP
+ * @returns {Promise<string|null>} - Block message, or null if the attempt may proceed
+ */
+const checkFailedAttempts = async (email, clientIP) => {
+  return getFailedAttemptsMessage(await countFailedAttempts(email, clientIP));
+};
+
+/**
+ * CAPTCHA challenge for routes behind authLimiter or registrationLimiter:
+ * once a client has used more than captcha.afterRequests of the limiter's
+ * window, further requests need a solved CAPTCHA. Does nothing when no
+ * CAPTCHA provider is configured.
+ */
+const captchaChallenge = async (req, res, next) => {
+  try {
+    // req.rateLimit is set by the limiter in front, unless the client is allowlisted
+    if (!isCaptchaEnabled() || !req.rateLimit) {
+      return next();
+    }
+    
+    const { afterRequests } = getRateLimitPolicy().policies.captcha;
+    
+    if (req.rateLimit.used <= afterRequests) {
+      return next();
+    }
+    
+    const { captchaToken } = req.body || {};
+    
+    if (!(await verifyCaptcha(captchaToken, getClientIp(req)))) {
+      return sendCaptchaChallenge(res, Boolean(captchaToken));
+    }
+    
+    next();
+  } catch (error) {
+    console.error('CAPTCHA challenge error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
 
 /**
  * Advanced login rate limiter with user-specific tracking
@@ -50,60 +303,64 @@ const apiLimiter = rateLimit({
 const advancedLoginLimiter = async (req, res, next) => {
   try {
     const { email } = req.body;
-    const clientIP = req.ip || req.connection.remoteAddress;
-    const now = new Date();
-    const fifteenMinutesAgo = new Date(now.getTime() - 15 * 60 * 1000);
-
+    const clientIP = getClientIp(req);
+    
     if (!email) {
       return res.status(400).json({
         success: false,
         message: 'Email is required'
       });
     }
-
-    // Check failed attempts for this email in the last 15 minutes
-    const failedAttempts = await LoginAttempt.countDocuments({
-      email: email.toLowerCase(),
-      successful: false,
-      timestamp: { $gte: fifteenMinutesAgo }
-    });
-
-    // Check failed attempts for this IP in the last 15 minutes
-    const ipFailedAttempts = await LoginAttempt.countDocuments({
-      ip: clientIP,
-      successful: false,
-      timestamp: { $gte: fifteenMinutesAgo }
-    });
-
-    // Block if too many failed attempts
-    if (failedAttempts >= 5) {
+    
+    const failedAttempts = await countFailedAttempts(email, clientIP);
+    const blockMessage = getFailedAttemptsMessage(failedAttempts);
+    
+    if (blockMessage) {
       return res.status(429).json({
         success: false,
-        message: 'Too many failed login attempts for this email. Please try again in 15 minutes.'
+        message: blockMessage
       });
     }
-
-    if (ipFailedAttempts >= 10) {
+    
+    // A few failures ask for a CAPTCHA well before the flat limits above kick in
+    const { afterLoginFailures } = getRateLimitPolicy().policies.captcha;
+    const suspicious = Math.max(failedAttempts.byEmail, failedAttempts.byIp) >= afterLoginFailures;
+    
+    if (isCaptchaEnabled() && suspicious) {
+      const { captchaToken } = req.body;
+      
+      if (!(await verifyCaptcha(captchaToken, clientIP))) {
+        return sendCaptchaChallenge(res, Boolean(captchaToken));
+      }
+    }
+    
+    // Network flagged for credential stuffing - block outright, or challenge the login
+    const stuffing = await getActiveStuffingEvent(clientIP);
+    
+    if (stuffing && stuffing.action === 'block') {
+      const retryAfter = Math.ceil((stuffing.activeUntil.getTime() - Date.now()) / 1000);
+      res.set('Retry-After', String(retryAfter));
       return res.status(429).json({
         success: false,
-        message: 'Too many failed login attempts from this IP. Please try again in 15 minutes.'
+        reason: 'credential_stuffing',
+        retryAfter,
+        message: 'Too many failed logins from your network. Please try again later.'
       });
     }
-
-    // Check if user is already logged in (has active session)
-    const user = await require('../models/User').findOne({ email: email.toLowerCase() });
-    if (user) {
-      const activeSession = await ActiveSession.findOne({ userId: user._id });
-      if (activeSession) {
-        return res.status(409).json({
-          success: false,
-          message: 'User is already logged in. Please logout first or wait for session to expire.'
-        });
-      }
+    
+    if (stuffing) {
+      req.loginChallenge = 'email_confirmation';
     }
-
-    // Store client IP and email for later use in login controller
-    req.clientIP = clientIP;
+    
+    // Persistent lockout on the account itself
+    const user = await User.findOne({ email: String(email).toLowerCase() });
+    const lockout = user && getLockoutStatus(user);
+    
+    if (lockout) {
+      return sendLockoutResponse(res, lockout);
+    }
+    
+    // Store email for later use in login controller
     req.userEmail = email.toLowerCase();
     
     next();
@@ -117,48 +374,85 @@ const advancedLoginLimiter = async (req, res, next) => {
 };
 
 /**
- * Record login attempt
+ * Second-factor rate limiter - validates the MFA challenge token and applies
+ * the same failed-attempt limits as login to the account behind it
  */
-const recordLoginAttempt = async (email, ip, successful) => {
+const mfaLimiter = async (req, res, next) => {
   try {
-    await LoginAttempt.create({
-      email: email.toLowerCase(),
-      ip,
-      successful
-    });
-  } catch (error) {
-    console.error('Error recording login attempt:', error);
-  }
-};
-
-/**
- * Create active session
- */
-const createActiveSession = async (userId, token) => {
-  try {
-    // Remove any existing session for this user
-    await ActiveSession.deleteOne({ userId });
+    const { mfaToken } = req.body;
+    const clientIP = getClientIp(req);
     
-    // Create new session
-    await ActiveSession.create({
-      userId,
-      token
-    });
+    if (!mfaToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'MFA token is required'
+      });
+    }
+    
+    let decoded;
+    try {
+      decoded = verifyToken(mfaToken, { audience: TOKEN_AUDIENCES.mfa });
+    } catch (error) {
+      decoded = null;
+    }
+    
+    const user = decoded && decoded.purpose === 'mfa'
+      ? await User.findById(decoded.id)
+      : null;
+    
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired MFA token'
+      });
+    }
+    
+    const blockMessage = await checkFailedAttempts(user.email, clientIP);
+    
+    if (blockMessage) {
+      return res.status(429).json({
+        success: false,
+        message: blockMessage
+      });
+    }
+    
+    const lockout = getLockoutStatus(user);
+    
+    if (lockout) {
+      return sendLockoutResponse(res, lockout);
+    }
+    
+    // Store email for later use in MFA controller
+    req.userEmail = user.email;
+    req.mfaUserId = user._id;
+    
+    next();
   } catch (error) {
-    console.error('Error creating active session:', error);
-    throw error;
+    console.error('MFA limiter error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
   }
 };
 
 /**
- * Remove active session (logout)
+ * Record login attempt
  */
-const removeActiveSession = async (userId) => {
+const recordLoginAttempt = async (email, ip, successful) => {
   try {
-    await ActiveSession.deleteOne({ userId });
+    await LoginAttempt.create({
+      email: email.toLowerCase(),
+      ip,
+      subnet: getSourceSubnet(ip),
+      successful
+    });
+    
+    if (!successful) {
+      await detectCredentialStuffing(ip);
+    }
   } catch (error) {
-    console.error('Error removing active session:', error);
-    throw error;
+    console.error('Error recording login attempt:', error);
   }
 };
 
@@ -167,7 +461,8 @@ module.exports = {
   registrationLimiter,
   apiLimiter,
   advancedLoginLimiter,
-  recordLoginAttempt,
-  createActiveSession,
-  removeActiveSession
+  mfaLimiter,
+  captchaChallenge,
+  checkFailedAttempts,
+  recordLoginAttempt
 };
\ No newline at end of file
@@ -4,18 +4,45 @@ const ActiveSessionSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true,
-    unique: true
+    required: true
   },
   token: {
     type: String,
     required: true
   },
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId, // Active organization, carried in the token's org claim
+    ref: 'Organization',
+    default: null
+  },
+  device: {
+    type: String,
+    default: 'Unknown device'
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
   createdAt: {
     type: Date,
-    default: Date.now,
-    expires: 86400 // Document expires after 24 hours (same as JWT)
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    expires: 0 // Document expires with the session's refresh tokens
   }
 });
 
+// Index for listing a user's sessions
+ActiveSessionSchema.index({ userId: 1, createdAt: -1 });
+
 module.exports = mongoose.model('ActiveSession', ActiveSessionSchema);
\ No newline at end of file
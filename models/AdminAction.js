@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// Record of an administrator acting on a user account
+const AdminActionSchema = new mongoose.Schema({
+  adminId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  adminEmail: {
+    type: String,
+    required: true
+  },
+  action: {
+    type: String,
+    required: true,
+    enum: ['lock', 'unlock', 'verify', 'password_reset', 'revoke_sessions', 'delete']
+  },
+  targetUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  targetEmail: {
+    type: String, // Kept so the record stays readable after a delete
+    required: true
+  },
+  details: {
+    type: Object,
+    default: {}
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes for reviewing actions by target or by admin
+AdminActionSchema.index({ targetUserId: 1, createdAt: -1 });
+AdminActionSchema.index({ adminId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AdminAction', AdminActionSchema);
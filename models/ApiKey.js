@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+const ApiKeySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name should be at most 100 characters long']
+  },
+  prefix: {
+    type: String, // First characters of the key, shown so users can tell keys apart
+    required: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  scopes: {
+    type: [String],
+    default: []
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for listing a user's keys
+ApiKeySchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ApiKey', ApiKeySchema);
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+// Security-relevant event on an account, kept for the audit retention period
+const AuditEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    enum: [
+      'register',
+      'verify_registration',
+      'login',
+      'logout',
+      'password_reset_request',
+      'password_reset',
+      'password_change',
+      'email_change',
+      'email_change_revert',
+      'session_revoke',
+      'account_deletion_request',
+      'account_deletion_cancel',
+      'account_lock',
+      'account_unlock',
+      'account_verify',
+      'account_delete'
+    ]
+  },
+  outcome: {
+    type: String,
+    required: true,
+    enum: ['success', 'failure']
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId, // Account the event is about, if known
+    ref: 'User',
+    default: null
+  },
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId, // Who acted - differs from userId when an administrator does
+    ref: 'User',
+    default: null
+  },
+  email: {
+    type: String, // Account email at the time, or the one a failed login was for
+    lowercase: true,
+    trim: true,
+    default: null
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  details: {
+    type: Object,
+    default: {}
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    expires: 0 // Document is removed once the retention period is over
+  }
+});
+
+// Indexes for a user's own history and for the admin query filters
+AuditEventSchema.index({ userId: 1, createdAt: -1 });
+AuditEventSchema.index({ email: 1, createdAt: -1 });
+AuditEventSchema.index({ ip: 1, createdAt: -1 });
+AuditEventSchema.index({ type: 1, createdAt: -1 });
+
+// Append-only: events can be added, but not changed or removed through the model
+const appendOnly = function(next) {
+  next(new Error('Audit events are append-only'));
+};
+
+AuditEventSchema.pre('save', function(next) {
+  if (!this.isNew) return appendOnly(next);
+  next();
+});
+
+AuditEventSchema.pre([
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+], appendOnly);
+
+module.exports = mongoose.model('AuditEvent', AuditEventSchema);
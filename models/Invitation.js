@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+const InvitationSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: ['admin', 'member'],
+    default: 'member'
+  },
+  tokenHash: {
+    type: String, // SHA-256 of the emailed token
+    required: true,
+    unique: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  acceptedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    expires: 0 // Document is automatically removed once expired
+  }
+});
+
+// Index for listing an organization's invitations
+InvitationSchema.index({ organizationId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Invitation', InvitationSchema);
@@ -11,6 +11,10 @@ const LoginAttemptSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  subnet: {
+    type: String, // /24 or /64 network of the IP, for spotting distributed attacks
+    default: null
+  },
   successful: {
     type: Boolean,
     default: false
@@ -25,5 +29,6 @@ const LoginAttemptSchema = new mongoose.Schema({
 // Index for efficient queries
 LoginAttemptSchema.index({ email: 1, timestamp: -1 });
 LoginAttemptSchema.index({ ip: 1, timestamp: -1 });
+LoginAttemptSchema.index({ subnet: 1, timestamp: -1 });
 
 module.exports = mongoose.model('LoginAttempt', LoginAttemptSchema);
\ No newline at end of file
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// A user's membership of an organization and their role within it
+const MembershipSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ['owner', 'admin', 'member'],
+    default: 'member'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One membership per user and organization
+MembershipSchema.index({ organizationId: 1, userId: 1 }, { unique: true });
+
+// Index for listing a user's organizations
+MembershipSchema.index({ userId: 1 });
+
+module.exports = mongoose.model('Membership', MembershipSchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Single-use token sent by email (registration, password reset, magic link, ...)
+const OneTimeTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  purpose: {
+    type: String,
+    required: true
+  },
+  tokenHash: {
+    type: String, // SHA-256 of the emailed token
+    required: true,
+    unique: true
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed, // Flow-specific details, e.g. why a login needs confirming
+    default: null
+  },
+  consumedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    expires: 0 // Document is automatically removed once expired
+  }
+});
+
+// Index for invalidating a user's outstanding tokens of one purpose
+OneTimeTokenSchema.index({ userId: 1, purpose: 1 });
+
+module.exports = mongoose.model('OneTimeToken', OneTimeTokenSchema);
@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+const OrganizationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Organization name is required'],
+    trim: true,
+    maxlength: [100, 'Organization name should be at most 100 characters long']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('Organization', OrganizationSchema);
@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// Fixed-window hit counter shared by every instance using the Mongo rate-limit store
+const RateLimitCounterSchema = new mongoose.Schema({
+  key: {
+    type: String, // Limiter prefix + client key
+    required: true,
+    unique: true
+  },
+  hits: {
+    type: Number,
+    default: 0
+  },
+  resetAt: {
+    type: Date,
+    required: true,
+    expires: 0 // Document is automatically removed once the window ends
+  }
+});
+
+module.exports = mongoose.model('RateLimitCounter', RateLimitCounterSchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+const RefreshTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  family: {
+    type: String,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    expires: 0 // Document expires once the refresh token itself expires
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for revoking a whole token family or all of a user's tokens
+RefreshTokenSchema.index({ family: 1 });
+RefreshTokenSchema.index({ userId: 1 });
+
+module.exports = mongoose.model('RefreshToken', RefreshTokenSchema);
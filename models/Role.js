@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+const RoleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  permissions: {
+    type: [String], // resource:action, 'resource:*' or '*'
+    default: []
+  },
+  builtIn: {
+    type: Boolean, // Seeded at startup and cannot be deleted
+    default: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('Role', RoleSchema);
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// Suspicious activity detected from a network source, and the response to it
+const SecurityEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    enum: ['credential_stuffing']
+  },
+  signal: {
+    type: String, // What crossed the threshold, e.g. 'subnet_failures'
+    required: true
+  },
+  subnet: {
+    type: String,
+    required: true
+  },
+  ip: {
+    type: String, // Address whose attempt tripped the detector
+    default: null
+  },
+  action: {
+    type: String,
+    enum: ['block', 'challenge'],
+    required: true
+  },
+  details: {
+    type: Object,
+    default: {}
+  },
+  activeUntil: {
+    type: Date, // Source is blocked or challenged until then
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for checking whether a source is currently flagged
+SecurityEventSchema.index({ subnet: 1, activeUntil: -1 });
+
+module.exports = mongoose.model('SecurityEvent', SecurityEventSchema);
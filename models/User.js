@@ -1,5 +1,38 @@
 const mongoose = require('mongoose');
-const bcrypt = require('bcrypt');
+const { hashPassword, verifyPassword, needsRehash } = require('../utils/passwordHashing');
+const { getPasswordPolicySettings } = require('../utils/passwordPolicy');
+
+// Passkey (WebAuthn credential) registered by the user
+const WebAuthnCredentialSchema = new mongoose.Schema({
+  credentialId: {
+    type: String, // base64url
+    required: true
+  },
+  publicKey: {
+    type: Buffer, // COSE-encoded public key
+    required: true
+  },
+  counter: {
+    type: Number,
+    default: 0
+  },
+  transports: {
+    type: [String],
+    default: []
+  },
+  name: {
+    type: String,
+    default: 'Passkey'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  }
+});
 
 const UserSchema = new mongoose.Schema({
   email: {
@@ -12,28 +45,72 @@ const UserSchema = new mongoose.Schema({
   },
   password: {
     type: String,
-    required: [true, 'Password is required'],
-    minlength: [8, 'Password should be at least 8 characters long'],
+    required: [true, 'Password is required'], // Length and strength rules live in utils/passwordPolicy
     select: false // Don't return password in queries by default
   },
+  passwordHistory: {
+    type: [String], // Hashes of the most recent passwords, newest first, to block reuse
+    default: [],
+    select: false
+  },
   isVerified: {
     type: Boolean,
     default: false
   },
-  registrationToken: {
+  roles: {
+    type: [String],
+    default: ['user']
+  },
+  permissions: {
+    type: [String], // Direct grants on top of the user's roles
+    default: []
+  },
+  lockedAt: {
+    type: Date, // Set by an administrator; blocks login and API access
+    default: null
+  },
+  lockReason: {
     type: String,
     default: null
   },
-  registrationTokenExpires: {
-    type: Date,
+  failedLoginAttempts: {
+    type: Number, // Consecutive failures since the last successful login
+    default: 0
+  },
+  lockoutUntil: {
+    type: Date, // Temporary lockout with progressive backoff
     default: null
   },
-  passwordResetToken: {
+  mfaEnabled: {
+    type: Boolean,
+    default: false
+  },
+  mfaSecret: {
     type: String,
-    default: null
+    default: null,
+    select: false
   },
-  passwordResetExpires: {
-    type: Date,
+  mfaPendingSecret: {
+    type: String,
+    default: null,
+    select: false
+  },
+  mfaRecoveryCodes: {
+    type: [String], // SHA-256 hashes of unused recovery codes
+    default: [],
+    select: false
+  },
+  mfaLastUsedStep: {
+    type: Number,
+    default: null,
+    select: false
+  },
+  webauthnCredentials: {
+    type: [WebAuthnCredentialSchema],
+    default: []
+  },
+  deletionScheduledFor: {
+    type: Date, // Set when the user asks to delete their account; cancelable until then
     default: null
   },
   createdAt: {
@@ -42,28 +119,79 @@ const UserSchema = new mongoose.Schema({
   }
 });
 
+// Index for looking up the owner of a passkey during login
+UserSchema.index({ 'webauthnCredentials.credentialId': 1 });
+
+// Index for finding accounts whose deletion grace period is over
+UserSchema.index({ deletionScheduledFor: 1 });
+
 // Hash password before saving
 UserSchema.pre('save', async function(next) {
   // Only hash the password if it's modified or new
   if (!this.isModified('password')) return next();
   
   try {
-    // Generate salt and hash password
-    const salt = await bcrypt.genSalt(10);
-    this.password = await bcrypt.hash(this.password, salt);
+    // Hash with the configured algorithm (see utils/passwordHashing)
+    this.password = await hashPassword(this.password);
+    
+    // Remember the new hash, unless the history was left out of the query
+    // (saving then would overwrite it). The placeholder password set at
+    // registration is not worth remembering.
+    const { historySize } = getPasswordPolicySettings();
+    if (this.isVerified && this.isSelected('passwordHistory')) {
+      this.passwordHistory = [this.password, ...this.passwordHistory].slice(0, historySize);
+    }
+    
     next();
   } catch (error) {
     next(error);
   }
 });
 
-// Method to compare password
+// Method to compare password. A match against a hash made with an older
+// algorithm or weaker parameters upgrades the stored hash in place.
 UserSchema.methods.comparePassword = async function(candidatePassword) {
   try {
-    return await bcrypt.compare(candidatePassword, this.password);
+    const isMatch = await verifyPassword(candidatePassword, this.password);
+    
+    if (isMatch && needsRehash(this.password)) {
+      await this.upgradePasswordHash(candidatePassword);
+    }
+    
+    return isMatch;
   } catch (error) {
     throw error;
   }
 };
 
+// Replace the stored hash of a verified password. Written directly so the
+// save hook does not hash the hash or add it to the history as a new
+// password; the history entry for the old hash is swapped for the new one.
+UserSchema.methods.upgradePasswordHash = async function(password) {
+  const oldHash = this.password;
+  
+  try {
+    const newHash = await hashPassword(password);
+    
+    await this.constructor.updateOne({ _id: this._id, password: oldHash }, { password: newHash });
+    
+    // Accounts from before the history existed have no entry to swap
+    await this.constructor.updateOne(
+      { _id: this._id, passwordHistory: oldHash },
+      { $set: { 'passwordHistory.$': newHash } }
+    );
+    
+    this.password = newHash;
+    this.unmarkModified('password');
+  } catch (error) {
+    // The old hash still works - try again next login
+    console.error('Error upgrading password hash:', error);
+  }
+};
+
+// Check whether the account has been locked
+UserSchema.methods.isLocked = function() {
+  return Boolean(this.lockedAt);
+};
+
 module.exports = mongoose.model('User', UserSchema);
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+const WebAuthnChallengeSchema = new mongoose.Schema({
+  challenge: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    enum: ['registration', 'authentication'],
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: 300 // Document expires after 5 minutes
+  }
+});
+
+// Index for capping a user's pending challenges
+WebAuthnChallengeSchema.index({ userId: 1, type: 1, createdAt: -1 });
+
+module.exports = mongoose.model('WebAuthnChallenge', WebAuthnChallengeSchema);
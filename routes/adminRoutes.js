@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const {
+  listUsers,
+  getUser,
+  lockUser,
+  unlockUser,
+  verifyUser,
+  triggerPasswordReset,
+  revokeUserSessions,
+  deleteUser,
+  listAuditEvents
+} = require('../controllers/adminController');
+const { protect, authorize } = require('../middlewares/auth');
+
+// User lookup
+router.get('/users', protect, authorize('users:read'), listUsers);
+router.get('/users/:id', protect, authorize('users:read'), getUser);
+
+// Account actions - each one is recorded with the acting admin
+router.post('/users/:id/lock', protect, authorize('users:write'), lockUser);
+router.post('/users/:id/unlock', protect, authorize('users:write'), unlockUser);
+router.post('/users/:id/verify', protect, authorize('users:write'), verifyUser);
+router.post('/users/:id/password-reset', protect, authorize('users:write'), triggerPasswordReset);
+router.delete('/users/:id/sessions', protect, authorize('users:write'), revokeUserSessions);
+router.delete('/users/:id', protect, authorize('users:write'), deleteUser);
+
+// Security audit log
+router.get('/audit-events', protect, authorize('audit:read'), listAuditEvents);
+
+module.exports = router;
@@ -4,19 +4,35 @@ const {
   register, 
   verifyRegistration, 
   login,
+  confirmLogin,
+  verifyMfa,
+  requestMagicLink,
+  consumeMagicLink,
+  refresh,
   forgotPassword,
   resetPassword,
+  unlockAccount,
+  confirmEmailChange,
+  revertEmailChange,
   logout
 } = require('../controllers/authController');
+const {
+  registrationOptions,
+  verifyRegistration: verifyPasskeyRegistration,
+  authenticationOptions,
+  verifyAuthentication
+} = require('../controllers/webauthnController');
 const { 
   registrationLimiter, 
   advancedLoginLimiter,
-  authLimiter 
+  mfaLimiter,
+  authLimiter,
+  captchaChallenge
 } = require('../middlewares/rateLimiter');
 const { protect } = require('../middlewares/auth');
 
 // Register new user - sends verification email
-router.post('/register', registrationLimiter, register);
+router.post('/register', registrationLimiter, captchaChallenge, register);
 
 // Verify registration with token from email
 router.post('/verify-registration', verifyRegistration);
@@ -24,12 +40,40 @@ router.post('/verify-registration', verifyRegistration);
 // Login - apply advanced rate limiter for this route
 router.post('/login', advancedLoginLimiter, login);
 
+// Confirm a login that the session policy held back for email confirmation
+router.post('/login/confirm', confirmLogin);
+
+// Second login step - TOTP or recovery code with the MFA token from login
+router.post('/mfa/verify', mfaLimiter, verifyMfa);
+
+// Magic link - passwordless login from a single-use emailed link
+router.post('/magic-link', authLimiter, requestMagicLink);
+router.post('/magic-link/consume', consumeMagicLink);
+
+// Refresh - exchange a single-use refresh token for new tokens
+router.post('/refresh', authLimiter, refresh);
+
 // Forgot password - request password reset
-router.post('/forgot-password', authLimiter, forgotPassword);
+router.post('/forgot-password', authLimiter, captchaChallenge, forgotPassword);
 
 // Reset password with token
 router.post('/reset-password', resetPassword);
 
+// Unlock an account hard locked after repeated failed logins
+router.post('/unlock', authLimiter, unlockAccount);
+
+// Email change - confirm from the new address, or revert from the old one
+router.post('/email-change/confirm', confirmEmailChange);
+router.post('/email-change/revert', revertEmailChange);
+
+// Passkey registration - protected, adds a credential to the current user
+router.post('/webauthn/register/options', protect, registrationOptions);
+router.post('/webauthn/register/verify', protect, verifyPasskeyRegistration);
+
+// Passkey login - passwordless
+router.post('/webauthn/login/options', authLimiter, authenticationOptions);
+router.post('/webauthn/login/verify', verifyAuthentication);
+
 // Logout - protected route
 router.post('/logout', protect, logout);
 
@@ -0,0 +1,33 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createOrganization,
+  listOrganizations,
+  switchOrganization,
+  getCurrentOrganization,
+  listMembers,
+  updateMember,
+  removeMember,
+  createInvitation,
+  listInvitations,
+  revokeInvitation,
+  acceptInvitation
+} = require('../controllers/organizationController');
+const { protect, authorize, requireOrganization } = require('../middlewares/auth');
+
+// Organizations the current user belongs to
+router.post('/', protect, createOrganization);
+router.get('/', protect, listOrganizations);
+router.post('/:id/switch', protect, switchOrganization);
+router.post('/invitations/accept', protect, acceptInvitation);
+
+// Active organization (X-Organization-Id header or the token's org claim)
+router.get('/current', protect, requireOrganization, authorize('org:read'), getCurrentOrganization);
+router.get('/current/members', protect, requireOrganization, authorize('members:read'), listMembers);
+router.patch('/current/members/:userId', protect, requireOrganization, authorize('members:write'), updateMember);
+router.delete('/current/members/:userId', protect, requireOrganization, authorize('members:write'), removeMember);
+router.post('/current/invitations', protect, requireOrganization, authorize('members:write'), createInvitation);
+router.get('/current/invitations', protect, requireOrganization, authorize('members:read'), listInvitations);
+router.delete('/current/invitations/:id', protect, requireOrganization, authorize('members:write'), revokeInvitation);
+
+module.exports = router;
@@ -1,9 +1,57 @@
 const express = require('express');
 const router = express.Router();
-const { getProtectedData } = require('../controllers/userController');
-const { protect } = require('../middlewares/auth');
+const {
+  getProtectedData,
+  listSessions,
+  revokeSession,
+  revokeOtherSessions,
+  changePassword,
+  requestEmailChange,
+  exportData,
+  deleteAccount,
+  cancelDeletion,
+  listAuditEvents
+} = require('../controllers/userController');
+const { setupMfa, confirmMfa, disableMfa } = require('../controllers/mfaController');
+const { listPasskeys, deletePasskey } = require('../controllers/webauthnController');
+const { createApiKey, listApiKeys, revokeApiKey } = require('../controllers/apiKeyController');
+const { protect, protectOrApiKey, requireScope } = require('../middlewares/auth');
+const { authLimiter } = require('../middlewares/rateLimiter');
 
-// Protected route - requires authentication
-router.get('/protected', protect, getProtectedData);
+// Protected route - requires authentication (session or API key with profile:read)
+router.get('/protected', protectOrApiKey, requireScope('profile:read'), getProtectedData);
+
+// Session management for the current user
+router.get('/me/sessions', protect, listSessions);
+router.delete('/me/sessions', protect, revokeOtherSessions);
+router.delete('/me/sessions/:id', protect, revokeSession);
+
+// Security history for the current user
+router.get('/me/audit-events', protect, listAuditEvents);
+
+// Password change - requires the current password
+router.post('/me/password', protect, authLimiter, changePassword);
+
+// Email change - takes effect once confirmed from the new address
+router.post('/me/email', protect, authLimiter, requestEmailChange);
+
+// Personal data - export, and deletion after a grace period
+router.get('/me/export', protect, exportData);
+router.delete('/me', protect, authLimiter, deleteAccount);
+router.post('/me/deletion/cancel', protect, cancelDeletion);
+
+// TOTP two-factor enrollment
+router.post('/me/mfa/setup', protect, setupMfa);
+router.post('/me/mfa/confirm', protect, confirmMfa);
+router.post('/me/mfa/disable', protect, authLimiter, disableMfa);
+
+// Passkey management
+router.get('/me/passkeys', protect, listPasskeys);
+router.delete('/me/passkeys/:id', protect, deletePasskey);
+
+// API keys for machine clients - managed from an interactive session only
+router.post('/me/api-keys', protect, createApiKey);
+router.get('/me/api-keys', protect, listApiKeys);
+router.delete('/me/api-keys/:id', protect, revokeApiKey);
 
 module.exports = router;
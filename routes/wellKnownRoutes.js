@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const { jwks } = require('../controllers/wellKnownController');
+
+// JSON Web Key Set for offline token verification by other services
+router.get('/jwks.json', jwks);
+
+module.exports = router;
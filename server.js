@@ -4,6 +4,12 @@ const helmet = require('helmet');
 const dotenv = require('dotenv');
 const connectDB = require('./config/db');
 const { apiLimiter } = require('./middlewares/rateLimiter');
+const { seedRoles } = require('./utils/permissions');
+const { runMigrations } = require('./utils/migrations');
+const { reloadRateLimitPolicy } = require('./utils/rateLimitPolicy');
+const { reloadKeyRing } = require('./utils/keyRing');
+const { isTrustedProxy } = require('./utils/clientIp');
+const { purgeScheduledDeletions } = require('./utils/accountData');
 
 // Load environment variables
 dotenv.config();
@@ -11,9 +17,36 @@ dotenv.config();
 // Connect to MongoDB
 connectDB();
 
+// Upgrade collections created by earlier versions
+runMigrations().catch((error) => {
+  console.error('Migration error:', error);
+});
+
+// Make sure the built-in roles exist
+seedRoles().catch((error) => {
+  console.error('Role seeding error:', error);
+});
+
+// Delete accounts whose deletion grace period is over, hourly
+setInterval(() => {
+  purgeScheduledDeletions().catch((error) => {
+    console.error('Account purge error:', error);
+  });
+}, 60 * 60 * 1000).unref();
+
+// Re-read RATE_LIMIT_POLICY_FILE and JWT_KEYS_FILE on SIGHUP
+process.on('SIGHUP', () => {
+  reloadRateLimitPolicy();
+  reloadKeyRing();
+  console.log('Rate limit policy and JWT keys reloaded');
+});
+
 // Initialize Express
 const app = express();
 
+// Only believe forwarding headers from proxies listed in TRUSTED_PROXIES
+app.set('trust proxy', (address) => isTrustedProxy(address));
+
 // Security middleware
 app.use(helmet());
 app.use(cors());
@@ -31,6 +64,9 @@ app.use(apiLimiter);
 // Routes
 app.use('/api/auth', require('./routes/authRoutes'));
 app.use('/api/users', require('./routes/userRoutes'));
+app.use('/api/orgs', require('./routes/organizationRoutes'));
+app.use('/api/admin', require('./routes/adminRoutes'));
+app.use('/.well-known', require('./routes/wellKnownRoutes'));
 
 // Basic route for testing
 app.get('/', (req, res) => {
@@ -0,0 +1,228 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const User = require('../models/User');
+const ActiveSession = require('../models/ActiveSession');
+const AdminAction = require('../models/AdminAction');
+const ApiKey = require('../models/ApiKey');
+const Invitation = require('../models/Invitation');
+const LoginAttempt = require('../models/LoginAttempt');
+const Membership = require('../models/Membership');
+const Organization = require('../models/Organization');
+const RefreshToken = require('../models/RefreshToken');
+const OneTimeToken = require('../models/OneTimeToken');
+const authRoutes = require('../routes/authRoutes');
+const userRoutes = require('../routes/userRoutes');
+const { issueToken } = require('../utils/oneTimeTokens');
+const { purgeScheduledDeletions } = require('../utils/accountData');
+const { generateTotp, generateTotpSecret } = require('../utils/totp');
+const { sendAccountDeletionScheduledEmail } = require('../config/email');
+
+jest.mock('../config/email');
+
+// Create test app
+const app = express();
+app.use(helmet());
+app.use(cors());
+app.use(express.json());
+app.use(express.urlencoded({ extended: false }));
+app.use('/api/auth', authRoutes);
+app.use('/api/users', userRoutes);
+
+// Mock JWT secret for testing
+process.env.JWT_SECRET = 'test_jwt_secret_key';
+process.env.ACCESS_TOKEN_EXPIRY = '15m';
+
+describe('Personal Data', () => {
+  let user;
+  let authToken;
+
+  // More requests than the auth policy allows one client in a window
+  beforeAll(() => {
+    process.env.RATE_LIMIT_POLICY = JSON.stringify({ policies: { auth: { max: 100 } } });
+  });
+
+  afterAll(() => {
+    delete process.env.RATE_LIMIT_POLICY;
+  });
+
+  beforeEach(async () => {
+    sendAccountDeletionScheduledEmail.mockClear();
+
+    user = new User({
+      email: 'personal@example.com',
+      password: 'testpassword123',
+      isVerified: true
+    });
+    await user.save();
+
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'personal@example.com', password: 'testpassword123' })
+      .expect(200);
+    authToken = login.body.token;
+  });
+
+  const asUser = (method, url) => request(app)[method](url).set('Authorization', `Bearer ${authToken}`);
+
+  describe('GET /api/users/me/export', () => {
+    it('should return the account, sessions and login history as a download', async () => {
+      const response = await asUser('get', '/api/users/me/export').expect(200);
+
+      expect(response.headers['content-disposition']).toContain('account-export.json');
+
+      const archive = response.body.data;
+      expect(archive.user.email).toBe('personal@example.com');
+      expect(archive.sessions).toHaveLength(1);
+      expect(archive.loginAttempts).toHaveLength(1);
+      expect(archive.loginAttempts[0].successful).toBe(true);
+      expect(archive.auditEvents.map((event) => event.type)).toEqual(['login']);
+      expect(archive.adminActions).toEqual([]);
+    });
+
+    it('should export administrator actions under adminActions', async () => {
+      const admin = new mongoose.Types.ObjectId();
+      await AdminAction.create({
+        adminId: admin,
+        adminEmail: 'admin@example.com',
+        action: 'lock',
+        targetUserId: user._id,
+        targetEmail: 'personal@example.com'
+      });
+
+      const response = await asUser('get', '/api/users/me/export').expect(200);
+      const archive = response.body.data;
+
+      expect(archive.adminActions).toHaveLength(1);
+      expect(archive.adminActions[0].action).toBe('lock');
+      expect(archive.adminActions[0].adminEmail).toBeUndefined();
+      expect(archive.auditEvents.every((event) => event.type !== 'lock')).toBe(true);
+    });
+
+    it('should leave out secrets', async () => {
+      const response = await asUser('get', '/api/users/me/export').expect(200);
+
+      const text = JSON.stringify(response.body);
+      const stored = await User.findById(user._id).select('+password');
+      const session = await ActiveSession.findOne({ userId: user._id });
+
+      expect(text).not.toContain(stored.password);
+      expect(text).not.toContain(session.token);
+      expect(text).not.toContain('passwordHistory');
+    });
+  });
+
+  describe('DELETE /api/users/me', () => {
+    it('should require the password', async () => {
+      await asUser('delete', '/api/users/me').send({}).expect(400);
+      await asUser('delete', '/api/users/me').send({ password: 'wrongpassword' }).expect(401);
+
+      expect((await User.findById(user._id)).deletionScheduledFor).toBeNull();
+    });
+
+    it('should require ownership of organizations to be transferred first', async () => {
+      const organization = await Organization.create({ name: 'Acme', createdBy: user._id });
+      await Membership.create({ organizationId: organization._id, userId: user._id, role: 'owner' });
+
+      const response = await asUser('delete', '/api/users/me')
+        .send({ password: 'testpassword123' })
+        .expect(409);
+
+      expect(response.body.data.organizations).toEqual([{ id: organization.id, name: 'Acme' }]);
+
+      const other = await User.create({ email: 'co-owner@example.com', password: 'testpassword123', isVerified: true });
+      await Membership.create({ organizationId: organization._id, userId: other._id, role: 'owner' });
+
+      await asUser('delete', '/api/users/me').send({ password: 'testpassword123' }).expect(200);
+    });
+
+    it('should not purge the last owner of an organization', async () => {
+      await asUser('delete', '/api/users/me').send({ password: 'testpassword123' }).expect(200);
+      await User.updateOne({ _id: user._id }, { deletionScheduledFor: new Date(Date.now() - 1000) });
+
+      // Became the only owner during the grace period
+      const organization = await Organization.create({ name: 'Acme', createdBy: user._id });
+      await Membership.create({ organizationId: organization._id, userId: user._id, role: 'owner' });
+
+      const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+      expect(await purgeScheduledDeletions()).toBe(0);
+      consoleError.mockRestore();
+
+      expect(await User.exists({ _id: user._id })).toBeTruthy();
+    });
+
+    it('should not accept the same authentication code twice', async () => {
+      const secret = generateTotpSecret();
+      await User.updateOne({ _id: user._id }, { mfaEnabled: true, mfaSecret: secret });
+      const code = generateTotp(secret);
+
+      await asUser('delete', '/api/users/me').send({ password: 'testpassword123', code }).expect(200);
+      await asUser('post', '/api/users/me/deletion/cancel').expect(200);
+
+      await asUser('delete', '/api/users/me').send({ password: 'testpassword123', code }).expect(401);
+    });
+
+    it('should schedule deletion after the grace period', async () => {
+      process.env.ACCOUNT_DELETION_GRACE_DAYS = '30';
+
+      const response = await asUser('delete', '/api/users/me')
+        .send({ password: 'testpassword123' })
+        .expect(200);
+
+      const scheduled = new Date(response.body.data.deletionScheduledFor).getTime();
+      expect(scheduled).toBeGreaterThan(Date.now() + 29 * 24 * 60 * 60 * 1000);
+      expect(sendAccountDeletionScheduledEmail).toHaveBeenCalledWith('personal@example.com', expect.any(Date));
+
+      // Nothing is deleted before then
+      expect(await purgeScheduledDeletions()).toBe(0);
+      expect(await User.exists({ _id: user._id })).toBeTruthy();
+
+      delete process.env.ACCOUNT_DELETION_GRACE_DAYS;
+    });
+
+    it('should be cancelable during the grace period', async () => {
+      await asUser('delete', '/api/users/me').send({ password: 'testpassword123' }).expect(200);
+
+      await asUser('post', '/api/users/me/deletion/cancel').expect(200);
+      await asUser('post', '/api/users/me/deletion/cancel').expect(400);
+
+      expect(await purgeScheduledDeletions()).toBe(0);
+      expect((await User.findById(user._id)).deletionScheduledFor).toBeNull();
+    });
+
+    it('should delete the account and related data once the grace period is over', async () => {
+      await ApiKey.create({
+        userId: user._id,
+        name: 'CI',
+        prefix: 'sk_live_abc',
+        keyHash: 'api_key_hash',
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+      });
+      await issueToken(user._id, 'magic_link');
+      await Invitation.create({
+        organizationId: new mongoose.Types.ObjectId(),
+        email: 'personal@example.com',
+        tokenHash: 'invitation_token_hash',
+        invitedBy: new mongoose.Types.ObjectId(),
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+      });
+
+      await asUser('delete', '/api/users/me').send({ password: 'testpassword123' }).expect(200);
+      await User.updateOne({ _id: user._id }, { deletionScheduledFor: new Date(Date.now() - 1000) });
+
+      expect(await purgeScheduledDeletions()).toBe(1);
+
+      expect(await User.exists({ _id: user._id })).toBeNull();
+      expect(await ActiveSession.countDocuments({ userId: user._id })).toBe(0);
+      expect(await RefreshToken.countDocuments({ userId: user._id })).toBe(0);
+      expect(await ApiKey.countDocuments({ userId: user._id })).toBe(0);
+      expect(await OneTimeToken.countDocuments({ userId: user._id })).toBe(0);
+      expect(await Invitation.countDocuments({ email: 'personal@example.com' })).toBe(0);
+      expect(await LoginAttempt.countDocuments({ email: 'personal@example.com' })).toBe(0);
+
+      await asUser('get', '/api/users/protected').expect(401);
+    });
+  });
+});
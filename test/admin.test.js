@@ -0,0 +1,245 @@
+const request = require('supertest');
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const User = require('../models/User');
+const AdminAction = require('../models/AdminAction');
+const AuditEvent = require('../models/AuditEvent');
+const ActiveSession = require('../models/ActiveSession');
+const ApiKey = require('../models/ApiKey');
+const Membership = require('../models/Membership');
+const Organization = require('../models/Organization');
+const authRoutes = require('../routes/authRoutes');
+const adminRoutes = require('../routes/adminRoutes');
+const { createActiveSession } = require('../utils/sessions');
+const { sendPasswordResetEmail } = require('../config/email');
+
+jest.mock('../config/email');
+
+// Create test app
+const app = express();
+app.use(helmet());
+app.use(cors());
+app.use(express.json());
+app.use(express.urlencoded({ extended: false }));
+app.use('/api/auth', authRoutes);
+app.use('/api/admin', adminRoutes);
+
+// Mock JWT secret for testing
+process.env.JWT_SECRET = 'test_jwt_secret_key';
+process.env.ACCESS_TOKEN_EXPIRY = '15m';
+
+describe('Admin User Management', () => {
+  let admin;
+  let adminToken;
+  let member;
+
+  beforeEach(async () => {
+    sendPasswordResetEmail.mockClear();
+
+    admin = new User({
+      email: 'admin@example.com',
+      password: 'testpassword123',
+      isVerified: true,
+      roles: ['admin']
+    });
+    await admin.save();
+    ({ token: adminToken } = await createActiveSession(admin._id));
+
+    member = new User({
+      email: 'member@example.com',
+      password: 'testpassword123',
+      isVerified: true
+    });
+    await member.save();
+  });
+
+  const asAdmin = (method, url) => {
+    return request(app)[method](url).set('Authorization', `Bearer ${adminToken}`);
+  };
+
+  describe('GET /api/admin/users', () => {
+    beforeEach(async () => {
+      await User.create([
+        { email: 'pending@example.com', password: 'testpassword123', createdAt: new Date('2024-01-01') },
+        { email: 'old@example.com', password: 'testpassword123', isVerified: true, createdAt: new Date('2023-01-01') }
+      ]);
+    });
+
+    it('should paginate results', async () => {
+      const response = await asAdmin('get', '/api/admin/users?limit=2&page=2').expect(200);
+
+      expect(response.body.data.users).toHaveLength(2);
+      expect(response.body.data.pagination).toEqual({ page: 2, limit: 2, total: 4, pages: 2 });
+    });
+
+    it('should filter by email, verification status and creation date', async () => {
+      const byEmail = await asAdmin('get', '/api/admin/users?email=MEMBER').expect(200);
+      expect(byEmail.body.data.users.map((user) => user.email)).toEqual(['member@example.com']);
+
+      const unverified = await asAdmin('get', '/api/admin/users?verified=false').expect(200);
+      expect(unverified.body.data.users.map((user) => user.email)).toEqual(['pending@example.com']);
+
+      const byDate = await asAdmin('get', '/api/admin/users?createdFrom=2022-06-01&createdTo=2023-06-01').expect(200);
+      expect(byDate.body.data.users.map((user) => user.email)).toEqual(['old@example.com']);
+    });
+
+    it('should reject invalid dates', async () => {
+      await asAdmin('get', '/api/admin/users?createdFrom=yesterday').expect(400);
+    });
+
+    it('should be forbidden to regular users', async () => {
+      const { token } = await createActiveSession(member._id);
+
+      await request(app)
+        .get('/api/admin/users')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(403);
+    });
+  });
+
+  describe('Account actions', () => {
+    it('should lock a user, end their sessions and block login until unlocked', async () => {
+      const { token } = await createActiveSession(member._id);
+
+      await asAdmin('post', `/api/admin/users/${member._id}/lock`)
+        .send({ reason: 'Suspicious activity' })
+        .expect(200);
+
+      expect(await ActiveSession.countDocuments({ userId: member._id })).toBe(0);
+
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'member@example.com', password: 'testpassword123' })
+        .expect(423);
+      expect(login.body.message).toBe('Account is locked. Please contact support.');
+
+      await request(app)
+        .get('/api/admin/users')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(401);
+
+      await asAdmin('post', `/api/admin/users/${member._id}/unlock`).expect(200);
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'member@example.com', password: 'testpassword123' })
+        .expect(200);
+    });
+
+    it('should force-verify a user', async () => {
+      await User.updateOne({ _id: member._id }, { isVerified: false });
+
+      const response = await asAdmin('post', `/api/admin/users/${member._id}/verify`).expect(200);
+
+      expect(response.body.data.user.isVerified).toBe(true);
+    });
+
+    it('should not leave the registration placeholder password usable after force-verifying', async () => {
+      await request(app)
+        .post('/api/auth/register')
+        .send({ email: 'pending@example.com' })
+        .expect(201);
+      const pending = await User.findOne({ email: 'pending@example.com' });
+
+      await asAdmin('post', `/api/admin/users/${pending._id}/verify`).expect(200);
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'pending@example.com', password: 'temporary_password' })
+        .expect(401);
+
+      // The owner sets their own password from the emailed link
+      expect(sendPasswordResetEmail).toHaveBeenCalledWith('pending@example.com', expect.any(String));
+    });
+
+    it('should send a password reset link', async () => {
+      await asAdmin('post', `/api/admin/users/${member._id}/password-reset`).expect(200);
+
+      expect(sendPasswordResetEmail).toHaveBeenCalledWith('member@example.com', expect.any(String));
+    });
+
+    it('should revoke all sessions', async () => {
+      await createActiveSession(member._id);
+      await createActiveSession(member._id);
+
+      const response = await asAdmin('delete', `/api/admin/users/${member._id}/sessions`).expect(200);
+
+      expect(response.body.data.revoked).toBe(2);
+    });
+
+    it('should delete a user with their sessions and API keys', async () => {
+      await createActiveSession(member._id);
+      await ApiKey.create({
+        userId: member._id,
+        name: 'CI',
+        prefix: 'sbk_abc',
+        keyHash: 'hash',
+        expiresAt: new Date(Date.now() + 60 * 1000)
+      });
+
+      await asAdmin('delete', `/api/admin/users/${member._id}`).expect(200);
+
+      expect(await User.findById(member._id)).toBeNull();
+      expect(await ActiveSession.countDocuments({ userId: member._id })).toBe(0);
+      expect(await ApiKey.countDocuments({ userId: member._id })).toBe(0);
+    });
+
+    it('should not delete the last owner of an organization', async () => {
+      const organization = await Organization.create({ name: 'Acme', createdBy: member._id });
+      await Membership.create({ organizationId: organization._id, userId: member._id, role: 'owner' });
+
+      const response = await asAdmin('delete', `/api/admin/users/${member._id}`).expect(409);
+
+      expect(response.body.data.organizations[0].name).toBe('Acme');
+      expect(await User.exists({ _id: member._id })).toBeTruthy();
+    });
+
+    it('should not let an admin lock or delete themselves', async () => {
+      await asAdmin('post', `/api/admin/users/${admin._id}/lock`).expect(400);
+      await asAdmin('delete', `/api/admin/users/${admin._id}`).expect(400);
+    });
+
+    it('should return 404 for unknown users', async () => {
+      await asAdmin('post', '/api/admin/users/not-an-id/lock').expect(404);
+    });
+
+    it('should record every action with the acting admin', async () => {
+      await asAdmin('post', `/api/admin/users/${member._id}/lock`).send({ reason: 'Chargeback' });
+      await asAdmin('post', `/api/admin/users/${member._id}/unlock`);
+      await asAdmin('delete', `/api/admin/users/${member._id}`);
+
+      const actions = await AdminAction.find({ targetUserId: member._id }).sort({ _id: 1 });
+
+      expect(actions.map((action) => action.action)).toEqual(['lock', 'unlock', 'delete']);
+      actions.forEach((action) => {
+        expect(action.adminId.toString()).toBe(admin._id.toString());
+        expect(action.targetEmail).toBe('member@example.com');
+      });
+      expect(actions[0].details.reason).toBe('Chargeback');
+    });
+
+    it('should record account actions in the user\'s audit log', async () => {
+      await createActiveSession(member._id);
+
+      await asAdmin('post', `/api/admin/users/${member._id}/lock`).send({ reason: 'Chargeback' });
+      await asAdmin('post', `/api/admin/users/${member._id}/unlock`);
+      await asAdmin('post', `/api/admin/users/${member._id}/verify`);
+      await asAdmin('delete', `/api/admin/users/${member._id}`);
+
+      const events = await AuditEvent.find({ userId: member._id }).sort({ createdAt: 1, _id: 1 });
+
+      expect(events.map((event) => event.type)).toEqual([
+        'account_lock',
+        'session_revoke',
+        'account_unlock',
+        'account_verify',
+        'account_delete'
+      ]);
+      events.forEach((event) => {
+        expect(event.actorId.toString()).toBe(admin._id.toString());
+      });
+      expect(events[1].details.sessionsRevoked).toBe(1);
+    });
+  });
+});
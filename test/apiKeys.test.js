@@ -0,0 +1,143 @@
+const request = require('supertest');
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const User = require('../models/User');
+const ApiKey = require('../models/ApiKey');
+const ActiveSession = require('../models/ActiveSession');
+const userRoutes = require('../routes/userRoutes');
+const { createActiveSession } = require('../utils/sessions');
+
+// Create test app
+const app = express();
+app.use(helmet());
+app.use(cors());
+app.use(express.json());
+app.use(express.urlencoded({ extended: false }));
+app.use('/api/users', userRoutes);
+
+// Mock JWT secret for testing
+process.env.JWT_SECRET = 'test_jwt_secret_key';
+process.env.ACCESS_TOKEN_EXPIRY = '15m';
+
+describe('API Keys', () => {
+  let testUser;
+  let authToken;
+
+  beforeEach(async () => {
+    testUser = new User({
+      email: 'apikeys@example.com',
+      password: 'testpassword123',
+      isVerified: true
+    });
+    await testUser.save();
+
+    ({ token: authToken } = await createActiveSession(testUser._id));
+  });
+
+  const createKey = (body) => {
+    return request(app)
+      .post('/api/users/me/api-keys')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send(body);
+  };
+
+  describe('POST /api/users/me/api-keys', () => {
+    it('should create a key, show it once and store only its hash', async () => {
+      const response = await createKey({ name: 'CI', scopes: ['profile:read'] }).expect(201);
+
+      const { key, apiKey } = response.body.data;
+      expect(key).toMatch(/^sbk_/);
+      expect(apiKey.prefix).toBe(key.slice(0, 12));
+      expect(apiKey.expiresAt).toBeTruthy();
+
+      const stored = await ApiKey.findById(apiKey.id);
+      expect(stored.keyHash).not.toBe(key);
+
+      // Listing never returns the key again
+      const list = await request(app)
+        .get('/api/users/me/api-keys')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(list.body.data.apiKeys).toHaveLength(1);
+      expect(JSON.stringify(list.body)).not.toContain(key);
+    });
+
+    it('should reject malformed scopes', async () => {
+      const response = await createKey({ name: 'CI', scopes: ['everything'] }).expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe('Authenticating with an API key', () => {
+    it('should access a scoped route without creating a session', async () => {
+      const { body } = await createKey({ name: 'CI', scopes: ['profile:read'] }).expect(201);
+
+      const response = await request(app)
+        .get('/api/users/protected')
+        .set('X-API-Key', body.data.key)
+        .expect(200);
+
+      expect(response.body.data.user.email).toBe('apikeys@example.com');
+      expect(await ActiveSession.countDocuments({})).toBe(1);
+
+      const stored = await ApiKey.findById(body.data.apiKey.id);
+      expect(stored.lastUsedAt).toBeTruthy();
+    });
+
+    it('should accept the key as a Bearer token', async () => {
+      const { body } = await createKey({ name: 'Cron', scopes: ['profile:read'] }).expect(201);
+
+      await request(app)
+        .get('/api/users/protected')
+        .set('Authorization', `Bearer ${body.data.key}`)
+        .expect(200);
+    });
+
+    it('should reject a key without the required scope', async () => {
+      const { body } = await createKey({ name: 'CI', scopes: [] }).expect(201);
+
+      const response = await request(app)
+        .get('/api/users/protected')
+        .set('X-API-Key', body.data.key)
+        .expect(403);
+
+      expect(response.body.message).toBe('API key is missing the required scope: profile:read');
+    });
+
+    it('should not accept keys on session-only routes', async () => {
+      const { body } = await createKey({ name: 'CI', scopes: ['profile:read'] }).expect(201);
+
+      await request(app)
+        .get('/api/users/me/api-keys')
+        .set('X-API-Key', body.data.key)
+        .expect(401);
+    });
+
+    it('should reject revoked and expired keys', async () => {
+      const revoked = await createKey({ name: 'Old', scopes: ['profile:read'] }).expect(201);
+
+      await request(app)
+        .delete(`/api/users/me/api-keys/${revoked.body.data.apiKey.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      await request(app)
+        .get('/api/users/protected')
+        .set('X-API-Key', revoked.body.data.key)
+        .expect(401);
+
+      const expired = await createKey({ name: 'Expired', scopes: ['profile:read'] }).expect(201);
+      await ApiKey.updateOne({ _id: expired.body.data.apiKey.id }, { expiresAt: new Date(Date.now() - 1000) });
+
+      const response = await request(app)
+        .get('/api/users/protected')
+        .set('X-API-Key', expired.body.data.key)
+        .expect(401);
+
+      expect(response.body.message).toBe('Not authorized, invalid or expired API key');
+    });
+  });
+});
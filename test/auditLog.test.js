@@ -0,0 +1,217 @@
+const request = require('supertest');
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const User = require('../models/User');
+const AuditEvent = require('../models/AuditEvent');
+const authRoutes = require('../routes/authRoutes');
+const userRoutes = require('../routes/userRoutes');
+const adminRoutes = require('../routes/adminRoutes');
+const { createActiveSession } = require('../utils/sessions');
+const { sendPasswordResetEmail } = require('../config/email');
+
+jest.mock('../config/email');
+
+// Create test app
+const app = express();
+app.use(helmet());
+app.use(cors());
+app.use(express.json());
+app.use(express.urlencoded({ extended: false }));
+app.use('/api/auth', authRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/admin', adminRoutes);
+
+// Mock JWT secret for testing
+process.env.JWT_SECRET = 'test_jwt_secret_key';
+process.env.ACCESS_TOKEN_EXPIRY = '15m';
+
+describe('Security Audit Log', () => {
+  let user;
+
+  const login = (email, password = 'testpassword123') => request(app)
+    .post('/api/auth/login')
+    .set('User-Agent', 'AuditTest/1.0')
+    .send({ email, password });
+
+  beforeEach(async () => {
+    sendPasswordResetEmail.mockClear();
+
+    user = new User({
+      email: 'audited@example.com',
+      password: 'testpassword123',
+      isVerified: true
+    });
+    await user.save();
+  });
+
+  describe('Recording', () => {
+    it('should record login successes and failures with actor, IP and user agent', async () => {
+      await login('audited@example.com', 'wrongpassword').expect(401);
+      await login('audited@example.com').expect(200);
+
+      const [success, failure] = await AuditEvent.find({ type: 'login' }).sort({ createdAt: -1, _id: -1 });
+
+      expect(failure.outcome).toBe('failure');
+      expect(failure.userId).toEqual(user._id);
+      expect(failure.actorId).toEqual(user._id);
+      expect(failure.details).toEqual({ reason: 'invalid_password' });
+      expect(failure.userAgent).toBe('AuditTest/1.0');
+      expect(failure.ip).toBeTruthy();
+
+      expect(success.outcome).toBe('success');
+      expect(success.email).toBe('audited@example.com');
+    });
+
+    it('should record failed logins for unknown accounts by email', async () => {
+      await login('nobody@example.com').expect(401);
+
+      const event = await AuditEvent.findOne({ type: 'login' });
+      expect(event.userId).toBeNull();
+      expect(event.email).toBe('nobody@example.com');
+      expect(event.details.reason).toBe('unknown_user');
+    });
+
+    it('should record password resets, logout and session revocation', async () => {
+      await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'audited@example.com' })
+        .expect(200);
+
+      const resetToken = sendPasswordResetEmail.mock.calls[0][1];
+
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: resetToken, password: 'newpassword123' })
+        .expect(200);
+
+      await login('audited@example.com', 'newpassword123').expect(200);
+      const second = await login('audited@example.com', 'newpassword123').expect(200);
+
+      await request(app)
+        .delete('/api/users/me/sessions')
+        .set('Authorization', `Bearer ${second.body.token}`)
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${second.body.token}`)
+        .expect(200);
+
+      const types = (await AuditEvent.find({ userId: user._id }).sort({ createdAt: 1, _id: 1 }))
+        .map((event) => event.type);
+
+      expect(types).toEqual([
+        'password_reset_request',
+        'password_reset',
+        'login',
+        'login',
+        'session_revoke',
+        'logout'
+      ]);
+    });
+
+    it('should keep events for the configured retention', async () => {
+      process.env.AUDIT_LOG_RETENTION_DAYS = '30';
+
+      await login('audited@example.com').expect(200);
+
+      const event = await AuditEvent.findOne({ type: 'login' });
+      const days = (event.expiresAt - event.createdAt) / (24 * 60 * 60 * 1000);
+      expect(Math.round(days)).toBe(30);
+
+      delete process.env.AUDIT_LOG_RETENTION_DAYS;
+    });
+
+    it('should be append-only', async () => {
+      await login('audited@example.com').expect(200);
+
+      await expect(AuditEvent.updateOne({}, { outcome: 'failure' })).rejects.toThrow('Audit events are append-only');
+      await expect(AuditEvent.deleteMany({})).rejects.toThrow('Audit events are append-only');
+
+      const event = await AuditEvent.findOne();
+      event.outcome = 'failure';
+      await expect(event.save()).rejects.toThrow('Audit events are append-only');
+
+      expect((await AuditEvent.findOne()).outcome).toBe('success');
+    });
+  });
+
+  describe('GET /api/users/me/audit-events', () => {
+    it('should only return the current user\'s own events', async () => {
+      const other = new User({
+        email: 'other@example.com',
+        password: 'testpassword123',
+        isVerified: true
+      });
+      await other.save();
+      await login('other@example.com').expect(200);
+
+      await login('audited@example.com', 'wrongpassword').expect(401);
+      const { body } = await login('audited@example.com').expect(200);
+
+      const response = await request(app)
+        .get('/api/users/me/audit-events')
+        .set('Authorization', `Bearer ${body.token}`)
+        .expect(200);
+
+      const { events, pagination } = response.body.data;
+      expect(pagination.total).toBe(2);
+      expect(events.every((event) => event.email === 'audited@example.com')).toBe(true);
+      expect(events.map((event) => event.outcome).sort()).toEqual(['failure', 'success']);
+    });
+  });
+
+  describe('GET /api/admin/audit-events', () => {
+    let adminToken;
+
+    beforeEach(async () => {
+      const admin = new User({
+        email: 'admin@example.com',
+        password: 'testpassword123',
+        isVerified: true,
+        roles: ['admin']
+      });
+      await admin.save();
+      ({ token: adminToken } = await createActiveSession(admin._id));
+
+      await login('audited@example.com', 'wrongpassword').expect(401);
+      await login('audited@example.com').expect(200);
+      await login('nobody@example.com').expect(401);
+    });
+
+    const query = (params) => request(app)
+      .get('/api/admin/audit-events')
+      .query(params)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    it('should filter by user, email, type and outcome', async () => {
+      const byUser = await query({ userId: user._id.toString() }).expect(200);
+      expect(byUser.body.data.pagination.total).toBe(2);
+
+      const failures = await query({ type: 'login', outcome: 'failure' }).expect(200);
+      expect(failures.body.data.events).toHaveLength(2);
+
+      const byEmail = await query({ email: 'Nobody@example.com' }).expect(200);
+      expect(byEmail.body.data.events).toHaveLength(1);
+      expect(byEmail.body.data.events[0].details.reason).toBe('unknown_user');
+
+      const future = await query({ from: new Date(Date.now() + 60 * 1000).toISOString() }).expect(200);
+      expect(future.body.data.events).toHaveLength(0);
+    });
+
+    it('should reject invalid filters', async () => {
+      await query({ userId: 'not-an-id' }).expect(400);
+      await query({ from: 'yesterday' }).expect(400);
+    });
+
+    it('should require the audit:read permission', async () => {
+      const { token } = await createActiveSession(user._id);
+
+      await request(app)
+        .get('/api/admin/audit-events')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(403);
+    });
+  });
+});
@@ -3,9 +3,11 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const User = require('../models/User');
+const OneTimeToken = require('../models/OneTimeToken');
 const authRoutes = require('../routes/authRoutes');
 const userRoutes = require('../routes/userRoutes');
 const { apiLimiter } = require('../middlewares/rateLimiter');
+const { issueToken } = require('../utils/oneTimeTokens');
 
 // Create test app
 const app = express();
@@ -37,7 +39,7 @@ describe('Authentication Routes', () => {
       const user = await User.findOne({ email: userData.email });
       expect(user).toBeTruthy();
       expect(user.isVerified).toBe(false);
-      expect(user.registrationToken).toBeTruthy();
+      expect(await OneTimeToken.countDocuments({ userId: user._id, purpose: 'registration' })).toBe(1);
     });
 
     it('should return error for missing email', async () => {
@@ -73,14 +75,13 @@ describe('Authentication Routes', () => {
       // Create user with registration token
       const user = new User({
         email: 'verify@example.com',
-        password: 'temporary_password',
-        registrationToken: 'valid_token_123',
-        registrationTokenExpires: new Date(Date.now() + 60 * 60 * 1000) // 1 hour from now
+        password: 'temporary_password'
       });
       await user.save();
+      const token = await issueToken(user._id, 'registration');
 
       const verificationData = {
-        token: 'valid_token_123',
+        token,
         password: 'newpassword123'
       };
 
@@ -95,7 +96,10 @@ describe('Authentication Routes', () => {
       // Check if user is verified in database
       const verifiedUser = await User.findOne({ email: 'verify@example.com' });
       expect(verifiedUser.isVerified).toBe(true);
-      expect(verifiedUser.registrationToken).toBeNull();
+
+      // The token is used up
+      const record = await OneTimeToken.findOne({ userId: verifiedUser._id });
+      expect(record.consumedAt).toBeTruthy();
     });
 
     it('should return error for invalid token', async () => {
@@ -116,14 +120,13 @@ describe('Authentication Routes', () => {
     it('should return error for short password', async () => {
       const user = new User({
         email: 'shortpass@example.com',
-        password: 'temporary_password',
-        registrationToken: 'valid_token_456',
-        registrationTokenExpires: new Date(Date.now() + 60 * 60 * 1000)
+        password: 'temporary_password'
       });
       await user.save();
+      const token = await issueToken(user._id, 'registration');
 
       const verificationData = {
-        token: 'valid_token_456',
+        token,
         password: '123' // Too short
       };
 
@@ -234,8 +237,9 @@ describe('Authentication Routes', () => {
 
       // Check if reset token was set
       const user = await User.findOne({ email: 'forgot@example.com' });
-      expect(user.passwordResetToken).toBeTruthy();
-      expect(user.passwordResetExpires).toBeTruthy();
+      const record = await OneTimeToken.findOne({ userId: user._id, purpose: 'password_reset' });
+      expect(record).toBeTruthy();
+      expect(record.expiresAt).toBeTruthy();
     });
 
     it('should return same message for non-existing user (security)', async () => {
@@ -260,21 +264,22 @@ describe('Authentication Routes', () => {
   });
 
   describe('POST /api/auth/reset-password', () => {
+    let resetToken;
+
     beforeEach(async () => {
       // Create user with password reset token
       const user = new User({
         email: 'reset@example.com',
         password: 'oldpassword123',
-        isVerified: true,
-        passwordResetToken: 'valid_reset_token',
-        passwordResetExpires: new Date(Date.now() + 15 * 60 * 1000) // 15 minutes from now
+        isVerified: true
       });
       await user.save();
+      resetToken = await issueToken(user._id, 'password_reset');
     });
 
     it('should reset password successfully', async () => {
       const resetData = {
-        token: 'valid_reset_token',
+        token: resetToken,
         password: 'newpassword123'
       };
 
@@ -288,8 +293,8 @@ describe('Authentication Routes', () => {
 
       // Verify password was changed and token was cleared
       const user = await User.findOne({ email: 'reset@example.com' }).select('+password');
-      expect(user.passwordResetToken).toBeNull();
-      expect(user.passwordResetExpires).toBeNull();
+      const record = await OneTimeToken.findOne({ userId: user._id, purpose: 'password_reset' });
+      expect(record.consumedAt).toBeTruthy();
       
       // Verify new password works
       const isMatch = await user.comparePassword('newpassword123');
@@ -313,7 +318,7 @@ describe('Authentication Routes', () => {
 
     it('should return error for short password', async () => {
       const resetData = {
-        token: 'valid_reset_token',
+        token: resetToken,
         password: '123' // Too short
       };
 
@@ -0,0 +1,172 @@
+const request = require('supertest');
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const User = require('../models/User');
+const Role = require('../models/Role');
+const userRoutes = require('../routes/userRoutes');
+const { protect, protectOrApiKey, authorize } = require('../middlewares/auth');
+const { createActiveSession } = require('../utils/sessions');
+const { seedRoles, invalidateRoleCache } = require('../utils/permissions');
+
+// Create test app with a couple of guarded routes
+const app = express();
+app.use(helmet());
+app.use(cors());
+app.use(express.json());
+app.use(express.urlencoded({ extended: false }));
+app.use('/api/users', userRoutes);
+
+const ok = (req, res) => res.status(200).json({ success: true });
+app.get('/test/users', protect, authorize('users:read'), ok);
+app.get('/test/users-machine', protectOrApiKey, authorize('users:read'), ok);
+
+// Mock JWT secret for testing
+process.env.JWT_SECRET = 'test_jwt_secret_key';
+process.env.ACCESS_TOKEN_EXPIRY = '15m';
+
+describe('Role-Based Authorization', () => {
+  const createUser = async (email, fields = {}) => {
+    const user = new User({
+      email,
+      password: 'testpassword123',
+      isVerified: true,
+      ...fields
+    });
+    await user.save();
+
+    const { token } = await createActiveSession(user._id);
+    return { user, token };
+  };
+
+  beforeEach(() => {
+    invalidateRoleCache();
+  });
+
+  afterEach(() => {
+    delete process.env.ADMIN_EMAILS;
+  });
+
+  it('should give new users the default role', async () => {
+    const { user } = await createUser('member@example.com');
+
+    expect(user.roles).toEqual(['user']);
+  });
+
+  it('should forbid users without the permission', async () => {
+    const { token } = await createUser('member@example.com');
+
+    const response = await request(app)
+      .get('/test/users')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(403);
+
+    expect(response.body.message).toBe('Forbidden, missing permission: users:read');
+  });
+
+  it('should allow admins', async () => {
+    const { token } = await createUser('admin@example.com', { roles: ['admin'] });
+
+    await request(app)
+      .get('/test/users')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+  });
+
+  it('should honour direct and wildcard grants', async () => {
+    const { token } = await createUser('support@example.com', { permissions: ['users:*'] });
+
+    await request(app)
+      .get('/test/users')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+  });
+
+  it('should apply role changes without a new token', async () => {
+    const { user, token } = await createUser('member@example.com', { roles: ['support'] });
+
+    await request(app)
+      .get('/test/users')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(403);
+
+    await Role.create({ name: 'support', permissions: ['users:read'] });
+    invalidateRoleCache();
+
+    await request(app)
+      .get('/test/users')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    await User.updateOne({ _id: user._id }, { roles: ['user'] });
+
+    await request(app)
+      .get('/test/users')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(403);
+  });
+
+  describe('seedRoles', () => {
+    it('should create built-in roles and grant admin to ADMIN_EMAILS', async () => {
+      await createUser('owner@example.com');
+      process.env.ADMIN_EMAILS = 'Owner@example.com, nobody@example.com';
+
+      await seedRoles();
+      await seedRoles(); // Idempotent
+
+      const roles = await Role.find({}).sort({ name: 1 });
+      expect(roles.map((role) => role.name)).toEqual(['admin', 'user']);
+      expect(roles[0].permissions).toEqual(['*']);
+
+      const owner = await User.findOne({ email: 'owner@example.com' });
+      expect(owner.roles).toEqual(['user', 'admin']);
+    });
+
+    it('should keep permissions edited after seeding', async () => {
+      await seedRoles();
+      await Role.updateOne({ name: 'user' }, { permissions: ['profile:read'] });
+
+      await seedRoles();
+
+      const role = await Role.findOne({ name: 'user' });
+      expect(role.permissions).toEqual(['profile:read']);
+    });
+  });
+
+  describe('API keys', () => {
+    it('should not grant scopes the owner does not have', async () => {
+      const { token } = await createUser('member@example.com');
+
+      const response = await request(app)
+        .post('/api/users/me/api-keys')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'CI', scopes: ['users:read'] })
+        .expect(403);
+
+      expect(response.body.message).toBe('You cannot grant a scope you do not have: users:read');
+    });
+
+    it('should require both the permission and the scope', async () => {
+      const { token } = await createUser('admin@example.com', { roles: ['admin'] });
+
+      const createKey = async (scopes) => {
+        const response = await request(app)
+          .post('/api/users/me/api-keys')
+          .set('Authorization', `Bearer ${token}`)
+          .send({ name: 'CI', scopes })
+          .expect(201);
+        return response.body.data.key;
+      };
+
+      await request(app)
+        .get('/test/users-machine')
+        .set('X-API-Key', await createKey(['profile:read']))
+        .expect(403);
+
+      await request(app)
+        .get('/test/users-machine')
+        .set('X-API-Key', await createKey(['users:read']))
+        .expect(200);
+    });
+  });
+});
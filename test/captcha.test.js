@@ -0,0 +1,143 @@
+const request = require('supertest');
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const User = require('../models/User');
+const authRoutes = require('../routes/authRoutes');
+const { reloadRateLimitPolicy } = require('../utils/rateLimitPolicy');
+const { registerCaptchaProvider } = require('../utils/captcha');
+
+jest.mock('../config/email');
+
+// Create test app
+const app = express();
+app.use(helmet());
+app.use(cors());
+app.use(express.json());
+app.use(express.urlencoded({ extended: false }));
+app.use('/api/auth', authRoutes);
+
+// Mock JWT secret for testing
+process.env.JWT_SECRET = 'test_jwt_secret_key';
+process.env.ACCESS_TOKEN_EXPIRY = '15m';
+
+describe('CAPTCHA Challenges', () => {
+  beforeEach(async () => {
+    process.env.CAPTCHA_PROVIDER = 'stub';
+    process.env.CAPTCHA_SITE_KEY = 'test-site-key';
+
+    // Rebuild the limiters so request counts do not carry over between tests
+    reloadRateLimitPolicy();
+
+    const user = new User({
+      email: 'captcha@example.com',
+      password: 'testpassword123',
+      isVerified: true
+    });
+    await user.save();
+  });
+
+  afterAll(() => {
+    delete process.env.CAPTCHA_PROVIDER;
+    delete process.env.CAPTCHA_SITE_KEY;
+  });
+
+  const login = (body) => request(app)
+    .post('/api/auth/login')
+    .send({ email: 'captcha@example.com', password: 'testpassword123', ...body });
+
+  const failLogins = async (count) => {
+    for (let i = 0; i < count; i++) {
+      await login({ password: 'wrongpassword' }).expect(401);
+    }
+  };
+
+  describe('Login', () => {
+    it('should ask for a CAPTCHA after a few failed attempts instead of blocking', async () => {
+      await failLogins(3);
+
+      const response = await login().expect(428);
+
+      expect(response.body.reason).toBe('captcha_required');
+      expect(response.body.captcha).toEqual({ provider: 'stub', siteKey: 'test-site-key' });
+    });
+
+    it('should log in once the CAPTCHA is solved', async () => {
+      await failLogins(3);
+
+      const response = await login({ captchaToken: 'captcha-pass' }).expect(200);
+
+      expect(response.body.token).toBeTruthy();
+    });
+
+    it('should reject an invalid CAPTCHA token', async () => {
+      await failLogins(3);
+
+      const response = await login({ captchaToken: 'wrong' }).expect(428);
+
+      expect(response.body.message).toContain('CAPTCHA verification failed');
+    });
+
+    it('should not challenge a clean login', async () => {
+      await failLogins(2);
+
+      await login().expect(200);
+    });
+
+    it('should not challenge when no provider is configured', async () => {
+      delete process.env.CAPTCHA_PROVIDER;
+      await failLogins(3);
+
+      await login().expect(200);
+    });
+  });
+
+  describe('Register and forgot password', () => {
+    it('should ask for a CAPTCHA after repeated registrations', async () => {
+      await request(app).post('/api/auth/register').send({ email: 'new1@example.com' }).expect(201);
+      await request(app).post('/api/auth/register').send({ email: 'new2@example.com' }).expect(201);
+
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({ email: 'new3@example.com' })
+        .expect(428);
+
+      expect(response.body.reason).toBe('captcha_required');
+      expect(await User.findOne({ email: 'new3@example.com' })).toBeNull();
+
+      await request(app)
+        .post('/api/auth/register')
+        .send({ email: 'new3@example.com', captchaToken: 'captcha-pass' })
+        .expect(201);
+    });
+
+    it('should ask for a CAPTCHA after repeated password reset requests', async () => {
+      for (let i = 0; i < 2; i++) {
+        await request(app).post('/api/auth/forgot-password').send({ email: 'captcha@example.com' }).expect(200);
+      }
+
+      await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'captcha@example.com' })
+        .expect(428);
+
+      await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'captcha@example.com', captchaToken: 'captcha-pass' })
+        .expect(200);
+    });
+  });
+
+  describe('Providers', () => {
+    it('should use a registered provider with the client IP', async () => {
+      const verify = jest.fn().mockResolvedValue(true);
+      registerCaptchaProvider('custom', verify);
+      process.env.CAPTCHA_PROVIDER = 'custom';
+
+      await failLogins(3);
+      await login({ captchaToken: 'custom-token' }).expect(200);
+
+      expect(verify).toHaveBeenCalledWith('custom-token', '127.0.0.1');
+    });
+  });
+});
@@ -0,0 +1,147 @@
+const request = require('supertest');
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const User = require('../models/User');
+const ActiveSession = require('../models/ActiveSession');
+const authRoutes = require('../routes/authRoutes');
+const userRoutes = require('../routes/userRoutes');
+const { issueToken, findToken } = require('../utils/oneTimeTokens');
+const { sendPasswordChangedEmail } = require('../config/email');
+
+jest.mock('../config/email');
+
+// Create test app
+const app = express();
+app.use(helmet());
+app.use(cors());
+app.use(express.json());
+app.use(express.urlencoded({ extended: false }));
+app.use('/api/auth', authRoutes);
+app.use('/api/users', userRoutes);
+
+// Mock JWT secret for testing
+process.env.JWT_SECRET = 'test_jwt_secret_key';
+process.env.ACCESS_TOKEN_EXPIRY = '15m';
+
+describe('Change Password', () => {
+  let currentToken;
+  let otherToken;
+
+  // More requests than the auth policy allows one client in a window
+  beforeAll(() => {
+    process.env.RATE_LIMIT_POLICY = JSON.stringify({ policies: { auth: { max: 100 } } });
+  });
+
+  afterAll(() => {
+    delete process.env.RATE_LIMIT_POLICY;
+  });
+
+  const login = (password = 'testpassword123') => request(app)
+    .post('/api/auth/login')
+    .send({ email: 'change@example.com', password });
+
+  const changePassword = (body) => request(app)
+    .post('/api/users/me/password')
+    .set('Authorization', `Bearer ${currentToken}`)
+    .send(body);
+
+  beforeEach(async () => {
+    sendPasswordChangedEmail.mockClear();
+
+    const user = new User({
+      email: 'change@example.com',
+      password: 'testpassword123',
+      isVerified: true
+    });
+    await user.save();
+
+    currentToken = (await login().expect(200)).body.token;
+    otherToken = (await login().expect(200)).body.token;
+  });
+
+  it('should change the password and keep only the current session', async () => {
+    const response = await changePassword({
+      currentPassword: 'testpassword123',
+      newPassword: 'newpassword123'
+    }).expect(200);
+
+    expect(response.body.data.revoked).toBe(1);
+
+    // The current session still works, the other one does not
+    await request(app)
+      .get('/api/users/protected')
+      .set('Authorization', `Bearer ${currentToken}`)
+      .expect(200);
+
+    await request(app)
+      .get('/api/users/protected')
+      .set('Authorization', `Bearer ${otherToken}`)
+      .expect(401);
+
+    const user = await User.findOne({ email: 'change@example.com' });
+    expect(await ActiveSession.countDocuments({ userId: user._id })).toBe(1);
+
+    await login('testpassword123').expect(401);
+    await login('newpassword123').expect(200);
+
+    expect(sendPasswordChangedEmail).toHaveBeenCalledWith('change@example.com');
+  });
+
+  it('should reject a wrong current password', async () => {
+    const response = await changePassword({
+      currentPassword: 'wrongpassword',
+      newPassword: 'newpassword123'
+    }).expect(401);
+
+    expect(response.body.message).toBe('Current password is incorrect');
+    expect(sendPasswordChangedEmail).not.toHaveBeenCalled();
+
+    await login('testpassword123').expect(200);
+  });
+
+  it('should apply the password policy', async () => {
+    const short = await changePassword({
+      currentPassword: 'testpassword123',
+      newPassword: '123'
+    }).expect(400);
+
+    expect(short.body.message).toContain('at least 8 characters');
+
+    const reused = await changePassword({
+      currentPassword: 'testpassword123',
+      newPassword: 'testpassword123'
+    }).expect(400);
+
+    expect(reused.body.errors[0].code).toBe('reused');
+  });
+
+  it('should invalidate outstanding reset links', async () => {
+    const user = await User.findOne({ email: 'change@example.com' });
+    const resetToken = await issueToken(user._id, 'password_reset');
+
+    await changePassword({
+      currentPassword: 'testpassword123',
+      newPassword: 'newpassword123'
+    }).expect(200);
+
+    expect(await findToken(resetToken, 'password_reset')).toBeNull();
+  });
+
+  it('should still succeed when the notification cannot be sent', async () => {
+    sendPasswordChangedEmail.mockRejectedValueOnce(new Error('SMTP down'));
+
+    await changePassword({
+      currentPassword: 'testpassword123',
+      newPassword: 'newpassword123'
+    }).expect(200);
+
+    await login('newpassword123').expect(200);
+  });
+
+  it('should require both passwords', async () => {
+    const response = await changePassword({ newPassword: 'newpassword123' }).expect(400);
+
+    expect(response.body.message).toBe('Current password and new password are required');
+  });
+});
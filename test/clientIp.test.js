@@ -0,0 +1,125 @@
+const request = require('supertest');
+const express = require('express');
+const LoginAttempt = require('../models/LoginAttempt');
+const User = require('../models/User');
+const { advancedLoginLimiter, recordLoginAttempt } = require('../middlewares/rateLimiter');
+const {
+  parseForwardedHeader,
+  parseXForwardedFor,
+  resolveClientIp
+} = require('../utils/clientIp');
+
+// Create test app that records a failed login for whichever IP it resolves
+const app = express();
+app.use(express.json());
+app.post('/api/auth/login', advancedLoginLimiter, async (req, res) => {
+  await recordLoginAttempt(req.userEmail, req.clientIP, false);
+  res.status(401).json({ success: false, clientIP: req.clientIP });
+});
+
+const fakeRequest = (remoteAddress, headers = {}) => ({ socket: { remoteAddress }, headers });
+
+describe('Client IP resolution', () => {
+  afterEach(() => {
+    delete process.env.TRUSTED_PROXIES;
+  });
+
+  describe('Header parsing', () => {
+    it('should parse X-Forwarded-For with ports and mapped addresses', () => {
+      expect(parseXForwardedFor('203.0.113.5:5123, ::ffff:10.0.0.1, [2001:db8::1]:443'))
+        .toEqual(['203.0.113.5', '10.0.0.1', '2001:db8::1']);
+    });
+
+    it('should parse RFC 7239 Forwarded elements', () => {
+      const header = 'for=192.0.2.60;proto=http;by=203.0.113.43, for="[2001:DB8:cafe::17]:4711", for=_hidden, proto=https';
+
+      expect(parseForwardedHeader(header))
+        .toEqual(['192.0.2.60', '2001:db8:cafe::17', '_hidden', 'unknown']);
+    });
+  });
+
+  describe('Trusted proxies', () => {
+    it('should ignore forwarding headers when no proxy is trusted', () => {
+      const req = fakeRequest('::ffff:198.51.100.7', { 'x-forwarded-for': '203.0.113.5' });
+
+      expect(resolveClientIp(req)).toBe('198.51.100.7');
+    });
+
+    it('should ignore forwarding headers from an untrusted peer', () => {
+      process.env.TRUSTED_PROXIES = '10.0.0.0/8';
+      const req = fakeRequest('198.51.100.7', { 'x-forwarded-for': '203.0.113.5' });
+
+      expect(resolveClientIp(req)).toBe('198.51.100.7');
+    });
+
+    it('should skip every trusted hop and stop at the first untrusted one', () => {
+      process.env.TRUSTED_PROXIES = '10.0.0.0/8, 2001:db8:ffff::/48';
+      const req = fakeRequest('::ffff:10.0.0.2', {
+        'x-forwarded-for': '1.1.1.1, 203.0.113.5, 2001:db8:ffff::9, 10.0.0.3'
+      });
+
+      // 1.1.1.1 was supplied by the client itself and is not believed
+      expect(resolveClientIp(req)).toBe('203.0.113.5');
+    });
+
+    it('should prefer the Forwarded header over X-Forwarded-For', () => {
+      process.env.TRUSTED_PROXIES = 'loopback';
+      const req = fakeRequest('127.0.0.1', {
+        forwarded: 'for="[2001:db8::5]:1234"',
+        'x-forwarded-for': '203.0.113.5'
+      });
+
+      expect(resolveClientIp(req)).toBe('2001:db8::5');
+    });
+
+    it('should not resolve past an obfuscated hop', () => {
+      process.env.TRUSTED_PROXIES = 'loopback';
+      const req = fakeRequest('127.0.0.1', { forwarded: 'for=203.0.113.5, for=unknown' });
+
+      expect(resolveClientIp(req)).toBe('unknown');
+    });
+
+    it('should reject an invalid proxy range', () => {
+      process.env.TRUSTED_PROXIES = 'not-an-ip';
+
+      expect(() => resolveClientIp(fakeRequest('127.0.0.1'))).toThrow('Invalid IP address or range');
+    });
+  });
+
+  describe('Login tracking', () => {
+    beforeEach(async () => {
+      const user = new User({
+        email: 'proxied@example.com',
+        password: 'testpassword123',
+        isVerified: true
+      });
+      await user.save();
+    });
+
+    it('should record the resolved client IP for login attempts', async () => {
+      process.env.TRUSTED_PROXIES = 'loopback';
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .set('X-Forwarded-For', '::ffff:203.0.113.5')
+        .send({ email: 'proxied@example.com' })
+        .expect(401);
+
+      expect(response.body.clientIP).toBe('203.0.113.5');
+
+      const attempt = await LoginAttempt.findOne({ email: 'proxied@example.com' });
+      expect(attempt.ip).toBe('203.0.113.5');
+      expect(attempt.subnet).toBe('203.0.113.0/24');
+    });
+
+    it('should use the normalized socket address without a trusted proxy', async () => {
+      const response = await request(app)
+        .post('/api/auth/login')
+        .set('X-Forwarded-For', '203.0.113.5')
+        .send({ email: 'proxied@example.com' })
+        .expect(401);
+
+      expect(response.body.clientIP).toBe('127.0.0.1');
+    });
+  });
+});
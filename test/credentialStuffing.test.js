@@ -0,0 +1,176 @@
+const request = require('supertest');
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const User = require('../models/User');
+const ActiveSession = require('../models/ActiveSession');
+const SecurityEvent = require('../models/SecurityEvent');
+const authRoutes = require('../routes/authRoutes');
+const { recordLoginAttempt } = require('../middlewares/rateLimiter');
+const { reloadRateLimitPolicy } = require('../utils/rateLimitPolicy');
+const { getSubnet } = require('../utils/ipAddress');
+const { createActiveSession } = require('../utils/sessions');
+const { sendLoginConfirmationEmail } = require('../config/email');
+
+jest.mock('../config/email');
+
+// Create test app
+const app = express();
+app.use(helmet());
+app.use(cors());
+app.use(express.json());
+app.use(express.urlencoded({ extended: false }));
+app.use('/api/auth', authRoutes);
+
+// Mock JWT secret for testing
+process.env.JWT_SECRET = 'test_jwt_secret_key';
+process.env.ACCESS_TOKEN_EXPIRY = '15m';
+
+// Requests claim their source address via X-Forwarded-For from the local proxy
+process.env.TRUSTED_PROXIES = 'loopback';
+
+const setStuffingPolicy = (policy) => {
+  process.env.RATE_LIMIT_POLICY = JSON.stringify({
+    policies: {
+      credentialStuffing: { maxSubnetFailures: 6, maxDistinctEmails: 4, ...policy }
+    }
+  });
+  reloadRateLimitPolicy();
+};
+
+describe('Credential Stuffing Detection', () => {
+  beforeEach(async () => {
+    sendLoginConfirmationEmail.mockClear();
+    setStuffingPolicy({});
+
+    const user = new User({
+      email: 'real@example.com',
+      password: 'testpassword123',
+      isVerified: true
+    });
+    await user.save();
+  });
+
+  afterAll(() => {
+    delete process.env.RATE_LIMIT_POLICY;
+    delete process.env.TRUSTED_PROXIES;
+  });
+
+  const login = (ip, password = 'testpassword123') => {
+    return request(app)
+      .post('/api/auth/login')
+      .set('X-Forwarded-For', ip)
+      .send({ email: 'real@example.com', password });
+  };
+
+  it('should group addresses into /24 and /64 networks', () => {
+    expect(getSubnet('203.0.113.77')).toBe('203.0.113.0/24');
+    expect(getSubnet('::ffff:203.0.113.77')).toBe('203.0.113.0/24');
+    expect(getSubnet('2001:db8:1:2:aaaa:bbbb:cccc:dddd')).toBe('2001:db8:1:2::/64');
+  });
+
+  it('should flag a network whose addresses each fail only a few times', async () => {
+    // One failure per address - invisible to the per-IP limit
+    for (let i = 1; i <= 6; i++) {
+      await recordLoginAttempt('real@example.com', `203.0.113.${i}`, false);
+    }
+
+    const event = await SecurityEvent.findOne({ subnet: '203.0.113.0/24' });
+    expect(event.signal).toBe('subnet_failures');
+    expect(event.details.failures).toBe(6);
+
+    expect(await SecurityEvent.countDocuments({ subnet: '198.51.100.0/24' })).toBe(0);
+  });
+
+  it('should flag a source trying many different accounts', async () => {
+    for (let i = 1; i <= 4; i++) {
+      await recordLoginAttempt(`user${i}@example.com`, '2001:db8:1:2::1', false);
+    }
+
+    const event = await SecurityEvent.findOne({ subnet: '2001:db8:1:2::/64' });
+    expect(event.signal).toBe('distinct_emails');
+    expect(event.details.distinctEmails).toBe(4);
+  });
+
+  it('should block logins from a flagged network', async () => {
+    setStuffingPolicy({ action: 'block' });
+
+    for (let i = 1; i <= 4; i++) {
+      await recordLoginAttempt(`user${i}@example.com`, `203.0.113.${i}`, false);
+    }
+
+    // A fresh address in the same network is blocked, even with the right password
+    const response = await login('203.0.113.200').expect(429);
+
+    expect(response.body.reason).toBe('credential_stuffing');
+    expect(Number(response.headers['retry-after'])).toBeGreaterThan(0);
+
+    // Other networks are unaffected
+    await login('198.51.100.7').expect(200);
+  });
+
+  it('should challenge logins from a flagged network with an email confirmation', async () => {
+    for (let i = 1; i <= 4; i++) {
+      await recordLoginAttempt(`user${i}@example.com`, `203.0.113.${i}`, false);
+    }
+
+    const response = await login('203.0.113.200').expect(202);
+
+    expect(response.body.confirmationRequired).toBe(true);
+    expect(response.body.token).toBeUndefined();
+    expect(sendLoginConfirmationEmail).toHaveBeenCalledWith('real@example.com', expect.any(String), 'credential_stuffing');
+
+    const confirm = await request(app)
+      .post('/api/auth/login/confirm')
+      .send({ token: sendLoginConfirmationEmail.mock.calls[0][1] })
+      .expect(200);
+
+    expect(confirm.body.token).toBeTruthy();
+  });
+
+  describe('Confirming a challenged login', () => {
+    const challenge = async () => {
+      for (let i = 1; i <= 4; i++) {
+        await recordLoginAttempt(`user${i}@example.com`, `203.0.113.${i}`, false);
+      }
+
+      await login('203.0.113.200').expect(202);
+      return sendLoginConfirmationEmail.mock.calls[0][1];
+    };
+
+    afterEach(() => {
+      delete process.env.LOGIN_SESSION_POLICY;
+    });
+
+    it('should clear the failed-login counter', async () => {
+      const token = await challenge();
+      await User.updateOne({ email: 'real@example.com' }, { failedLoginAttempts: 3 });
+
+      await request(app).post('/api/auth/login/confirm').send({ token }).expect(200);
+
+      expect((await User.findOne({ email: 'real@example.com' })).failedLoginAttempts).toBe(0);
+    });
+
+    it('should still apply the configured session policy', async () => {
+      process.env.LOGIN_SESSION_POLICY = 'reject';
+
+      const user = await User.findOne({ email: 'real@example.com' });
+      await createActiveSession(user._id);
+      const token = await challenge();
+
+      await request(app).post('/api/auth/login/confirm').send({ token }).expect(409);
+
+      // The existing session was not signed out to make room
+      expect(await ActiveSession.countDocuments({ userId: user._id })).toBe(1);
+    });
+
+    it('should still refuse a locked account', async () => {
+      const token = await challenge();
+      await User.updateOne({ email: 'real@example.com' }, { lockedAt: new Date(), lockReason: 'admin' });
+
+      await request(app).post('/api/auth/login/confirm').send({ token }).expect(423);
+
+      expect(await ActiveSession.countDocuments({})).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,170 @@
+const request = require('supertest');
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const User = require('../models/User');
+const ActiveSession = require('../models/ActiveSession');
+const authRoutes = require('../routes/authRoutes');
+const userRoutes = require('../routes/userRoutes');
+const {
+  sendEmailChangeConfirmationEmail,
+  sendEmailChangeAlertEmail
+} = require('../config/email');
+
+jest.mock('../config/email');
+
+// Create test app
+const app = express();
+app.use(helmet());
+app.use(cors());
+app.use(express.json());
+app.use(express.urlencoded({ extended: false }));
+app.use('/api/auth', authRoutes);
+app.use('/api/users', userRoutes);
+
+// Mock JWT secret for testing
+process.env.JWT_SECRET = 'test_jwt_secret_key';
+process.env.ACCESS_TOKEN_EXPIRY = '15m';
+
+describe('Email Change', () => {
+  let userId;
+  let authToken;
+
+  // More requests than the auth policy allows one client in a window
+  beforeAll(() => {
+    process.env.RATE_LIMIT_POLICY = JSON.stringify({ policies: { auth: { max: 100 } } });
+  });
+
+  afterAll(() => {
+    delete process.env.RATE_LIMIT_POLICY;
+  });
+
+  const requestChange = (newEmail, password = 'testpassword123') => request(app)
+    .post('/api/users/me/email')
+    .set('Authorization', `Bearer ${authToken}`)
+    .send({ newEmail, password });
+
+  // Request a change and return the links from both emails
+  const startChange = async (newEmail) => {
+    sendEmailChangeConfirmationEmail.mockClear();
+    sendEmailChangeAlertEmail.mockClear();
+
+    await requestChange(newEmail).expect(200);
+
+    return {
+      confirmToken: sendEmailChangeConfirmationEmail.mock.calls[0][1],
+      revertToken: sendEmailChangeAlertEmail.mock.calls[0][2]
+    };
+  };
+
+  const confirm = (token) => request(app).post('/api/auth/email-change/confirm').send({ token });
+  const revert = (token) => request(app).post('/api/auth/email-change/revert').send({ token });
+
+  const currentEmail = async () => (await User.findById(userId)).email;
+
+  beforeEach(async () => {
+    sendEmailChangeConfirmationEmail.mockClear();
+    sendEmailChangeAlertEmail.mockClear();
+
+    const user = new User({
+      email: 'old@example.com',
+      password: 'testpassword123',
+      isVerified: true
+    });
+    await user.save();
+    userId = user._id;
+
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'old@example.com', password: 'testpassword123' })
+      .expect(200);
+    authToken = login.body.token;
+  });
+
+  it('should email both addresses and swap only after confirmation', async () => {
+    const { confirmToken } = await startChange('New@Example.com');
+
+    expect(sendEmailChangeConfirmationEmail).toHaveBeenCalledWith('new@example.com', expect.any(String));
+    expect(sendEmailChangeAlertEmail).toHaveBeenCalledWith('old@example.com', 'new@example.com', expect.any(String));
+    expect(await currentEmail()).toBe('old@example.com');
+
+    await confirm(confirmToken).expect(200);
+    expect(await currentEmail()).toBe('new@example.com');
+
+    // Single use
+    await confirm(confirmToken).expect(400);
+
+    await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'new@example.com', password: 'testpassword123' })
+      .expect(200);
+  });
+
+  it('should require the current password and a valid, different address', async () => {
+    await requestChange('new@example.com', 'wrongpassword').expect(401);
+
+    const invalid = await requestChange('not-an-email').expect(400);
+    expect(invalid.body.message).toBe('Please enter a valid email address');
+
+    const same = await requestChange('OLD@example.com').expect(400);
+    expect(same.body.message).toBe('New email must be different from the current one');
+
+    expect(sendEmailChangeConfirmationEmail).not.toHaveBeenCalled();
+  });
+
+  it('should check that the address is free when confirming', async () => {
+    const { confirmToken } = await startChange('taken@example.com');
+
+    // Registered while the change was pending
+    await new User({ email: 'taken@example.com', password: 'otherpassword123' }).save();
+
+    const response = await confirm(confirmToken).expect(409);
+    expect(response.body.message).toBe('This email address is already in use');
+    expect(await currentEmail()).toBe('old@example.com');
+  });
+
+  it('should not reveal whether the new address has an account', async () => {
+    await new User({ email: 'taken@example.com', password: 'otherpassword123' }).save();
+
+    await requestChange('taken@example.com').expect(200);
+  });
+
+  it('should cancel a pending change from the revert link', async () => {
+    const { confirmToken, revertToken } = await startChange('new@example.com');
+
+    await revert(revertToken).expect(200);
+
+    await confirm(confirmToken).expect(400);
+    expect(await currentEmail()).toBe('old@example.com');
+  });
+
+  it('should restore the old address and log out everywhere after a confirmed change', async () => {
+    const { confirmToken, revertToken } = await startChange('new@example.com');
+    await confirm(confirmToken).expect(200);
+
+    const response = await revert(revertToken).expect(200);
+    expect(response.body.message).toContain('Email address restored');
+
+    expect(await currentEmail()).toBe('old@example.com');
+    expect(await ActiveSession.countDocuments()).toBe(0);
+
+    await request(app)
+      .get('/api/users/protected')
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(401);
+  });
+
+  it('should keep earlier revert links working after another change', async () => {
+    const first = await startChange('new@example.com');
+    await confirm(first.confirmToken).expect(200);
+
+    const second = await startChange('other@example.com');
+
+    // The second change is still pending, so the account is at the first new address
+    await revert(first.revertToken).expect(200);
+    expect(await currentEmail()).toBe('old@example.com');
+
+    // The pending change was cancelled along with it
+    await confirm(second.confirmToken).expect(400);
+  });
+});
@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const wellKnownRoutes = require('../routes/wellKnownRoutes');
+const { signToken, verifyToken, reloadKeyRing } = require('../utils/keyRing');
+
+// Create test app
+const app = express();
+app.use('/.well-known', wellKnownRoutes);
+
+const generatePem = (type, options) => {
+  return crypto.generateKeyPairSync(type, options).privateKey
+    .export({ type: 'pkcs8', format: 'pem' });
+};
+
+describe('JWT Key Ring', () => {
+  const rsaKey = generatePem('rsa', { modulusLength: 2048 });
+  const ecKey = generatePem('ec', { namedCurve: 'P-256' });
+  const edKey = generatePem('ed25519');
+
+  afterEach(() => {
+    delete process.env.JWT_KEYS;
+    reloadKeyRing();
+  });
+
+  it.each([
+    ['RS256', { privateKey: rsaKey }],
+    ['ES256', { privateKey: ecKey }],
+    ['EdDSA', { privateKey: edKey }],
+    ['HS256', { secret: 'test_hs256_secret' }]
+  ])('should sign and verify %s tokens with a kid header', (alg, material) => {
+    process.env.JWT_KEYS = JSON.stringify([{ kid: `${alg}-key`, alg, ...material }]);
+
+    const token = signToken({ id: 'user123' }, { expiresIn: '15m' });
+    const header = jwt.decode(token, { complete: true }).header;
+
+    expect(header.kid).toBe(`${alg}-key`);
+    expect(header.alg).toBe(alg);
+    expect(verifyToken(token).id).toBe('user123');
+  });
+
+  it.each([
+    ['EdDSA', { privateKey: edKey }],
+    ['HS256', { secret: 'test_hs256_secret' }]
+  ])('should reject %s tokens issued for another audience', (alg, material) => {
+    process.env.JWT_KEYS = JSON.stringify([{ kid: `${alg}-key`, alg, ...material }]);
+
+    const token = signToken({ id: 'user123' }, { expiresIn: '15m', audience: 'mfa' });
+
+    expect(verifyToken(token, { audience: 'mfa' }).id).toBe('user123');
+    expect(() => verifyToken(token, { audience: 'access' })).toThrow(jwt.JsonWebTokenError);
+  });
+
+  it('should keep verifying tokens from the previous key during rotation', () => {
+    process.env.JWT_KEYS = JSON.stringify([
+      { kid: 'old', alg: 'ES256', privateKey: ecKey }
+    ]);
+    const oldToken = signToken({ id: 'user123' }, { expiresIn: '15m' });
+
+    // New key takes over signing, old key stays for verification
+    process.env.JWT_KEYS = JSON.stringify([
+      { kid: 'old', alg: 'ES256', privateKey: ecKey },
+      { kid: 'new', alg: 'EdDSA', privateKey: edKey, notBefore: new Date().toISOString() }
+    ]);
+    const newToken = signToken({ id: 'user123' }, { expiresIn: '15m' });
+
+    expect(jwt.decode(newToken, { complete: true }).header.kid).toBe('new');
+    expect(verifyToken(oldToken).id).toBe('user123');
+    expect(verifyToken(newToken).id).toBe('user123');
+  });
+
+  it('should reject tokens signed by a retired key', () => {
+    process.env.JWT_KEYS = JSON.stringify([{ kid: 'old', alg: 'ES256', privateKey: ecKey }]);
+    const token = signToken({ id: 'user123' }, { expiresIn: '15m' });
+
+    process.env.JWT_KEYS = JSON.stringify([
+      { kid: 'old', alg: 'ES256', privateKey: ecKey, expiresAt: '2000-01-01T00:00:00Z' },
+      { kid: 'new', alg: 'ES256', privateKey: ecKey }
+    ]);
+
+    expect(() => verifyToken(token)).toThrow(jwt.JsonWebTokenError);
+  });
+
+  it('should reject tokens without a kid', () => {
+    process.env.JWT_KEYS = JSON.stringify([{ kid: 'hmac', alg: 'HS256', secret: 'test_hs256_secret' }]);
+    const token = jwt.sign({ id: 'user123' }, 'test_hs256_secret', { expiresIn: '15m' });
+
+    expect(() => verifyToken(token)).toThrow(jwt.JsonWebTokenError);
+  });
+
+  it('should report expired EdDSA tokens like jsonwebtoken does', () => {
+    process.env.JWT_KEYS = JSON.stringify([{ kid: 'ed', alg: 'EdDSA', privateKey: edKey }]);
+    const token = signToken({ id: 'user123' }, { expiresIn: 0 });
+
+    expect(() => verifyToken(token)).toThrow(jwt.TokenExpiredError);
+  });
+
+  describe('GET /.well-known/jwks.json', () => {
+    it('should publish public asymmetric keys only', async () => {
+      process.env.JWT_KEYS = JSON.stringify([
+        { kid: 'rsa', alg: 'RS256', privateKey: rsaKey },
+        { kid: 'ed', alg: 'EdDSA', privateKey: edKey },
+        { kid: 'hmac', alg: 'HS256', secret: 'test_hs256_secret' }
+      ]);
+
+      const response = await request(app)
+        .get('/.well-known/jwks.json')
+        .expect(200);
+
+      const kids = response.body.keys.map((key) => key.kid);
+      expect(kids).toEqual(['rsa', 'ed']);
+
+      // No private key material is exposed
+      response.body.keys.forEach((key) => {
+        expect(key.d).toBeUndefined();
+      });
+    });
+  });
+});
@@ -0,0 +1,129 @@
+const request = require('supertest');
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const User = require('../models/User');
+const LoginAttempt = require('../models/LoginAttempt');
+const authRoutes = require('../routes/authRoutes');
+const { getLockoutDelay, registerFailedLogin } = require('../utils/lockout');
+const { sendAccountUnlockEmail } = require('../config/email');
+
+jest.mock('../config/email');
+
+// Create test app
+const app = express();
+app.use(helmet());
+app.use(cors());
+app.use(express.json());
+app.use(express.urlencoded({ extended: false }));
+app.use('/api/auth', authRoutes);
+
+// Mock JWT secret and lockout thresholds for testing
+process.env.JWT_SECRET = 'test_jwt_secret_key';
+process.env.ACCESS_TOKEN_EXPIRY = '15m';
+process.env.LOCKOUT_THRESHOLD = '3';
+process.env.LOCKOUT_BASE_SECONDS = '60';
+process.env.LOCKOUT_MAX_SECONDS = '600';
+process.env.LOCKOUT_HARD_THRESHOLD = '6';
+
+const credentials = { email: 'lockout@example.com', password: 'testpassword123' };
+
+describe('Account Lockout', () => {
+  let user;
+
+  beforeEach(async () => {
+    sendAccountUnlockEmail.mockClear();
+
+    user = new User({ ...credentials, isVerified: true });
+    await user.save();
+  });
+
+  const login = (password) => {
+    return request(app)
+      .post('/api/auth/login')
+      .send({ email: credentials.email, password });
+  };
+
+  it('should double the delay after the threshold up to the maximum', () => {
+    expect(getLockoutDelay(2)).toBe(0);
+    expect(getLockoutDelay(3)).toBe(60 * 1000);
+    expect(getLockoutDelay(4)).toBe(120 * 1000);
+    expect(getLockoutDelay(10)).toBe(600 * 1000);
+  });
+
+  it('should lock the account with Retry-After once the threshold is reached', async () => {
+    for (let i = 0; i < 3; i++) {
+      await login('wrongpassword').expect(401);
+    }
+
+    // Even the correct password is refused while locked
+    const response = await login(credentials.password).expect(429);
+
+    expect(response.body.reason).toBe('too_many_failed_attempts');
+    expect(Number(response.headers['retry-after'])).toBeGreaterThan(0);
+    expect(Number(response.headers['retry-after'])).toBeLessThanOrEqual(60);
+  });
+
+  it('should persist the count beyond the login attempt window', async () => {
+    for (let i = 0; i < 3; i++) {
+      await login('wrongpassword').expect(401);
+    }
+
+    // Attempt records expire, the lockout state does not
+    await LoginAttempt.deleteMany({});
+    await User.updateOne({ _id: user._id }, { lockoutUntil: new Date(Date.now() - 1000) });
+
+    await login('wrongpassword').expect(401);
+
+    const updated = await User.findById(user._id);
+    expect(updated.failedLoginAttempts).toBe(4);
+    expect(updated.lockoutUntil.getTime() - Date.now()).toBeGreaterThan(60 * 1000);
+  });
+
+  it('should reset the counter after a successful login', async () => {
+    await login('wrongpassword').expect(401);
+    await login('wrongpassword').expect(401);
+    await login(credentials.password).expect(200);
+
+    const updated = await User.findById(user._id);
+    expect(updated.failedLoginAttempts).toBe(0);
+    expect(updated.lockoutUntil).toBeNull();
+  });
+
+  describe('Hard lock', () => {
+    const hardLock = async () => {
+      for (let i = 0; i < 6; i++) {
+        await registerFailedLogin(user._id);
+      }
+      return sendAccountUnlockEmail.mock.calls[0][1];
+    };
+
+    it('should hard lock and email an unlock link', async () => {
+      const token = await hardLock();
+
+      expect(sendAccountUnlockEmail).toHaveBeenCalledTimes(1);
+
+      const response = await login(credentials.password).expect(423);
+      expect(response.body.reason).toBe('account_locked');
+
+      await request(app)
+        .post('/api/auth/unlock')
+        .send({ token })
+        .expect(200);
+
+      await login(credentials.password).expect(200);
+    });
+
+    it('should reject an invalid unlock token', async () => {
+      await hardLock();
+
+      const response = await request(app)
+        .post('/api/auth/unlock')
+        .send({ token: 'invalid_token' })
+        .expect(400);
+
+      expect(response.body.message).toBe('Invalid or expired token');
+      await login(credentials.password).expect(423);
+    });
+  });
+});
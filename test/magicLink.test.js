@@ -0,0 +1,104 @@
+const request = require('supertest');
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const User = require('../models/User');
+const LoginAttempt = require('../models/LoginAttempt');
+const ActiveSession = require('../models/ActiveSession');
+const OneTimeToken = require('../models/OneTimeToken');
+const authRoutes = require('../routes/authRoutes');
+const { sendMagicLinkEmail } = require('../config/email');
+
+jest.mock('../config/email');
+
+// Create test app
+const app = express();
+app.use(helmet());
+app.use(cors());
+app.use(express.json());
+app.use(express.urlencoded({ extended: false }));
+app.use('/api/auth', authRoutes);
+
+// Mock JWT secret for testing
+process.env.JWT_SECRET = 'test_jwt_secret_key';
+process.env.ACCESS_TOKEN_EXPIRY = '15m';
+
+describe('Magic Link Login', () => {
+  beforeEach(async () => {
+    sendMagicLinkEmail.mockClear();
+
+    const user = new User({
+      email: 'magic@example.com',
+      password: 'testpassword123',
+      isVerified: true
+    });
+    await user.save();
+  });
+
+  const requestLink = async () => {
+    await request(app)
+      .post('/api/auth/magic-link')
+      .send({ email: 'magic@example.com' })
+      .expect(200);
+
+    return sendMagicLinkEmail.mock.calls[0][1];
+  };
+
+  it('should email a link and log in with it once', async () => {
+    const token = await requestLink();
+
+    // Only the hash is stored
+    const user = await User.findOne({ email: 'magic@example.com' });
+    const record = await OneTimeToken.findOne({ userId: user._id, purpose: 'magic_link' });
+    expect(record.tokenHash).toBeTruthy();
+    expect(record.tokenHash).not.toBe(token);
+
+    const response = await request(app)
+      .post('/api/auth/magic-link/consume')
+      .send({ token })
+      .expect(200);
+
+    expect(response.body.token).toBeTruthy();
+    expect(response.body.refreshToken).toBeTruthy();
+
+    // Same bookkeeping as password login
+    expect(await ActiveSession.countDocuments({ userId: user._id })).toBe(1);
+    expect(await LoginAttempt.countDocuments({ email: 'magic@example.com', successful: true })).toBe(1);
+
+    await request(app)
+      .post('/api/auth/magic-link/consume')
+      .send({ token })
+      .expect(400);
+  });
+
+  it('should reject an expired link', async () => {
+    const token = await requestLink();
+    await OneTimeToken.updateOne({ purpose: 'magic_link' }, { expiresAt: new Date(Date.now() - 1000) });
+
+    const response = await request(app)
+      .post('/api/auth/magic-link/consume')
+      .send({ token })
+      .expect(400);
+
+    expect(response.body.message).toBe('Invalid or expired token');
+  });
+
+  it('should not reveal whether an account exists', async () => {
+    const response = await request(app)
+      .post('/api/auth/magic-link')
+      .send({ email: 'nobody@example.com' })
+      .expect(200);
+
+    expect(response.body.message).toContain('a sign-in link has been sent');
+    expect(sendMagicLinkEmail).not.toHaveBeenCalled();
+  });
+
+  it('should return error for missing email', async () => {
+    const response = await request(app)
+      .post('/api/auth/magic-link')
+      .send({})
+      .expect(400);
+
+    expect(response.body.message).toBe('Email is required');
+  });
+});
@@ -0,0 +1,241 @@
+const request = require('supertest');
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const User = require('../models/User');
+const authRoutes = require('../routes/authRoutes');
+const userRoutes = require('../routes/userRoutes');
+const { generateTotp } = require('../utils/totp');
+
+// Create test app
+const app = express();
+app.use(helmet());
+app.use(cors());
+app.use(express.json());
+app.use(express.urlencoded({ extended: false }));
+app.use('/api/auth', authRoutes);
+app.use('/api/users', userRoutes);
+
+// Mock JWT secret for testing
+process.env.JWT_SECRET = 'test_jwt_secret_key';
+process.env.ACCESS_TOKEN_EXPIRY = '15m';
+
+const credentials = { email: 'mfa@example.com', password: 'testpassword123' };
+
+// Codes from the next time step, so they are not rejected as a replay of enrollment
+const nextCode = (secret) => generateTotp(secret, Date.now() + 30 * 1000);
+
+describe('TOTP Two-Factor Authentication', () => {
+  let authToken;
+
+  beforeEach(async () => {
+    const user = new User({ ...credentials, isVerified: true });
+    await user.save();
+
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send(credentials)
+      .expect(200);
+    authToken = response.body.token;
+  });
+
+  const enroll = async () => {
+    const setup = await request(app)
+      .post('/api/users/me/mfa/setup')
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+
+    const { secret } = setup.body.data;
+
+    const confirm = await request(app)
+      .post('/api/users/me/mfa/confirm')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ code: generateTotp(secret) })
+      .expect(200);
+
+    return { secret, recoveryCodes: confirm.body.data.recoveryCodes };
+  };
+
+  describe('Enrollment', () => {
+    it('should return a provisioning URI and enable MFA after confirmation', async () => {
+      const setup = await request(app)
+        .post('/api/users/me/mfa/setup')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(setup.body.data.otpauthUrl).toMatch(/^otpauth:\/\/totp\//);
+      expect(setup.body.data.otpauthUrl).toContain(`secret=${setup.body.data.secret}`);
+
+      const confirm = await request(app)
+        .post('/api/users/me/mfa/confirm')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ code: generateTotp(setup.body.data.secret) })
+        .expect(200);
+
+      expect(confirm.body.data.recoveryCodes).toHaveLength(10);
+
+      // Recovery codes are stored hashed
+      const user = await User.findOne({ email: credentials.email }).select('+mfaRecoveryCodes');
+      expect(user.mfaEnabled).toBe(true);
+      expect(user.mfaRecoveryCodes).not.toContain(confirm.body.data.recoveryCodes[0]);
+    });
+
+    it('should reject a wrong confirmation code', async () => {
+      await request(app)
+        .post('/api/users/me/mfa/setup')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/users/me/mfa/confirm')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ code: '000000' })
+        .expect(400);
+
+      expect(response.body.message).toBe('Invalid authentication code');
+    });
+  });
+
+  describe('POST /api/auth/mfa/verify', () => {
+    it('should require a second factor after the password', async () => {
+      const { secret } = await enroll();
+
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send(credentials)
+        .expect(200);
+
+      expect(login.body.mfaRequired).toBe(true);
+      expect(login.body.token).toBeUndefined();
+
+      // The challenge token is not an access token
+      await request(app)
+        .get('/api/users/protected')
+        .set('Authorization', `Bearer ${login.body.mfaToken}`)
+        .expect(401);
+
+      const response = await request(app)
+        .post('/api/auth/mfa/verify')
+        .send({ mfaToken: login.body.mfaToken, code: nextCode(secret) })
+        .expect(200);
+
+      expect(response.body.token).toBeTruthy();
+      expect(response.body.refreshToken).toBeTruthy();
+    });
+
+    it('should reject a replayed code', async () => {
+      const { secret } = await enroll();
+      const code = nextCode(secret);
+
+      const first = await request(app).post('/api/auth/login').send(credentials);
+      await request(app)
+        .post('/api/auth/mfa/verify')
+        .send({ mfaToken: first.body.mfaToken, code })
+        .expect(200);
+
+      const second = await request(app).post('/api/auth/login').send(credentials);
+      const response = await request(app)
+        .post('/api/auth/mfa/verify')
+        .send({ mfaToken: second.body.mfaToken, code })
+        .expect(401);
+
+      expect(response.body.message).toBe('Invalid authentication code');
+    });
+
+    it('should accept each recovery code once', async () => {
+      const { recoveryCodes } = await enroll();
+
+      const first = await request(app).post('/api/auth/login').send(credentials);
+      const response = await request(app)
+        .post('/api/auth/mfa/verify')
+        .send({ mfaToken: first.body.mfaToken, recoveryCode: recoveryCodes[0] })
+        .expect(200);
+
+      expect(response.body.recoveryCodesRemaining).toBe(9);
+
+      const second = await request(app).post('/api/auth/login').send(credentials);
+      await request(app)
+        .post('/api/auth/mfa/verify')
+        .send({ mfaToken: second.body.mfaToken, recoveryCode: recoveryCodes[0] })
+        .expect(401);
+    });
+
+    it('should rate limit failed second-factor attempts', async () => {
+      await enroll();
+
+      const login = await request(app).post('/api/auth/login').send(credentials);
+
+      for (let i = 0; i < 5; i++) {
+        await request(app)
+          .post('/api/auth/mfa/verify')
+          .send({ mfaToken: login.body.mfaToken, code: '000000' })
+          .expect(401);
+      }
+
+      const response = await request(app)
+        .post('/api/auth/mfa/verify')
+        .send({ mfaToken: login.body.mfaToken, code: '000000' })
+        .expect(429);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should not accept an access token as the MFA token', async () => {
+      await enroll();
+
+      const response = await request(app)
+        .post('/api/auth/mfa/verify')
+        .send({ mfaToken: authToken, code: '123456' })
+        .expect(401);
+
+      expect(response.body.message).toBe('Invalid or expired MFA token');
+    });
+
+    it('should reject an invalid MFA token', async () => {
+      const response = await request(app)
+        .post('/api/auth/mfa/verify')
+        .send({ mfaToken: 'invalid_token', code: '123456' })
+        .expect(401);
+
+      expect(response.body.message).toBe('Invalid or expired MFA token');
+    });
+  });
+
+  describe('POST /api/users/me/mfa/disable', () => {
+    it('should disable MFA with the password and a code', async () => {
+      const { secret } = await enroll();
+
+      await request(app)
+        .post('/api/users/me/mfa/disable')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ password: credentials.password, code: nextCode(secret) })
+        .expect(200);
+
+      const user = await User.findOne({ email: credentials.email });
+      expect(user.mfaEnabled).toBe(false);
+    });
+
+    it('should reject a code already used to sign in', async () => {
+      const { secret } = await enroll();
+      const code = nextCode(secret);
+
+      const login = await request(app).post('/api/auth/login').send(credentials);
+      await request(app)
+        .post('/api/auth/mfa/verify')
+        .send({ mfaToken: login.body.mfaToken, code })
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/users/me/mfa/disable')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ password: credentials.password, code })
+        .expect(401);
+
+      expect(response.body.message).toBe('Invalid password or authentication code');
+
+      const user = await User.findOne({ email: credentials.email });
+      expect(user.mfaEnabled).toBe(true);
+      expect(user.failedLoginAttempts).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+const ActiveSession = require('../models/ActiveSession');
+const User = require('../models/User');
+const { runMigrations } = require('../utils/migrations');
+
+describe('Migrations', () => {
+  describe('ActiveSession indexes', () => {
+    it('should drop the one-session-per-user and createdAt expiry indexes', async () => {
+      await ActiveSession.init();
+      await ActiveSession.collection.createIndex({ userId: 1 }, { unique: true });
+      await ActiveSession.collection.createIndex({ createdAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+      await runMigrations();
+
+      const names = (await ActiveSession.collection.indexes()).map((index) => index.name);
+      expect(names).not.toContain('userId_1');
+      expect(names).not.toContain('createdAt_1');
+      expect(names).toContain('userId_1_createdAt_-1');
+      expect(names).toContain('expiresAt_1');
+
+      // A second session for the same user is allowed again
+      const userId = new mongoose.Types.ObjectId();
+      const expiresAt = new Date(Date.now() + 60 * 60 * 1000);
+      await ActiveSession.create({ userId, token: 'first', expiresAt });
+      await ActiveSession.create({ userId, token: 'second', expiresAt });
+    });
+
+    it('should be safe to run again', async () => {
+      await runMigrations();
+      await runMigrations();
+    });
+  });
+
+  describe('Legacy user tokens', () => {
+    it('should remove one-time tokens stored on user documents', async () => {
+      const user = await User.create({ email: 'legacy@example.com', password: 'testpassword123' });
+      await User.collection.updateOne({ _id: user._id }, {
+        $set: {
+          registrationToken: 'plaintext_registration_token',
+          registrationTokenExpires: new Date(),
+          passwordResetToken: 'plaintext_reset_token',
+          passwordResetExpires: new Date(),
+          magicLinkToken: 'plaintext_magic_link_token'
+        }
+      });
+
+      await runMigrations();
+
+      const stored = await User.collection.findOne({ _id: user._id });
+      expect(stored.registrationToken).toBeUndefined();
+      expect(stored.registrationTokenExpires).toBeUndefined();
+      expect(stored.passwordResetToken).toBeUndefined();
+      expect(stored.passwordResetExpires).toBeUndefined();
+      expect(stored.magicLinkToken).toBeUndefined();
+      expect(stored.email).toBe('legacy@example.com');
+    });
+  });
+});
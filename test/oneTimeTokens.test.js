@@ -0,0 +1,95 @@
+const User = require('../models/User');
+const OneTimeToken = require('../models/OneTimeToken');
+const { hashToken } = require('../utils/tokenGenerator');
+const {
+  issueToken,
+  findToken,
+  consumeToken,
+  revokeTokens
+} = require('../utils/oneTimeTokens');
+
+describe('One-Time Tokens', () => {
+  let user;
+
+  beforeEach(async () => {
+    user = new User({
+      email: 'tokens@example.com',
+      password: 'testpassword123',
+      isVerified: true
+    });
+    await user.save();
+  });
+
+  it('should store only the hash of a token', async () => {
+    const token = await issueToken(user._id, 'password_reset');
+
+    const record = await OneTimeToken.findOne({ userId: user._id });
+    expect(record.purpose).toBe('password_reset');
+    expect(record.tokenHash).toBe(hashToken(token));
+    expect(record.tokenHash).not.toBe(token);
+    expect(record.expiresAt.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  it('should return flow details with the token', async () => {
+    const token = await issueToken(user._id, 'login_confirmation', { reason: 'new_device' });
+
+    const record = await findToken(token, 'login_confirmation');
+    expect(record.data).toEqual({ reason: 'new_device' });
+
+    // Looking a token up does not use it
+    expect(await consumeToken(token, 'login_confirmation')).toBeTruthy();
+  });
+
+  it('should only be used once', async () => {
+    const token = await issueToken(user._id, 'magic_link');
+
+    const results = await Promise.all([
+      consumeToken(token, 'magic_link'),
+      consumeToken(token, 'magic_link'),
+      consumeToken(token, 'magic_link')
+    ]);
+
+    expect(results.filter(Boolean)).toHaveLength(1);
+    expect(await findToken(token, 'magic_link')).toBeNull();
+  });
+
+  it('should invalidate the previous token for the same purpose', async () => {
+    const first = await issueToken(user._id, 'password_reset');
+    const unrelated = await issueToken(user._id, 'magic_link');
+    const second = await issueToken(user._id, 'password_reset');
+
+    expect(await findToken(first, 'password_reset')).toBeNull();
+    expect(await findToken(second, 'password_reset')).toBeTruthy();
+    expect(await findToken(unrelated, 'magic_link')).toBeTruthy();
+  });
+
+  it('should not accept a token for another purpose', async () => {
+    const token = await issueToken(user._id, 'magic_link');
+
+    expect(await consumeToken(token, 'password_reset')).toBeNull();
+    expect(await consumeToken(token, 'magic_link')).toBeTruthy();
+  });
+
+  it('should not accept an expired token', async () => {
+    const token = await issueToken(user._id, 'registration');
+    await OneTimeToken.updateOne({ userId: user._id }, { expiresAt: new Date(Date.now() - 1000) });
+
+    expect(await consumeToken(token, 'registration')).toBeNull();
+  });
+
+  it('should revoke outstanding tokens', async () => {
+    const reset = await issueToken(user._id, 'password_reset');
+    const link = await issueToken(user._id, 'magic_link');
+
+    expect(await revokeTokens(user._id, 'magic_link')).toBe(1);
+    expect(await findToken(link, 'magic_link')).toBeNull();
+    expect(await findToken(reset, 'password_reset')).toBeTruthy();
+
+    expect(await revokeTokens(user._id)).toBe(1);
+    expect(await findToken(reset, 'password_reset')).toBeNull();
+  });
+
+  it('should reject unknown purposes', async () => {
+    await expect(issueToken(user._id, 'unknown')).rejects.toThrow('Unknown token purpose: unknown');
+  });
+});
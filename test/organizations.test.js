@@ -0,0 +1,261 @@
+const request = require('supertest');
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const Membership = require('../models/Membership');
+const ActiveSession = require('../models/ActiveSession');
+const authRoutes = require('../routes/authRoutes');
+const organizationRoutes = require('../routes/organizationRoutes');
+const { createActiveSession } = require('../utils/sessions');
+const { sendInvitationEmail } = require('../config/email');
+
+jest.mock('../config/email');
+
+// Create test app
+const app = express();
+app.use(helmet());
+app.use(cors());
+app.use(express.json());
+app.use(express.urlencoded({ extended: false }));
+app.use('/api/auth', authRoutes);
+app.use('/api/orgs', organizationRoutes);
+
+// Mock JWT secret for testing
+process.env.JWT_SECRET = 'test_jwt_secret_key';
+process.env.ACCESS_TOKEN_EXPIRY = '15m';
+
+describe('Organizations', () => {
+  const createUser = async (email) => {
+    const user = new User({ email, password: 'testpassword123', isVerified: true });
+    await user.save();
+
+    const { token, refreshToken } = await createActiveSession(user._id);
+    return { user, token, refreshToken };
+  };
+
+  const createOrganization = async (token, name) => {
+    const response = await request(app)
+      .post('/api/orgs')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name })
+      .expect(201);
+    return response.body.data.organization;
+  };
+
+  let owner;
+  let organization;
+
+  beforeEach(async () => {
+    sendInvitationEmail.mockClear();
+
+    owner = await createUser('owner@acme.com');
+    organization = await createOrganization(owner.token, 'Acme');
+  });
+
+  it('should make the creator the owner', async () => {
+    expect(organization.role).toBe('owner');
+
+    const response = await request(app)
+      .get('/api/orgs')
+      .set('Authorization', `Bearer ${owner.token}`)
+      .expect(200);
+
+    expect(response.body.data.organizations).toHaveLength(1);
+  });
+
+  describe('Active organization', () => {
+    it('should resolve the organization from the X-Organization-Id header', async () => {
+      const response = await request(app)
+        .get('/api/orgs/current')
+        .set('Authorization', `Bearer ${owner.token}`)
+        .set('X-Organization-Id', organization.id)
+        .expect(200);
+
+      expect(response.body.data.organization.name).toBe('Acme');
+    });
+
+    it('should put the organization in the token after switching and keep it on refresh', async () => {
+      const switched = await request(app)
+        .post(`/api/orgs/${organization.id}/switch`)
+        .set('Authorization', `Bearer ${owner.token}`)
+        .expect(200);
+
+      expect(jwt.decode(switched.body.token).org).toBe(organization.id);
+
+      await request(app)
+        .get('/api/orgs/current')
+        .set('Authorization', `Bearer ${switched.body.token}`)
+        .expect(200);
+
+      const refreshed = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: owner.refreshToken })
+        .expect(200);
+
+      expect(jwt.decode(refreshed.body.token).org).toBe(organization.id);
+    });
+
+    it('should require an active organization for org routes', async () => {
+      const response = await request(app)
+        .get('/api/orgs/current/members')
+        .set('Authorization', `Bearer ${owner.token}`)
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should keep users of other organizations out', async () => {
+      const outsider = await createUser('someone@globex.com');
+      await createOrganization(outsider.token, 'Globex');
+
+      const response = await request(app)
+        .get('/api/orgs/current/members')
+        .set('Authorization', `Bearer ${outsider.token}`)
+        .set('X-Organization-Id', organization.id)
+        .expect(403);
+
+      expect(response.body.message).toBe('Not a member of this organization');
+
+      await request(app)
+        .post(`/api/orgs/${organization.id}/switch`)
+        .set('Authorization', `Bearer ${outsider.token}`)
+        .expect(404);
+    });
+  });
+
+  describe('Invitations', () => {
+    const invite = async (email, role = 'member') => {
+      await request(app)
+        .post('/api/orgs/current/invitations')
+        .set('Authorization', `Bearer ${owner.token}`)
+        .set('X-Organization-Id', organization.id)
+        .send({ email, role })
+        .expect(201);
+
+      return sendInvitationEmail.mock.calls[sendInvitationEmail.mock.calls.length - 1][2];
+    };
+
+    it('should let the invited user join with the invited role', async () => {
+      const token = await invite('dev@acme.com');
+      const dev = await createUser('dev@acme.com');
+
+      const response = await request(app)
+        .post('/api/orgs/invitations/accept')
+        .set('Authorization', `Bearer ${dev.token}`)
+        .send({ token })
+        .expect(200);
+
+      expect(response.body.data.organization.role).toBe('member');
+
+      // Members can read but not manage the member list
+      await request(app)
+        .get('/api/orgs/current/members')
+        .set('Authorization', `Bearer ${dev.token}`)
+        .set('X-Organization-Id', organization.id)
+        .expect(200);
+
+      await request(app)
+        .post('/api/orgs/current/invitations')
+        .set('Authorization', `Bearer ${dev.token}`)
+        .set('X-Organization-Id', organization.id)
+        .send({ email: 'another@acme.com' })
+        .expect(403);
+
+      // Invitations are single use
+      await request(app)
+        .post('/api/orgs/invitations/accept')
+        .set('Authorization', `Bearer ${dev.token}`)
+        .send({ token })
+        .expect(400);
+    });
+
+    it('should not let another account accept the invitation', async () => {
+      const token = await invite('dev@acme.com');
+      const other = await createUser('other@acme.com');
+
+      await request(app)
+        .post('/api/orgs/invitations/accept')
+        .set('Authorization', `Bearer ${other.token}`)
+        .send({ token })
+        .expect(400);
+    });
+  });
+
+  describe('Membership roles', () => {
+    let admin;
+
+    beforeEach(async () => {
+      admin = await createUser('admin@acme.com');
+      await Membership.create({ organizationId: organization.id, userId: admin.user._id, role: 'admin' });
+    });
+
+    it('should not let admins change ownership', async () => {
+      const response = await request(app)
+        .patch(`/api/orgs/current/members/${owner.user._id}`)
+        .set('Authorization', `Bearer ${admin.token}`)
+        .set('X-Organization-Id', organization.id)
+        .send({ role: 'member' })
+        .expect(403);
+
+      expect(response.body.message).toBe('Only owners can change ownership');
+    });
+
+    it('should keep at least one owner', async () => {
+      await request(app)
+        .delete(`/api/orgs/current/members/${owner.user._id}`)
+        .set('Authorization', `Bearer ${owner.token}`)
+        .set('X-Organization-Id', organization.id)
+        .expect(400);
+    });
+
+    it('should cut off access once a member is removed', async () => {
+      await request(app)
+        .delete(`/api/orgs/current/members/${admin.user._id}`)
+        .set('Authorization', `Bearer ${owner.token}`)
+        .set('X-Organization-Id', organization.id)
+        .expect(200);
+
+      await request(app)
+        .get('/api/orgs/current')
+        .set('Authorization', `Bearer ${admin.token}`)
+        .set('X-Organization-Id', organization.id)
+        .expect(403);
+    });
+
+    it('should drop the organization from the session of a removed member', async () => {
+      const switched = await request(app)
+        .post(`/api/orgs/${organization.id}/switch`)
+        .set('Authorization', `Bearer ${admin.token}`)
+        .expect(200);
+
+      await request(app)
+        .delete(`/api/orgs/current/members/${admin.user._id}`)
+        .set('Authorization', `Bearer ${owner.token}`)
+        .set('X-Organization-Id', organization.id)
+        .expect(200);
+
+      // The stale claim no longer locks the user out of everything else
+      await request(app)
+        .get('/api/orgs')
+        .set('Authorization', `Bearer ${switched.body.token}`)
+        .expect(200);
+
+      await request(app)
+        .get('/api/orgs/current')
+        .set('Authorization', `Bearer ${switched.body.token}`)
+        .expect(400);
+
+      const { sid } = jwt.decode(switched.body.token);
+      expect((await ActiveSession.findById(sid)).organizationId).toBeNull();
+
+      const refreshed = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: admin.refreshToken })
+        .expect(200);
+
+      expect(jwt.decode(refreshed.body.token).org).toBeUndefined();
+    });
+  });
+});
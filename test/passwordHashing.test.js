@@ -0,0 +1,121 @@
+const bcrypt = require('bcrypt');
+const request = require('supertest');
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const User = require('../models/User');
+const authRoutes = require('../routes/authRoutes');
+const {
+  getHashAlgorithm,
+  hashPassword,
+  verifyPassword,
+  needsRehash
+} = require('../utils/passwordHashing');
+
+// Create test app
+const app = express();
+app.use(helmet());
+app.use(cors());
+app.use(express.json());
+app.use(express.urlencoded({ extended: false }));
+app.use('/api/auth', authRoutes);
+
+// Mock JWT secret for testing
+process.env.JWT_SECRET = 'test_jwt_secret_key';
+process.env.ACCESS_TOKEN_EXPIRY = '15m';
+
+describe('Password Hashing', () => {
+  afterEach(() => {
+    delete process.env.PASSWORD_HASH_ALGORITHM;
+    delete process.env.PASSWORD_HASH_BCRYPT_COST;
+    delete process.env.PASSWORD_HASH_SCRYPT_LOG_N;
+  });
+
+  describe('Algorithms', () => {
+    it.each([
+      ['argon2id', /^\$argon2id\$v=19\$m=19456,t=2,p=1\$/],
+      ['scrypt', /^\$scrypt\$ln=14,r=8,p=1\$/],
+      ['bcrypt', /^\$2b\$12\$/]
+    ])('should make self-describing %s hashes', async (algorithm, format) => {
+      process.env.PASSWORD_HASH_ALGORITHM = algorithm;
+      process.env.PASSWORD_HASH_SCRYPT_LOG_N = '14';
+
+      const hash = await hashPassword('testpassword123');
+
+      expect(hash).toMatch(format);
+      expect(getHashAlgorithm(hash)).toBe(algorithm);
+      expect(await verifyPassword('testpassword123', hash)).toBe(true);
+      expect(await verifyPassword('wrongpassword', hash)).toBe(false);
+      expect(needsRehash(hash)).toBe(false);
+    });
+
+    it('should flag hashes with another algorithm or weaker parameters', async () => {
+      const legacy = await bcrypt.hash('testpassword123', 10);
+      expect(needsRehash(legacy)).toBe(true);
+
+      process.env.PASSWORD_HASH_ALGORITHM = 'bcrypt';
+      expect(needsRehash(legacy)).toBe(true);
+
+      process.env.PASSWORD_HASH_BCRYPT_COST = '10';
+      expect(needsRehash(legacy)).toBe(false);
+    });
+
+    it('should not verify unrecognized hashes', async () => {
+      expect(await verifyPassword('testpassword123', 'testpassword123')).toBe(false);
+    });
+  });
+
+  describe('Rehash on login', () => {
+    const login = (password = 'testpassword123') => request(app)
+      .post('/api/auth/login')
+      .send({ email: 'rehash@example.com', password });
+
+    const storedUser = () => User.findOne({ email: 'rehash@example.com' }).select('+password +passwordHistory');
+
+    beforeEach(async () => {
+      // An account hashed the old way: bcrypt at cost 10
+      process.env.PASSWORD_HASH_ALGORITHM = 'bcrypt';
+      process.env.PASSWORD_HASH_BCRYPT_COST = '10';
+
+      const user = new User({
+        email: 'rehash@example.com',
+        password: 'testpassword123',
+        isVerified: true
+      });
+      await user.save();
+
+      delete process.env.PASSWORD_HASH_ALGORITHM;
+      delete process.env.PASSWORD_HASH_BCRYPT_COST;
+    });
+
+    it('should upgrade an outdated hash after a successful login', async () => {
+      expect((await storedUser()).password).toMatch(/^\$2b\$10\$/);
+
+      await login().expect(200);
+
+      const user = await storedUser();
+      expect(getHashAlgorithm(user.password)).toBe('argon2id');
+      expect(user.passwordHistory).toEqual([user.password]);
+
+      // The new hash works and is left alone
+      await login().expect(200);
+      expect((await storedUser()).password).toBe(user.password);
+    });
+
+    it('should not touch the hash after a failed login', async () => {
+      const before = (await storedUser()).password;
+
+      await login('wrongpassword').expect(401);
+
+      expect((await storedUser()).password).toBe(before);
+    });
+
+    it('should upgrade accounts created before password history existed', async () => {
+      await User.collection.updateOne({ email: 'rehash@example.com' }, { $unset: { passwordHistory: '' } });
+
+      await login().expect(200);
+
+      expect(getHashAlgorithm((await storedUser()).password)).toBe('argon2id');
+    });
+  });
+});
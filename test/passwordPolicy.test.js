@@ -0,0 +1,148 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const request = require('supertest');
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const User = require('../models/User');
+const authRoutes = require('../routes/authRoutes');
+const { issueToken } = require('../utils/oneTimeTokens');
+const { estimatePasswordStrength, isBreachedPassword } = require('../utils/passwordPolicy');
+
+jest.mock('../config/email');
+
+// Create test app
+const app = express();
+app.use(helmet());
+app.use(cors());
+app.use(express.json());
+app.use(express.urlencoded({ extended: false }));
+app.use('/api/auth', authRoutes);
+
+// Mock JWT secret for testing
+process.env.JWT_SECRET = 'test_jwt_secret_key';
+process.env.ACCESS_TOKEN_EXPIRY = '15m';
+
+describe('Password Policy', () => {
+  afterEach(() => {
+    delete process.env.PASSWORD_MIN_LENGTH;
+    delete process.env.PASSWORD_HISTORY;
+    delete process.env.BREACHED_PASSWORDS_PATH;
+  });
+
+  const resetPassword = async (password) => {
+    const user = await User.findOne({ email: 'policy@example.com' });
+    const token = await issueToken(user._id, 'password_reset');
+    return request(app)
+      .post('/api/auth/reset-password')
+      .send({ token, password });
+  };
+
+  describe('Password reset', () => {
+    beforeEach(async () => {
+      const user = new User({
+        email: 'policy@example.com',
+        password: 'testpassword123',
+        isVerified: true
+      });
+      await user.save();
+    });
+
+    it('should reject a breached password with structured feedback', async () => {
+      const response = await resetPassword('password123').expect(400);
+
+      expect(response.body.errors.map((error) => error.code)).toEqual(['breached', 'too_weak']);
+      expect(response.body.message).toBe(response.body.errors[0].message);
+      expect(response.body.strength.score).toBeLessThan(response.body.strength.minScore);
+      expect(response.body.strength.suggestions).toContain('Avoid common words and passwords');
+    });
+
+    it('should reject a password that is easy to guess', async () => {
+      const response = await resetPassword('abcdefghijkl').expect(400);
+
+      expect(response.body.errors).toEqual([{ code: 'too_weak', message: 'Password is too easy to guess' }]);
+    });
+
+    it('should use the configured minimum length', async () => {
+      process.env.PASSWORD_MIN_LENGTH = '16';
+
+      const response = await resetPassword('Tr0ub4dor&3').expect(400);
+
+      expect(response.body.message).toBe('Password should be at least 16 characters long');
+    });
+
+    it('should block reuse of recent passwords', async () => {
+      const current = await resetPassword('testpassword123').expect(400);
+      expect(current.body.errors[0].code).toBe('reused');
+
+      await resetPassword('newpassword123').expect(200);
+      await resetPassword('otherpassword456').expect(200);
+
+      const previous = await resetPassword('testpassword123').expect(400);
+      expect(previous.body.errors[0].code).toBe('reused');
+
+      const user = await User.findOne({ email: 'policy@example.com' }).select('+passwordHistory');
+      expect(user.passwordHistory).toHaveLength(3);
+    });
+
+    it('should only remember the configured number of passwords', async () => {
+      process.env.PASSWORD_HISTORY = '2';
+
+      await resetPassword('newpassword123').expect(200);
+      await resetPassword('otherpassword456').expect(200);
+      await resetPassword('testpassword123').expect(200);
+
+      const user = await User.findOne({ email: 'policy@example.com' }).select('+passwordHistory');
+      expect(user.passwordHistory).toHaveLength(2);
+    });
+  });
+
+  describe('Registration', () => {
+    it('should apply the policy and start the password history', async () => {
+      const user = new User({
+        email: 'newpolicy@example.com',
+        password: 'temporary_password'
+      });
+      await user.save();
+      const token = await issueToken(user._id, 'registration');
+
+      // The email address is personal information
+      const weak = await request(app)
+        .post('/api/auth/verify-registration')
+        .send({ token, password: 'newpolicy1' })
+        .expect(400);
+
+      expect(weak.body.strength.suggestions).toContain('Avoid using your name or email address');
+
+      await request(app)
+        .post('/api/auth/verify-registration')
+        .send({ token, password: 'newpassword123' })
+        .expect(200);
+
+      const verified = await User.findOne({ email: 'newpolicy@example.com' }).select('+passwordHistory');
+      expect(verified.passwordHistory).toHaveLength(1);
+    });
+  });
+
+  describe('Strength and corpus', () => {
+    it('should score patterns and dictionary words low', () => {
+      expect(estimatePasswordStrength('qwertyuiop').score).toBe(0);
+      expect(estimatePasswordStrength('P@ssw0rd1').score).toBeLessThan(2);
+      expect(estimatePasswordStrength('correct horse battery staple').score).toBe(4);
+    });
+
+    it('should read a range directory one prefix at a time', async () => {
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'breached-'));
+      const hash = crypto.createHash('sha1').update('Tr0ub4dor&3').digest('hex').toUpperCase();
+      fs.writeFileSync(path.join(directory, `${hash.slice(0, 5)}.txt`), `${hash.slice(5)}:42\n`);
+      process.env.BREACHED_PASSWORDS_PATH = directory;
+
+      expect(await isBreachedPassword('Tr0ub4dor&3')).toBe(true);
+      expect(await isBreachedPassword('password')).toBe(false);
+
+      fs.rmSync(directory, { recursive: true });
+    });
+  });
+});
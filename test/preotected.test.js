@@ -4,8 +4,10 @@ const cors = require('cors');
 const helmet = require('helmet');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const ActiveSession = require('../models/ActiveSession');
 const authRoutes = require('../routes/authRoutes');
 const userRoutes = require('../routes/userRoutes');
+const { createActiveSession } = require('../utils/sessions');
 
 // Create test app
 const app = express();
@@ -18,10 +20,11 @@ app.use('/api/users', userRoutes);
 
 // Mock JWT secret for testing
 process.env.JWT_SECRET = 'test_jwt_secret_key';
-process.env.JWT_EXPIRY = '24h';
+process.env.ACCESS_TOKEN_EXPIRY = '24h';
 
 describe('Protected Routes', () => {
   let testUser;
+  let testSession;
   let authToken;
 
   beforeEach(async () => {
@@ -33,12 +36,8 @@ describe('Protected Routes', () => {
     });
     await testUser.save();
 
-    // Generate auth token
-    authToken = jwt.sign(
-      { id: testUser._id },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRY }
-    );
+    // Start a session and get its auth token
+    ({ session: testSession, token: authToken } = await createActiveSession(testUser._id));
   });
 
   describe('GET /api/users/protected', () => {
@@ -76,7 +75,7 @@ describe('Protected Routes', () => {
     it('should return error for expired token', async () => {
       // Create an expired token
       const expiredToken = jwt.sign(
-        { id: testUser._id },
+        { id: testUser._id, sid: testSession._id },
         process.env.JWT_SECRET,
         { expiresIn: '-1h' } // Expired 1 hour ago
       );
@@ -87,7 +86,38 @@ describe('Protected Routes', () => {
         .expect(401);
 
       expect(response.body.success).toBe(false);
-      expect(response.body.message).toBe('Not authorized, token failed');
+      expect(response.body.reason).toBe('expired');
+      expect(response.body.message).toBe('Not authorized, token expired');
+    });
+
+    it('should return error for revoked session', async () => {
+      // Log out, then reuse the same token
+      await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const response = await request(app)
+        .get('/api/users/protected')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(401);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.reason).toBe('revoked');
+      expect(response.body.message).toBe('Not authorized, session revoked');
+    });
+
+    it('should return error for superseded session', async () => {
+      // A refresh replaces the session's token
+      await ActiveSession.updateOne({ _id: testSession._id }, { token: 'newer_token' });
+
+      const response = await request(app)
+        .get('/api/users/protected')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(401);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.reason).toBe('superseded');
     });
 
     it('should return error for unverified user', async () => {
@@ -100,11 +130,7 @@ describe('Protected Routes', () => {
       await unverifiedUser.save();
 
       // Generate token for unverified user
-      const unverifiedToken = jwt.sign(
-        { id: unverifiedUser._id },
-        process.env.JWT_SECRET,
-        { expiresIn: process.env.JWT_EXPIRY }
-      );
+      const { token: unverifiedToken } = await createActiveSession(unverifiedUser._id);
 
       const response = await request(app)
         .get('/api/users/protected')
@@ -0,0 +1,150 @@
+const request = require('supertest');
+const express = require('express');
+const User = require('../models/User');
+const {
+  authLimiter,
+  apiLimiter,
+  advancedLoginLimiter,
+  recordLoginAttempt
+} = require('../middlewares/rateLimiter');
+const { protect } = require('../middlewares/auth');
+const { createActiveSession } = require('../utils/sessions');
+const { reloadRateLimitPolicy } = require('../utils/rateLimitPolicy');
+
+// Create test app with a few limited routes
+const app = express();
+app.use(express.json());
+
+const ok = (req, res) => res.status(200).json({ success: true });
+app.post('/api/auth/magic-link', authLimiter, ok);
+app.post('/api/auth/forgot-password', authLimiter, ok);
+app.post('/api/auth/login', advancedLoginLimiter, ok);
+app.get('/api/reports', protect, apiLimiter, ok);
+// Limited before authentication, like the global limiter in server.js
+app.get('/api/feed', apiLimiter, protect, ok);
+
+// Mock JWT secret for testing
+process.env.JWT_SECRET = 'test_jwt_secret_key';
+process.env.ACCESS_TOKEN_EXPIRY = '15m';
+
+// Reloading rebuilds the limiters, so counters do not carry over between tests
+const setPolicy = (policy) => {
+  process.env.RATE_LIMIT_POLICY = JSON.stringify(policy);
+  reloadRateLimitPolicy();
+};
+
+describe('Rate Limit Policy', () => {
+  afterAll(() => {
+    delete process.env.RATE_LIMIT_POLICY;
+  });
+
+  it('should apply limits from the policy with a window-aware message', async () => {
+    setPolicy({ policies: { auth: { max: 2, windowMs: 60 * 60 * 1000 } } });
+
+    await request(app).post('/api/auth/magic-link').expect(200);
+    await request(app).post('/api/auth/magic-link').expect(200);
+
+    const response = await request(app).post('/api/auth/magic-link').expect(429);
+    expect(response.body.message).toBe('Too many authentication attempts, please try again after 1 hour');
+  });
+
+  it('should apply per-route overrides with their own counters', async () => {
+    setPolicy({
+      policies: { auth: { max: 5 } },
+      routes: { 'POST /api/auth/forgot-password': { auth: { max: 1 } } }
+    });
+
+    await request(app).post('/api/auth/forgot-password').expect(200);
+    await request(app).post('/api/auth/forgot-password').expect(429);
+
+    await request(app).post('/api/auth/magic-link').expect(200);
+  });
+
+  it('should key limits by email', async () => {
+    setPolicy({ policies: { auth: { max: 1, keyBy: 'email' } } });
+
+    await request(app).post('/api/auth/magic-link').send({ email: 'a@example.com' }).expect(200);
+    await request(app).post('/api/auth/magic-link').send({ email: 'a@example.com' }).expect(429);
+    await request(app).post('/api/auth/magic-link').send({ email: 'b@example.com' }).expect(200);
+  });
+
+  it('should key limits by authenticated user', async () => {
+    setPolicy({ policies: { api: { max: 1, keyBy: 'user' } } });
+
+    const tokens = [];
+    for (const email of ['one@example.com', 'two@example.com']) {
+      const user = await User.create({ email, password: 'testpassword123', isVerified: true });
+      tokens.push((await createActiveSession(user._id)).token);
+    }
+
+    await request(app).get('/api/reports').set('Authorization', `Bearer ${tokens[0]}`).expect(200);
+    await request(app).get('/api/reports').set('Authorization', `Bearer ${tokens[0]}`).expect(429);
+    await request(app).get('/api/reports').set('Authorization', `Bearer ${tokens[1]}`).expect(200);
+  });
+
+  it('should key limits by user for limiters that run before authentication', async () => {
+    setPolicy({ policies: { api: { max: 1, keyBy: 'user' } } });
+
+    const tokens = [];
+    for (const email of ['one@example.com', 'two@example.com']) {
+      const user = await User.create({ email, password: 'testpassword123', isVerified: true });
+      tokens.push((await createActiveSession(user._id)).token);
+    }
+
+    await request(app).get('/api/feed').set('Authorization', `Bearer ${tokens[0]}`).expect(200);
+    await request(app).get('/api/feed').set('Authorization', `Bearer ${tokens[0]}`).expect(429);
+    await request(app).get('/api/feed').set('Authorization', `Bearer ${tokens[1]}`).expect(200);
+  });
+
+  it('should exempt allowlisted users before authentication', async () => {
+    const user = await User.create({ email: 'trusted@example.com', password: 'testpassword123', isVerified: true });
+    const { token } = await createActiveSession(user._id);
+
+    setPolicy({
+      policies: { api: { max: 1 } },
+      allowlist: { users: [user._id.toString()] }
+    });
+
+    for (let i = 0; i < 3; i++) {
+      await request(app).get('/api/feed').set('Authorization', `Bearer ${token}`).expect(200);
+    }
+
+    // Without the token the same client is limited by IP
+    await request(app).get('/api/feed').expect(401);
+    await request(app).get('/api/feed').expect(429);
+  });
+
+  it('should exempt allowlisted clients', async () => {
+    setPolicy({
+      policies: { auth: { max: 1 } },
+      allowlist: { ips: ['127.0.0.0/8', '::1'] }
+    });
+
+    for (let i = 0; i < 3; i++) {
+      await request(app).post('/api/auth/magic-link').expect(200);
+    }
+  });
+
+  it('should take failed-login thresholds from the policy', async () => {
+    setPolicy({ policies: { loginFailures: { maxPerEmail: 2 } } });
+
+    await recordLoginAttempt('victim@example.com', '10.0.0.1', false);
+    await recordLoginAttempt('victim@example.com', '10.0.0.2', false);
+
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'victim@example.com' })
+      .expect(429);
+
+    expect(response.body.message).toBe('Too many failed login attempts for this email. Please try again in 15 minutes.');
+  });
+
+  it('should keep the previous policy when the new one is invalid', async () => {
+    setPolicy({ policies: { auth: { max: 1 } } });
+    await request(app).post('/api/auth/magic-link').expect(200);
+
+    process.env.RATE_LIMIT_POLICY = '{ not json';
+
+    await request(app).post('/api/auth/magic-link').expect(429);
+  });
+});
@@ -0,0 +1,220 @@
+const net = require('net');
+const request = require('supertest');
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const RateLimitCounter = require('../models/RateLimitCounter');
+const { createMongoStore, createRedisStore } = require('../utils/rateLimitStore');
+const { createRespClient, encodeCommand, parseReply } = require('../utils/respClient');
+
+/**
+ * In-memory stand-in for a Redis server, implementing just the commands the
+ * store sends. Commands run one at a time, like on a real server.
+ */
+const createMemoryRedis = () => {
+  const data = new Map();
+
+  const live = (key) => {
+    const entry = data.get(key);
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      data.delete(key);
+      return undefined;
+    }
+    return entry;
+  };
+
+  const commands = {
+    GET: (key) => (live(key) ? String(live(key).value) : null),
+    SET: (key, value, px, ms, nx) => {
+      if (nx === 'NX' && live(key)) return null;
+      data.set(key, { value: parseInt(value), expiresAt: Date.now() + parseInt(ms) });
+      return 'OK';
+    },
+    INCR: (key) => {
+      const entry = live(key) || { value: 0, expiresAt: null };
+      entry.value += 1;
+      data.set(key, entry);
+      return entry.value;
+    },
+    DECR: (key) => {
+      const entry = live(key) || { value: 0, expiresAt: null };
+      entry.value -= 1;
+      data.set(key, entry);
+      return entry.value;
+    },
+    PTTL: (key) => {
+      const entry = live(key);
+      if (!entry) return -2;
+      return entry.expiresAt === null ? -1 : entry.expiresAt - Date.now();
+    },
+    PEXPIRE: (key, ms) => {
+      const entry = live(key);
+      if (!entry) return 0;
+      entry.expiresAt = Date.now() + parseInt(ms);
+      return 1;
+    },
+    DEL: (key) => (data.delete(key) ? 1 : 0)
+  };
+
+  return {
+    data,
+    sendCommand: async ([command, ...args]) => commands[command](...args)
+  };
+};
+
+const createApp = (store) => {
+  const app = express();
+  app.use(rateLimit({
+    windowMs: 60 * 1000,
+    max: 3,
+    standardHeaders: true,
+    legacyHeaders: false,
+    store
+  }));
+  app.get('/', (req, res) => res.json({ success: true }));
+  return app;
+};
+
+describe('Rate Limit Stores', () => {
+  describe('MongoDB store', () => {
+    it('should share one limit between instances', async () => {
+      // Two limiters over the same collection stand in for two processes
+      const first = createApp(createMongoStore({ prefix: 'rl:test:' }));
+      const second = createApp(createMongoStore({ prefix: 'rl:test:' }));
+
+      await request(first).get('/').expect(200);
+      await request(second).get('/').expect(200);
+      await request(first).get('/').expect(200);
+
+      await request(second).get('/').expect(429);
+    });
+
+    it('should count concurrent hits atomically', async () => {
+      const store = createMongoStore({ prefix: 'rl:test:' });
+      store.init({ windowMs: 60 * 1000 });
+
+      await Promise.all(Array.from({ length: 20 }, () => store.increment('client')));
+
+      const counter = await RateLimitCounter.findOne({ key: 'rl:test:client' });
+      expect(counter.hits).toBe(20);
+    });
+
+    it('should start a new window once the old one ends', async () => {
+      const store = createMongoStore({ prefix: 'rl:test:' });
+      store.init({ windowMs: 60 * 1000 });
+
+      await store.increment('client');
+      await store.increment('client');
+      await RateLimitCounter.updateOne({ key: 'rl:test:client' }, { resetAt: new Date(Date.now() - 1000) });
+
+      const result = await store.increment('client');
+      expect(result.totalHits).toBe(1);
+      expect(result.resetTime.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    it('should reset and decrement keys', async () => {
+      const store = createMongoStore({ prefix: 'rl:test:' });
+      store.init({ windowMs: 60 * 1000 });
+
+      await store.increment('client');
+      await store.increment('client');
+      await store.decrement('client');
+      expect((await store.get('client')).totalHits).toBe(1);
+
+      await store.resetKey('client');
+      expect(await store.get('client')).toBeUndefined();
+    });
+  });
+
+  describe('Redis store', () => {
+    it('should share one limit between instances', async () => {
+      const redis = createMemoryRedis();
+      const first = createApp(createRedisStore({ prefix: 'rl:test:', sendCommand: redis.sendCommand }));
+      const second = createApp(createRedisStore({ prefix: 'rl:test:', sendCommand: redis.sendCommand }));
+
+      await request(first).get('/').expect(200);
+      await request(second).get('/').expect(200);
+      await request(first).get('/').expect(200);
+
+      const response = await request(second).get('/').expect(429);
+      expect(response.headers['ratelimit-reset']).toBeTruthy();
+    });
+
+    it('should give the counter the window as its TTL', async () => {
+      const redis = createMemoryRedis();
+      const store = createRedisStore({ prefix: 'rl:test:', sendCommand: redis.sendCommand });
+      store.init({ windowMs: 60 * 1000 });
+
+      const result = await store.increment('client');
+
+      expect(result.totalHits).toBe(1);
+      expect(redis.data.get('rl:test:client').expiresAt).toBeGreaterThan(Date.now());
+      expect(result.resetTime.getTime()).toBeLessThanOrEqual(Date.now() + 60 * 1000);
+    });
+
+    it('should reset and decrement keys', async () => {
+      const redis = createMemoryRedis();
+      const store = createRedisStore({ prefix: 'rl:test:', sendCommand: redis.sendCommand });
+      store.init({ windowMs: 60 * 1000 });
+
+      await store.increment('client');
+      await store.increment('client');
+      await store.decrement('client');
+      expect((await store.get('client')).totalHits).toBe(1);
+
+      await store.resetKey('client');
+      expect(await store.get('client')).toBeUndefined();
+    });
+  });
+
+  describe('RESP client', () => {
+    const listen = (onConnection) => new Promise((resolve) => {
+      const server = net.createServer(onConnection);
+      server.listen(0, '127.0.0.1', () => resolve(server));
+    });
+
+    it('should drop the connection instead of crashing on an unexpected reply', async () => {
+      let connections = 0;
+      const server = await listen((socket) => {
+        connections += 1;
+        // Two replies for every command
+        socket.on('data', () => socket.write(':1\r\n:2\r\n'));
+      });
+      const client = createRespClient(`redis://127.0.0.1:${server.address().port}`);
+
+      expect(await client.sendCommand(['INCR', 'key'])).toBe(1);
+
+      // The connection was reset; a later command gets a fresh one
+      await new Promise((resolve) => setTimeout(resolve, 150));
+      expect(await client.sendCommand(['INCR', 'key'])).toBe(1);
+      expect(connections).toBe(2);
+
+      await client.quit();
+      await new Promise((resolve) => server.close(resolve));
+    });
+
+    it('should not reconnect on every command while the server is down', async () => {
+      const server = await listen(() => {});
+      const { port } = server.address();
+      await new Promise((resolve) => server.close(resolve));
+
+      const client = createRespClient(`redis://127.0.0.1:${port}`);
+
+      await expect(client.sendCommand(['PING'])).rejects.toThrow('Redis connection closed');
+      await expect(client.sendCommand(['PING'])).rejects.toThrow('Redis unavailable');
+    });
+  });
+
+  describe('RESP encoding', () => {
+    it('should encode commands and parse replies', () => {
+      expect(encodeCommand(['INCR', 'rl:key']).toString()).toBe('*2\r\n$4\r\nINCR\r\n$6\r\nrl:key\r\n');
+
+      expect(parseReply(Buffer.from(':5\r\n')).value).toBe(5);
+      expect(parseReply(Buffer.from('$-1\r\n')).value).toBeNull();
+      expect(parseReply(Buffer.from('$3\r\nabc\r\n')).value).toBe('abc');
+      expect(parseReply(Buffer.from('-ERR wrong type\r\n')).value).toBeInstanceOf(Error);
+
+      // Incomplete replies wait for more data
+      expect(parseReply(Buffer.from('$3\r\nab'))).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,125 @@
+const request = require('supertest');
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const authRoutes = require('../routes/authRoutes');
+
+// Create test app
+const app = express();
+app.use(helmet());
+app.use(cors());
+app.use(express.json());
+app.use(express.urlencoded({ extended: false }));
+app.use('/api/auth', authRoutes);
+
+// Mock JWT secret for testing
+process.env.JWT_SECRET = 'test_jwt_secret_key';
+process.env.ACCESS_TOKEN_EXPIRY = '15m';
+
+describe('Refresh Tokens', () => {
+  let loginResponse;
+
+  beforeEach(async () => {
+    const user = new User({
+      email: 'refresh@example.com',
+      password: 'testpassword123',
+      isVerified: true
+    });
+    await user.save();
+
+    loginResponse = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'refresh@example.com', password: 'testpassword123' })
+      .expect(200);
+  });
+
+  describe('POST /api/auth/login', () => {
+    it('should return an access token and a refresh token', async () => {
+      expect(loginResponse.body.token).toBeTruthy();
+      expect(loginResponse.body.refreshToken).toBeTruthy();
+
+      // Only the hash of the refresh token is stored
+      const stored = await RefreshToken.findOne({});
+      expect(stored.tokenHash).not.toBe(loginResponse.body.refreshToken);
+    });
+  });
+
+  describe('POST /api/auth/refresh', () => {
+    it('should rotate the refresh token', async () => {
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: loginResponse.body.refreshToken })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.token).toBeTruthy();
+      expect(response.body.refreshToken).toBeTruthy();
+      expect(response.body.refreshToken).not.toBe(loginResponse.body.refreshToken);
+    });
+
+    it('should revoke the whole family when a rotated token is reused', async () => {
+      const first = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: loginResponse.body.refreshToken })
+        .expect(200);
+
+      // Replay the original, already rotated token
+      const replay = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: loginResponse.body.refreshToken })
+        .expect(401);
+
+      expect(replay.body.message).toBe('Refresh token reuse detected, please login again');
+
+      // The successor issued before the replay is no longer valid either
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: first.body.refreshToken })
+        .expect(401);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should return error for unknown refresh token', async () => {
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: 'unknown_token' })
+        .expect(401);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.message).toBe('Invalid or expired refresh token');
+    });
+
+    it('should return error for missing refresh token', async () => {
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({})
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.message).toBe('Refresh token is required');
+    });
+
+    it('should reject a refresh token that is not a string', async () => {
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: { $ne: null } })
+        .expect(400);
+
+      expect(response.body.message).toBe('Refresh token must be a string');
+    });
+
+    it('should be rate limited separately from the other auth routes', async () => {
+      for (let i = 0; i < 30; i++) {
+        await request(app).post('/api/auth/refresh').send({ refreshToken: 'unknown_token' });
+      }
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: 'unknown_token' })
+        .expect(429);
+    });
+  });
+});
@@ -0,0 +1,221 @@
+const request = require('supertest');
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const User = require('../models/User');
+const ActiveSession = require('../models/ActiveSession');
+const authRoutes = require('../routes/authRoutes');
+const userRoutes = require('../routes/userRoutes');
+const { sendLoginConfirmationEmail } = require('../config/email');
+
+jest.mock('../config/email');
+
+// Create test app
+const app = express();
+app.use(helmet());
+app.use(cors());
+app.use(express.json());
+app.use(express.urlencoded({ extended: false }));
+app.use('/api/auth', authRoutes);
+app.use('/api/users', userRoutes);
+
+// Mock JWT secret for testing
+process.env.JWT_SECRET = 'test_jwt_secret_key';
+process.env.ACCESS_TOKEN_EXPIRY = '15m';
+
+const PHONE_UA = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 Version/17.0 Mobile/15E148 Safari/604.1';
+const LAPTOP_UA = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 Chrome/124.0 Safari/537.36';
+
+describe('Multi-device Sessions', () => {
+  let phoneToken;
+  let laptopToken;
+
+  beforeEach(async () => {
+    const user = new User({
+      email: 'sessions@example.com',
+      password: 'testpassword123',
+      isVerified: true
+    });
+    await user.save();
+
+    const credentials = { email: 'sessions@example.com', password: 'testpassword123' };
+
+    const phone = await request(app)
+      .post('/api/auth/login')
+      .set('User-Agent', PHONE_UA)
+      .send(credentials)
+      .expect(200);
+    phoneToken = phone.body.token;
+
+    const laptop = await request(app)
+      .post('/api/auth/login')
+      .set('User-Agent', LAPTOP_UA)
+      .send(credentials)
+      .expect(200);
+    laptopToken = laptop.body.token;
+  });
+
+  it('should keep both devices logged in', async () => {
+    await request(app)
+      .get('/api/users/protected')
+      .set('Authorization', `Bearer ${phoneToken}`)
+      .expect(200);
+
+    await request(app)
+      .get('/api/users/protected')
+      .set('Authorization', `Bearer ${laptopToken}`)
+      .expect(200);
+  });
+
+  describe('GET /api/users/me/sessions', () => {
+    it('should list sessions with device details', async () => {
+      const response = await request(app)
+        .get('/api/users/me/sessions')
+        .set('Authorization', `Bearer ${laptopToken}`)
+        .expect(200);
+
+      const { sessions } = response.body.data;
+      expect(sessions).toHaveLength(2);
+
+      const current = sessions.find((session) => session.current);
+      expect(current.device).toBe('Chrome on Windows');
+      expect(current.userAgent).toBe(LAPTOP_UA);
+      expect(current.lastSeenAt).toBeTruthy();
+
+      const other = sessions.find((session) => !session.current);
+      expect(other.device).toBe('Safari on iOS');
+    });
+  });
+
+  describe('DELETE /api/users/me/sessions/:id', () => {
+    it('should revoke another device', async () => {
+      const phoneSession = await ActiveSession.findOne({ userAgent: PHONE_UA });
+
+      await request(app)
+        .delete(`/api/users/me/sessions/${phoneSession._id}`)
+        .set('Authorization', `Bearer ${laptopToken}`)
+        .expect(200);
+
+      const response = await request(app)
+        .get('/api/users/protected')
+        .set('Authorization', `Bearer ${phoneToken}`)
+        .expect(401);
+
+      expect(response.body.reason).toBe('revoked');
+    });
+
+    it('should return 404 for unknown session', async () => {
+      const response = await request(app)
+        .delete('/api/users/me/sessions/000000000000000000000000')
+        .set('Authorization', `Bearer ${laptopToken}`)
+        .expect(404);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.message).toBe('Session not found');
+    });
+  });
+
+  describe('DELETE /api/users/me/sessions', () => {
+    it('should log out everywhere else', async () => {
+      const response = await request(app)
+        .delete('/api/users/me/sessions')
+        .set('Authorization', `Bearer ${laptopToken}`)
+        .expect(200);
+
+      expect(response.body.data.revoked).toBe(1);
+
+      await request(app)
+        .get('/api/users/protected')
+        .set('Authorization', `Bearer ${phoneToken}`)
+        .expect(401);
+
+      await request(app)
+        .get('/api/users/protected')
+        .set('Authorization', `Bearer ${laptopToken}`)
+        .expect(200);
+    });
+  });
+
+  describe('Concurrent-login policy', () => {
+    const credentials = { email: 'sessions@example.com', password: 'testpassword123' };
+
+    afterEach(() => {
+      delete process.env.LOGIN_SESSION_POLICY;
+      delete process.env.LOGIN_MAX_SESSIONS;
+    });
+
+    it('should reject a new login under the reject policy', async () => {
+      process.env.LOGIN_SESSION_POLICY = 'reject';
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send(credentials)
+        .expect(409);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.sessionPolicy.mode).toBe('reject');
+    });
+
+    it('should reject a login over the limit under the limit policy', async () => {
+      process.env.LOGIN_SESSION_POLICY = 'limit';
+      process.env.LOGIN_MAX_SESSIONS = '2';
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send(credentials)
+        .expect(409);
+
+      expect(response.body.sessionPolicy).toMatchObject({ mode: 'limit', maxSessions: 2 });
+    });
+
+    it('should replace the oldest session under the replace policy', async () => {
+      process.env.LOGIN_SESSION_POLICY = 'replace';
+      process.env.LOGIN_MAX_SESSIONS = '2';
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send(credentials)
+        .expect(200);
+
+      expect(response.body.sessionPolicy).toMatchObject({ mode: 'replace', evicted: 1 });
+
+      // The phone logged in first, so its session was replaced
+      await request(app)
+        .get('/api/users/protected')
+        .set('Authorization', `Bearer ${phoneToken}`)
+        .expect(401);
+
+      expect(await ActiveSession.countDocuments({})).toBe(2);
+    });
+
+    it('should require email confirmation under the confirm policy', async () => {
+      process.env.LOGIN_SESSION_POLICY = 'confirm';
+      process.env.LOGIN_MAX_SESSIONS = '2';
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send(credentials)
+        .expect(202);
+
+      expect(response.body.confirmationRequired).toBe(true);
+      expect(response.body.sessionPolicy.mode).toBe('confirm');
+      expect(sendLoginConfirmationEmail).toHaveBeenCalled();
+
+      const confirmToken = sendLoginConfirmationEmail.mock.calls[0][1];
+
+      const confirmed = await request(app)
+        .post('/api/auth/login/confirm')
+        .send({ token: confirmToken })
+        .expect(200);
+
+      expect(confirmed.body.token).toBeTruthy();
+      expect(confirmed.body.sessionPolicy.evicted).toBe(1);
+
+      // The link is single-use
+      await request(app)
+        .post('/api/auth/login/confirm')
+        .send({ token: confirmToken })
+        .expect(400);
+    });
+  });
+});
@@ -0,0 +1,304 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const { isoCBOR } = require('@simplewebauthn/server/helpers');
+const User = require('../models/User');
+const WebAuthnChallenge = require('../models/WebAuthnChallenge');
+const authRoutes = require('../routes/authRoutes');
+const userRoutes = require('../routes/userRoutes');
+
+// Create test app
+const app = express();
+app.use(helmet());
+app.use(cors());
+app.use(express.json());
+app.use(express.urlencoded({ extended: false }));
+app.use('/api/auth', authRoutes);
+app.use('/api/users', userRoutes);
+
+// Mock JWT secret and relying party for testing
+process.env.JWT_SECRET = 'test_jwt_secret_key';
+process.env.ACCESS_TOKEN_EXPIRY = '15m';
+process.env.WEBAUTHN_RP_ID = 'localhost';
+process.env.WEBAUTHN_ORIGIN = 'http://localhost:3000';
+
+const b64url = (buffer) => Buffer.from(buffer).toString('base64url');
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest();
+
+/**
+ * Minimal software authenticator: one ES256 passkey with 'none' attestation
+ */
+const createSoftAuthenticator = ({ origin = process.env.WEBAUTHN_ORIGIN } = {}) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const credentialId = crypto.randomBytes(16);
+  let signCount = 0;
+  let userHandle = null;
+
+  const authenticatorData = (rpId, flags, attestedCredential) => {
+    const counter = Buffer.alloc(4);
+    counter.writeUInt32BE(signCount);
+    return Buffer.concat([sha256(rpId), Buffer.from([flags]), counter, attestedCredential || Buffer.alloc(0)]);
+  };
+
+  const clientData = (type, challenge) => Buffer.from(JSON.stringify({
+    type,
+    challenge,
+    origin,
+    crossOrigin: false
+  }));
+
+  return {
+    // navigator.credentials.create()
+    create(options) {
+      userHandle = options.user.id;
+
+      const jwk = publicKey.export({ format: 'jwk' });
+      const cosePublicKey = isoCBOR.encode(new Map([
+        [1, 2], // kty: EC2
+        [3, -7], // alg: ES256
+        [-1, 1], // crv: P-256
+        [-2, Buffer.from(jwk.x, 'base64url')],
+        [-3, Buffer.from(jwk.y, 'base64url')]
+      ]));
+
+      const idLength = Buffer.alloc(2);
+      idLength.writeUInt16BE(credentialId.length);
+      const attestedCredential = Buffer.concat([Buffer.alloc(16), idLength, credentialId, Buffer.from(cosePublicKey)]);
+
+      // Flags: user present, user verified, attested credential data included
+      const authData = authenticatorData(options.rp.id, 0x45, attestedCredential);
+      const attestationObject = isoCBOR.encode(new Map([
+        ['fmt', 'none'],
+        ['attStmt', new Map()],
+        ['authData', authData]
+      ]));
+
+      return {
+        id: b64url(credentialId),
+        rawId: b64url(credentialId),
+        type: 'public-key',
+        response: {
+          clientDataJSON: b64url(clientData('webauthn.create', options.challenge)),
+          attestationObject: b64url(attestationObject),
+          transports: ['internal']
+        },
+        clientExtensionResults: {}
+      };
+    },
+
+    // navigator.credentials.get()
+    get(options) {
+      signCount += 1;
+
+      const authData = authenticatorData(options.rpId, 0x05);
+      const clientDataJSON = clientData('webauthn.get', options.challenge);
+      const signature = crypto.sign('sha256', Buffer.concat([authData, sha256(clientDataJSON)]), privateKey);
+
+      return {
+        id: b64url(credentialId),
+        rawId: b64url(credentialId),
+        type: 'public-key',
+        response: {
+          clientDataJSON: b64url(clientDataJSON),
+          authenticatorData: b64url(authData),
+          signature: b64url(signature),
+          userHandle
+        },
+        clientExtensionResults: {}
+      };
+    }
+  };
+};
+
+describe('WebAuthn Passkeys', () => {
+  let authToken;
+  let authenticator;
+
+  beforeEach(async () => {
+    const user = new User({
+      email: 'passkey@example.com',
+      password: 'testpassword123',
+      isVerified: true
+    });
+    await user.save();
+
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'passkey@example.com', password: 'testpassword123' })
+      .expect(200);
+    authToken = login.body.token;
+
+    authenticator = createSoftAuthenticator();
+  });
+
+  const registerPasskey = async () => {
+    const options = await request(app)
+      .post('/api/auth/webauthn/register/options')
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+
+    return request(app)
+      .post('/api/auth/webauthn/register/verify')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ response: authenticator.create(options.body.data.options), name: 'Test key' });
+  };
+
+  const loginWithPasskey = async (email) => {
+    const options = await request(app)
+      .post('/api/auth/webauthn/login/options')
+      .send(email ? { email } : {})
+      .expect(200);
+
+    return {
+      options: options.body.data.options,
+      response: authenticator.get(options.body.data.options)
+    };
+  };
+
+  describe('Registration', () => {
+    it('should register a passkey for the current user', async () => {
+      const response = await registerPasskey();
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.passkey.name).toBe('Test key');
+
+      const user = await User.findOne({ email: 'passkey@example.com' });
+      expect(user.webauthnCredentials).toHaveLength(1);
+      expect(user.webauthnCredentials[0].publicKey).toBeTruthy();
+    });
+
+    it('should reject a response for an unknown challenge', async () => {
+      const response = await request(app)
+        .post('/api/auth/webauthn/register/verify')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          response: authenticator.create({
+            rp: { id: 'localhost' },
+            user: { id: 'dXNlcg' },
+            challenge: b64url(crypto.randomBytes(32))
+          })
+        })
+        .expect(400);
+
+      expect(response.body.message).toBe('Invalid or expired challenge');
+    });
+
+    it('should reject a response from the wrong origin', async () => {
+      authenticator = createSoftAuthenticator({ origin: 'https://evil.example' });
+
+      const response = await registerPasskey();
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Passkey registration failed');
+    });
+  });
+
+  describe('Passwordless login', () => {
+    it('should log in with a discoverable passkey', async () => {
+      await registerPasskey();
+
+      const { response } = await loginWithPasskey();
+
+      const login = await request(app)
+        .post('/api/auth/webauthn/login/verify')
+        .send({ response })
+        .expect(200);
+
+      expect(login.body.token).toBeTruthy();
+      expect(login.body.refreshToken).toBeTruthy();
+
+      // Sign counter is tracked
+      const user = await User.findOne({ email: 'passkey@example.com' });
+      expect(user.webauthnCredentials[0].counter).toBe(1);
+      expect(user.webauthnCredentials[0].lastUsedAt).toBeTruthy();
+    });
+
+    it('should restrict allowed credentials when an email is given', async () => {
+      await registerPasskey();
+
+      const { options } = await loginWithPasskey('passkey@example.com');
+
+      expect(options.allowCredentials).toHaveLength(1);
+    });
+
+    it('should not reveal whether an email has passkeys', async () => {
+      const first = await loginWithPasskey('nobody@example.com');
+      const second = await loginWithPasskey('nobody@example.com');
+      const withoutPasskeys = await loginWithPasskey('passkey@example.com');
+
+      expect(first.options.allowCredentials).toHaveLength(1);
+      expect(second.options.allowCredentials).toEqual(first.options.allowCredentials);
+      expect(withoutPasskeys.options.allowCredentials).toHaveLength(1);
+      expect(withoutPasskeys.options.allowCredentials).not.toEqual(first.options.allowCredentials);
+    });
+
+    it('should keep only the newest pending challenges per user', async () => {
+      await registerPasskey();
+
+      for (let i = 0; i < 7; i++) {
+        await loginWithPasskey('passkey@example.com');
+      }
+
+      expect(await WebAuthnChallenge.countDocuments({ type: 'authentication' })).toBe(5);
+    });
+
+    it('should not accept the same challenge twice', async () => {
+      await registerPasskey();
+
+      const { response } = await loginWithPasskey();
+
+      await request(app)
+        .post('/api/auth/webauthn/login/verify')
+        .send({ response })
+        .expect(200);
+
+      const replay = await request(app)
+        .post('/api/auth/webauthn/login/verify')
+        .send({ response })
+        .expect(400);
+
+      expect(replay.body.message).toBe('Invalid or expired challenge');
+    });
+
+    it('should reject a tampered signature', async () => {
+      await registerPasskey();
+
+      const { response } = await loginWithPasskey();
+      response.response.signature = b64url(crypto.randomBytes(70));
+
+      const login = await request(app)
+        .post('/api/auth/webauthn/login/verify')
+        .send({ response })
+        .expect(401);
+
+      expect(login.body.message).toBe('Invalid passkey');
+
+      // Counts towards the account lockout like a wrong password
+      const user = await User.findOne({ email: 'passkey@example.com' });
+      expect(user.failedLoginAttempts).toBe(1);
+    });
+  });
+
+  describe('Passkey management', () => {
+    it('should list and remove passkeys', async () => {
+      await registerPasskey();
+
+      const list = await request(app)
+        .get('/api/users/me/passkeys')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(list.body.data.passkeys).toHaveLength(1);
+
+      await request(app)
+        .delete(`/api/users/me/passkeys/${list.body.data.passkeys[0].id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const user = await User.findOne({ email: 'passkey@example.com' });
+      expect(user.webauthnCredentials).toHaveLength(0);
+    });
+  });
+});
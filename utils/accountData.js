@@ -0,0 +1,226 @@
+const User = require('../models/User');
+const ActiveSession = require('../models/ActiveSession');
+const AdminAction = require('../models/AdminAction');
+const AuditEvent = require('../models/AuditEvent');
+const ApiKey = require('../models/ApiKey');
+const LoginAttempt = require('../models/LoginAttempt');
+const Invitation = require('../models/Invitation');
+const Membership = require('../models/Membership');
+const OneTimeToken = require('../models/OneTimeToken');
+const RefreshToken = require('../models/RefreshToken');
+const WebAuthnChallenge = require('../models/WebAuthnChallenge');
+const { removeAllSessions } = require('./sessions');
+
+/**
+ * Personal data export and account deletion.
+ *
+ * A user's own deletion request takes effect after a grace period of
+ * ACCOUNT_DELETION_GRACE_DAYS (default 14), during which they can still log
+ * in and cancel it; purgeScheduledDeletions removes the accounts whose grace
+ * period is over. Administrators delete accounts immediately.
+ */
+const getDeletionGracePeriod = () => {
+  const days = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14;
+  return days * 24 * 60 * 60 * 1000;
+};
+
+/**
+ * Collect everything stored about a user, without secrets such as password
+ * hashes, MFA secrets or token hashes. The archive has user, sessions,
+ * loginAttempts, apiKeys, organizations, auditEvents (the user's security
+ * audit log) and adminActions (what administrators did to the account).
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} - Export archive
+ */
+const exportAccountData = async (user) => {
+  const [sessions, loginAttempts, apiKeys, memberships, auditEvents, adminActions] = await Promise.all([
+    ActiveSession.find({ userId: user._id }).sort({ createdAt: -1 }),
+    LoginAttempt.find({ email: user.email }).sort({ timestamp: -1 }),
+    ApiKey.find({ userId: user._id }).sort({ createdAt: -1 }),
+    Membership.find({ userId: user._id }).populate('organizationId', 'name'),
+    AuditEvent.find({ userId: user._id }).sort({ createdAt: -1 }),
+    AdminAction.find({ targetUserId: user._id }).sort({ createdAt: -1 })
+  ]);
+  
+  return {
+    exportedAt: new Date(),
+    user: {
+      id: user._id,
+      email: user.email,
+      isVerified: user.isVerified,
+      roles: user.roles,
+      permissions: user.permissions,
+      mfaEnabled: user.mfaEnabled,
+      lockedAt: user.lockedAt,
+      lockReason: user.lockReason,
+      deletionScheduledFor: user.deletionScheduledFor,
+      createdAt: user.createdAt,
+      passkeys: user.webauthnCredentials.map((credential) => ({
+        name: credential.name,
+        transports: credential.transports,
+        createdAt: credential.createdAt,
+        lastUsedAt: credential.lastUsedAt
+      }))
+    },
+    sessions: sessions.map((session) => ({
+      device: session.device,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastSeenAt: session.lastSeenAt,
+      expiresAt: session.expiresAt
+    })),
+    loginAttempts: loginAttempts.map((attempt) => ({
+      ip: attempt.ip,
+      successful: attempt.successful,
+      timestamp: attempt.timestamp
+    })),
+    apiKeys: apiKeys.map((apiKey) => ({
+      name: apiKey.name,
+      prefix: apiKey.prefix,
+      scopes: apiKey.scopes,
+      expiresAt: apiKey.expiresAt,
+      lastUsedAt: apiKey.lastUsedAt,
+      revokedAt: apiKey.revokedAt,
+      createdAt: apiKey.createdAt
+    })),
+    organizations: memberships
+      .filter((membership) => membership.organizationId)
+      .map((membership) => ({
+        id: membership.organizationId._id,
+        name: membership.organizationId.name,
+        role: membership.role,
+        joinedAt: membership.createdAt
+      })),
+    auditEvents: auditEvents.map((event) => ({
+      type: event.type,
+      outcome: event.outcome,
+      ip: event.ip,
+      userAgent: event.userAgent,
+      details: event.details,
+      createdAt: event.createdAt
+    })),
+    // Actions administrators took on the account; who took them is not theirs to export
+    adminActions: adminActions.map((action) => ({
+      action: action.action,
+      details: action.details,
+      createdAt: action.createdAt
+    }))
+  };
+};
+
+/**
+ * Organizations the user is the only owner of. Deleting the user would leave
+ * them without an owner, so ownership has to be transferred first.
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} - [{ id, name }]
+ */
+const getSoleOwnedOrganizations = async (userId) => {
+  const owned = await Membership.find({ userId, role: 'owner' }).populate('organizationId', 'name');
+  const soleOwned = [];
+  
+  for (const membership of owned.filter((membership) => membership.organizationId)) {
+    const owners = await Membership.countDocuments({
+      organizationId: membership.organizationId._id,
+      role: 'owner'
+    });
+    
+    if (owners <= 1) {
+      soleOwned.push({ id: membership.organizationId._id, name: membership.organizationId.name });
+    }
+  }
+  
+  return soleOwned;
+};
+
+/**
+ * Remove everything that belongs to a user, other than the user document
+ */
+const deleteRelatedData = async (user) => {
+  await removeAllSessions(user._id);
+  await Promise.all([
+    RefreshToken.deleteMany({ userId: user._id }),
+    ApiKey.deleteMany({ userId: user._id }),
+    Membership.deleteMany({ userId: user._id }),
+    WebAuthnChallenge.deleteMany({ userId: user._id }),
+    OneTimeToken.deleteMany({ userId: user._id }),
+    Invitation.deleteMany({ email: user.email }),
+    LoginAttempt.deleteMany({ email: user.email })
+  ]);
+};
+
+/**
+ * Delete a user along with their sessions, tokens, API keys, memberships,
+ * invitations sent to their email and login history. Only two records are
+ * kept: AuditEvent entries until the audit log retention runs out, and
+ * AdminAction entries, which record the deletion itself.
+ * @param {Object} user - User document
+ */
+const deleteAccount = async (user) => {
+  await deleteRelatedData(user);
+  await User.deleteOne({ _id: user._id });
+};
+
+/**
+ * Schedule a user's account for deletion once the grace period is over
+ * @param {Object} user - User document
+ * @returns {Promise<Date>} - When the account will be deleted
+ */
+const scheduleAccountDeletion = async (user) => {
+  const deletionScheduledFor = new Date(Date.now() + getDeletionGracePeriod());
+  
+  await User.updateOne({ _id: user._id }, { deletionScheduledFor });
+  
+  return deletionScheduledFor;
+};
+
+/**
+ * Cancel a scheduled deletion
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} - false if no deletion was scheduled
+ */
+const cancelAccountDeletion = async (userId) => {
+  const result = await User.updateOne(
+    { _id: userId, deletionScheduledFor: { $ne: null } },
+    { deletionScheduledFor: null }
+  );
+  
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Delete every account whose grace period is over
+ * @returns {Promise<number>} - Number of accounts deleted
+ */
+const purgeScheduledDeletions = async () => {
+  const due = { deletionScheduledFor: { $ne: null, $lte: new Date() } };
+  const users = await User.find(due).select('_id');
+  let purged = 0;
+  
+  for (const { _id } of users) {
+    // Ownership may have changed since the request - wait until it is transferred
+    if ((await getSoleOwnedOrganizations(_id)).length > 0) {
+      console.error(`Account ${_id} is due for deletion but is the last owner of an organization`);
+      continue;
+    }
+    
+    // Claimed one at a time so a cancellation since the query is respected
+    const user = await User.findOneAndDelete({ _id, ...due });
+    
+    if (user) {
+      await deleteRelatedData(user);
+      purged += 1;
+    }
+  }
+  
+  return purged;
+};
+
+module.exports = {
+  exportAccountData,
+  getSoleOwnedOrganizations,
+  deleteAccount,
+  scheduleAccountDeletion,
+  cancelAccountDeletion,
+  purgeScheduledDeletions
+};
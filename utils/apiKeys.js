@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey');
+const { hashToken } = require('./tokenGenerator');
+
+const API_KEY_PREFIX = 'sbk_';
+
+// Scopes look like permissions: resource:action
+const SCOPE_PATTERN = /^[a-z_]+:(read|write)$/;
+
+/**
+ * Generate a new API key
+ * @returns {Object} - { key, prefix, keyHash } - only the hash is stored
+ */
+const generateApiKey = () => {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  
+  return {
+    key,
+    prefix: key.slice(0, 12),
+    keyHash: hashToken(key)
+  };
+};
+
+/**
+ * Check requested scopes are well-formed
+ * @param {Array} scopes - Requested scopes
+ * @returns {boolean} - Whether every scope is valid
+ */
+const isValidScopeList = (scopes) => {
+  return Array.isArray(scopes) && scopes.every((scope) => SCOPE_PATTERN.test(scope));
+};
+
+/**
+ * Get API key expiration date
+ * @param {number} [days] - Requested lifetime in days
+ * @returns {Date} - Date when key expires
+ */
+const getApiKeyExpiryDate = (days) => {
+  const maxDays = parseInt(process.env.API_KEY_MAX_DAYS) || 365;
+  const lifetime = Math.min(parseInt(days) || 90, maxDays);
+  return new Date(Date.now() + lifetime * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * Extract an API key from the X-API-Key header or a Bearer header
+ * @param {Object} req - Request
+ * @returns {string|null} - API key, or null if none was sent
+ */
+const getApiKeyFromRequest = (req) => {
+  const headerKey = req.headers['x-api-key'];
+  if (headerKey) return headerKey;
+  
+  const authorization = req.headers.authorization;
+  if (authorization && authorization.startsWith(`Bearer ${API_KEY_PREFIX}`)) {
+    return authorization.split(' ')[1];
+  }
+  
+  return null;
+};
+
+/**
+ * Look up a live API key without recording its use
+ * @param {string} key - Raw API key
+ * @returns {Promise<Object|null>} - ApiKey document, or null if unknown, revoked or expired
+ */
+const findLiveApiKey = (key) => {
+  return ApiKey.findOne({
+    keyHash: hashToken(key),
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+/**
+ * Look up a live API key and record its use
+ * @param {string} key - Raw API key
+ * @returns {Promise<Object|null>} - ApiKey document, or null if unknown, revoked or expired
+ */
+const authenticateApiKey = async (key) => {
+  const apiKey = await findLiveApiKey(key);
+  
+  if (!apiKey) return null;
+  
+  // Record usage at most once a minute
+  const now = Date.now();
+  if (!apiKey.lastUsedAt || now - apiKey.lastUsedAt.getTime() >= 60 * 1000) {
+    await ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date(now) });
+  }
+  
+  return apiKey;
+};
+
+module.exports = {
+  generateApiKey,
+  isValidScopeList,
+  getApiKeyExpiryDate,
+  getApiKeyFromRequest,
+  findLiveApiKey,
+  authenticateApiKey
+};
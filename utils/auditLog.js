@@ -0,0 +1,66 @@
+const AuditEvent = require('../models/AuditEvent');
+const { getClientIp } = require('./clientIp');
+
+/**
+ * Security audit log.
+ *
+ * Events are kept for AUDIT_LOG_RETENTION_DAYS (default 365), independent of
+ * the short-lived LoginAttempt records the rate limiters work from. The
+ * retention applies to events as they are written, so changing it does not
+ * shorten or extend events already stored.
+ */
+const getAuditRetentionDate = () => {
+  const days = parseInt(process.env.AUDIT_LOG_RETENTION_DAYS) || 365;
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * Record an audit event. Failures are logged rather than thrown, so an audit
+ * outage never breaks the request being audited.
+ * @param {Object} req - Request the event came from
+ * @param {string} type - Event type (see models/AuditEvent)
+ * @param {Object} [options]
+ * @param {string} [options.outcome] - 'success' (default) or 'failure'
+ * @param {Object} [options.user] - Account the event is about
+ * @param {string} [options.email] - Email, when there is no account (e.g. unknown login)
+ * @param {string} [options.actorId] - Who acted, if not the user (defaults to the user)
+ * @param {Object} [options.details] - Event-specific details
+ */
+const recordAuditEvent = async (req, type, { outcome = 'success', user, email, actorId, details = {} } = {}) => {
+  try {
+    await AuditEvent.create({
+      type,
+      outcome,
+      userId: user ? user._id : null,
+      actorId: actorId || (user ? user._id : null),
+      email: user ? user.email : (typeof email === 'string' ? email : null),
+      ip: getClientIp(req),
+      userAgent: req.headers['user-agent'] || '',
+      details,
+      expiresAt: getAuditRetentionDate()
+    });
+  } catch (error) {
+    console.error('Error recording audit event:', error);
+  }
+};
+
+/**
+ * Public view of an audit event
+ */
+const formatAuditEvent = (event) => ({
+  id: event._id,
+  type: event.type,
+  outcome: event.outcome,
+  userId: event.userId,
+  actorId: event.actorId,
+  email: event.email,
+  ip: event.ip,
+  userAgent: event.userAgent,
+  details: event.details,
+  createdAt: event.createdAt
+});
+
+module.exports = {
+  recordAuditEvent,
+  formatAuditEvent
+};
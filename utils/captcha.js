@@ -0,0 +1,111 @@
+const axios = require('axios');
+
+/**
+ * CAPTCHA verification.
+ *
+ * CAPTCHA_PROVIDER selects the verifier: hcaptcha, turnstile, recaptcha or
+ * stub. CAPTCHA_SECRET is the provider's secret key and CAPTCHA_SITE_KEY is
+ * handed to clients so they can render the widget. For reCAPTCHA v3,
+ * responses scoring below CAPTCHA_MIN_SCORE (default 0.5) are rejected. The
+ * stub accepts only CAPTCHA_STUB_TOKEN (default 'captcha-pass') and is meant
+ * for tests and local development. With no provider configured, challenges
+ * are disabled and the plain rate limits apply.
+ */
+const VERIFY_TIMEOUT_MS = 5000;
+
+/**
+ * Build a verifier for the siteverify API shared by hCaptcha, Turnstile and reCAPTCHA
+ * @param {string} url - siteverify endpoint
+ * @returns {Function} - async (token, remoteIp) => boolean
+ */
+const createSiteverifyProvider = (url) => async (token, remoteIp) => {
+  const body = new URLSearchParams({
+    secret: process.env.CAPTCHA_SECRET || '',
+    response: token
+  });
+  if (remoteIp) body.set('remoteip', remoteIp);
+  if (process.env.CAPTCHA_SITE_KEY) body.set('sitekey', process.env.CAPTCHA_SITE_KEY);
+  
+  const { data: result } = await axios.post(url, body, { timeout: VERIFY_TIMEOUT_MS });
+  
+  if (!result.success) return false;
+  
+  // reCAPTCHA v3 scores every response instead of passing or failing it
+  if (typeof result.score === 'number') {
+    return result.score >= (parseFloat(process.env.CAPTCHA_MIN_SCORE) || 0.5);
+  }
+  
+  return true;
+};
+
+const providers = {
+  hcaptcha: createSiteverifyProvider('https://api.hcaptcha.com/siteverify'),
+  turnstile: createSiteverifyProvider('https://challenges.cloudflare.com/turnstile/v0/siteverify'),
+  recaptcha: createSiteverifyProvider('https://www.google.com/recaptcha/api/siteverify'),
+  stub: async (token) => token === (process.env.CAPTCHA_STUB_TOKEN || 'captcha-pass')
+};
+
+/**
+ * Add or replace a CAPTCHA provider
+ * @param {string} name - Value of CAPTCHA_PROVIDER that selects it
+ * @param {Function} verify - async (token, remoteIp) => boolean
+ */
+const registerCaptchaProvider = (name, verify) => {
+  providers[name] = verify;
+};
+
+/**
+ * Whether CAPTCHA challenges are enabled
+ * @returns {boolean}
+ */
+const isCaptchaEnabled = () => Boolean(process.env.CAPTCHA_PROVIDER);
+
+/**
+ * Verify a CAPTCHA response token with the configured provider. Provider
+ * errors fail closed: the client is asked to solve the challenge again.
+ * @param {string} token - Response token from the client widget
+ * @param {string} [remoteIp] - Client IP, passed on to the provider
+ * @returns {Promise<boolean>} - Whether the challenge was solved
+ */
+const verifyCaptcha = async (token, remoteIp) => {
+  const name = process.env.CAPTCHA_PROVIDER;
+  const verify = providers[name];
+  
+  if (!verify) {
+    throw new Error(`Unknown CAPTCHA provider: ${name}`);
+  }
+  
+  if (!token || typeof token !== 'string') return false;
+  
+  try {
+    return Boolean(await verify(token, remoteIp));
+  } catch (error) {
+    console.error('CAPTCHA verification error:', error);
+    return false;
+  }
+};
+
+/**
+ * Send the response asking the client to solve a CAPTCHA and retry with
+ * its response token in captchaToken
+ * @param {Object} res - Response
+ * @param {boolean} [failed] - Whether a token was sent but did not verify
+ */
+const sendCaptchaChallenge = (res, failed = false) => res.status(428).json({
+  success: false,
+  reason: 'captcha_required',
+  captcha: {
+    provider: process.env.CAPTCHA_PROVIDER,
+    siteKey: process.env.CAPTCHA_SITE_KEY || null
+  },
+  message: failed
+    ? 'CAPTCHA verification failed. Please try again.'
+    : 'Please complete the CAPTCHA challenge to continue.'
+});
+
+module.exports = {
+  registerCaptchaProvider,
+  isCaptchaEnabled,
+  verifyCaptcha,
+  sendCaptchaChallenge
+};
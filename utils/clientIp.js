@@ -0,0 +1,186 @@
+const net = require('net');
+const { normalizeIp, createIpMatcher } = require('./ipAddress');
+
+/**
+ * Client IP resolution behind reverse proxies.
+ *
+ * TRUSTED_PROXIES is a comma-separated list of proxy addresses and CIDR
+ * ranges, e.g. "10.0.0.0/8, 2001:db8::/32", plus the shorthands loopback,
+ * linklocal and uniquelocal. Forwarding headers are only honoured on
+ * connections from a trusted proxy; the client is the first address, read
+ * right to left, that is not itself a trusted proxy. With no trusted proxies
+ * the socket address is used and forwarding headers are ignored.
+ */
+const PROXY_SHORTHANDS = {
+  loopback: ['127.0.0.0/8', '::1/128'],
+  linklocal: ['169.254.0.0/16', 'fe80::/10'],
+  uniquelocal: ['10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16', 'fc00::/7']
+};
+
+let cached = { source: null, matcher: () => false };
+
+/**
+ * Get the trusted proxy matcher, rebuilt when TRUSTED_PROXIES changes
+ * @returns {Function} - (ip) => boolean
+ */
+const getTrustedProxyMatcher = () => {
+  const source = process.env.TRUSTED_PROXIES || '';
+  if (cached.source === source) return cached.matcher;
+  
+  const entries = source
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .flatMap((entry) => PROXY_SHORTHANDS[entry.toLowerCase()] || [entry]);
+  
+  cached = { source, matcher: createIpMatcher(entries) };
+  return cached.matcher;
+};
+
+/**
+ * Whether an address belongs to a trusted proxy. Also usable as Express's
+ * 'trust proxy' setting so req.ip, req.protocol and req.hostname agree.
+ * @param {string} ip - IP address
+ * @returns {boolean}
+ */
+const isTrustedProxy = (ip) => getTrustedProxyMatcher()(ip);
+
+/**
+ * Strip the port and brackets from a forwarded node: '1.2.3.4:80',
+ * '[2001:db8::1]:443' and '[2001:db8::1]' all yield the bare address.
+ * Obfuscated identifiers ('unknown', '_hidden') are returned unchanged.
+ * @param {string} node - Forwarded node
+ * @returns {string} - Normalized address or identifier
+ */
+const parseNode = (node) => {
+  const value = String(node).trim();
+  
+  const bracketed = value.match(/^\[([^\]]+)\](?::\d+)?$/);
+  if (bracketed) return normalizeIp(bracketed[1]);
+  
+  const ipv4WithPort = value.match(/^(\d+\.\d+\.\d+\.\d+):\d+$/);
+  if (ipv4WithPort) return ipv4WithPort[1];
+  
+  return normalizeIp(value);
+};
+
+/**
+ * Split a header on a delimiter, ignoring delimiters inside quoted strings
+ */
+const splitOutsideQuotes = (value, delimiter) => {
+  const parts = [];
+  let current = '';
+  let quoted = false;
+  
+  for (let i = 0; i < value.length; i++) {
+    const char = value[i];
+    
+    if (char === '\\' && quoted) {
+      current += value.slice(i, i + 2);
+      i++;
+    } else if (char === '"') {
+      quoted = !quoted;
+      current += char;
+    } else if (char === delimiter && !quoted) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  
+  parts.push(current);
+  return parts;
+};
+
+/**
+ * Parse the for= addresses of an RFC 7239 Forwarded header, e.g.
+ * 'for=192.0.2.60;proto=https, for="[2001:db8:cafe::17]:4711"'
+ * @param {string} header - Forwarded header value
+ * @returns {string[]} - Addresses, client first; 'unknown' where an element has no for=
+ */
+const parseForwardedHeader = (header) => splitOutsideQuotes(String(header), ',')
+  .filter((element) => element.trim())
+  .map((element) => {
+    const pair = splitOutsideQuotes(element, ';')
+      .map((part) => part.trim())
+      .find((part) => /^for=/i.test(part));
+    
+    if (!pair) return 'unknown';
+    
+    const value = pair.slice(4).trim();
+    const unquoted = value.startsWith('"') && value.endsWith('"')
+      ? value.slice(1, -1).replace(/\\(.)/g, '$1')
+      : value;
+    
+    return parseNode(unquoted);
+  });
+
+/**
+ * Parse an X-Forwarded-For header
+ * @param {string} header - X-Forwarded-For header value
+ * @returns {string[]} - Addresses, client first
+ */
+const parseXForwardedFor = (header) => String(header)
+  .split(',')
+  .map((node) => node.trim())
+  .filter(Boolean)
+  .map(parseNode);
+
+/**
+ * Resolve the client IP of a request. The standard Forwarded header takes
+ * precedence over X-Forwarded-For when a proxy sends both.
+ * @param {Object} req - Request
+ * @returns {string} - Normalized client IP ('' if unknown)
+ */
+const resolveClientIp = (req) => {
+  const socket = req.socket || req.connection;
+  const remoteAddress = normalizeIp(socket && socket.remoteAddress);
+  
+  if (!remoteAddress || !isTrustedProxy(remoteAddress)) {
+    return remoteAddress;
+  }
+  
+  const headers = req.headers || {};
+  let forwarded = [];
+  
+  if (headers.forwarded) {
+    forwarded = parseForwardedHeader(headers.forwarded);
+  } else if (headers['x-forwarded-for']) {
+    forwarded = parseXForwardedFor(headers['x-forwarded-for']);
+  }
+  
+  // Walk back from the proxy nearest to us. An address a trusted proxy
+  // reports is believed; anything it reports beyond an untrusted hop is not.
+  const chain = [...forwarded, remoteAddress];
+  
+  for (let i = chain.length - 1; i > 0; i--) {
+    if (!net.isIP(chain[i]) || !isTrustedProxy(chain[i])) {
+      return chain[i];
+    }
+  }
+  
+  return chain[0];
+};
+
+/**
+ * Get the client IP of a request, resolving it once and caching it on
+ * req.clientIP. Every limiter, session and login record goes through this.
+ * @param {Object} req - Request
+ * @returns {string} - Normalized client IP
+ */
+const getClientIp = (req) => {
+  if (req.clientIP === undefined) {
+    req.clientIP = resolveClientIp(req);
+  }
+  
+  return req.clientIP;
+};
+
+module.exports = {
+  isTrustedProxy,
+  parseForwardedHeader,
+  parseXForwardedFor,
+  resolveClientIp,
+  getClientIp
+};
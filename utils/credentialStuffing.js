@@ -0,0 +1,101 @@
+const LoginAttempt = require('../models/LoginAttempt');
+const SecurityEvent = require('../models/SecurityEvent');
+const { getSubnet } = require('./ipAddress');
+const { getRateLimitPolicy } = require('./rateLimitPolicy');
+
+/**
+ * Credential-stuffing detection. Failed logins are grouped by network
+ * (IPv4 /24, IPv6 /64 by default) so an attacker rotating addresses inside
+ * one allocation still adds up. A network is flagged when it produces too
+ * many failures, or tries too many different accounts, within the window;
+ * it is then blocked or challenged for durationMs and a SecurityEvent is
+ * logged. Thresholds live in the credentialStuffing rate-limit policy.
+ */
+const getStuffingPolicy = () => getRateLimitPolicy().policies.credentialStuffing;
+
+/**
+ * Get the network a client address is grouped into
+ * @param {string} ip - Client IP
+ * @returns {string|null} - Subnet CIDR
+ */
+const getSourceSubnet = (ip) => {
+  const { ipv4Prefix, ipv6Prefix } = getStuffingPolicy();
+  return getSubnet(ip, { ipv4: ipv4Prefix, ipv6: ipv6Prefix });
+};
+
+/**
+ * Get the active event for the network an address belongs to
+ * @param {string} ip - Client IP
+ * @returns {Promise<Object|null>} - SecurityEvent, or null if the source is not flagged
+ */
+const getActiveStuffingEvent = async (ip) => {
+  const subnet = getSourceSubnet(ip);
+  if (!subnet) return null;
+  
+  return SecurityEvent.findOne({
+    type: 'credential_stuffing',
+    subnet,
+    activeUntil: { $gt: new Date() }
+  }).sort({ activeUntil: -1 });
+};
+
+/**
+ * Check a source after a failed login and flag it if a threshold is crossed
+ * @param {string} ip - Client IP of the failed attempt
+ * @returns {Promise<Object|null>} - New SecurityEvent, or null if nothing was flagged
+ */
+const detectCredentialStuffing = async (ip) => {
+  const policy = getStuffingPolicy();
+  const subnet = getSourceSubnet(ip);
+  
+  if (!subnet || getRateLimitPolicy().allowlist.isAllowedIp(ip)) {
+    return null;
+  }
+  
+  if (await getActiveStuffingEvent(ip)) {
+    return null;
+  }
+  
+  const filter = {
+    subnet,
+    successful: false,
+    timestamp: { $gte: new Date(Date.now() - policy.windowMs) }
+  };
+  
+  const [failures, emails] = await Promise.all([
+    LoginAttempt.countDocuments(filter),
+    LoginAttempt.distinct('email', filter)
+  ]);
+  
+  let signal = null;
+  if (failures >= policy.maxSubnetFailures) {
+    signal = 'subnet_failures';
+  } else if (emails.length >= policy.maxDistinctEmails) {
+    signal = 'distinct_emails';
+  }
+  
+  if (!signal) return null;
+  
+  const event = await SecurityEvent.create({
+    type: 'credential_stuffing',
+    signal,
+    subnet,
+    ip,
+    action: policy.action,
+    details: { failures, distinctEmails: emails.length, windowMs: policy.windowMs },
+    activeUntil: new Date(Date.now() + policy.durationMs)
+  });
+  
+  console.warn(
+    `Credential stuffing detected from ${subnet} (${signal}: ${failures} failures, ` +
+    `${emails.length} accounts) - ${policy.action} until ${event.activeUntil.toISOString()}`
+  );
+  
+  return event;
+};
+
+module.exports = {
+  getSourceSubnet,
+  getActiveStuffingEvent,
+  detectCredentialStuffing
+};
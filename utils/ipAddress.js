@@ -0,0 +1,132 @@
+const net = require('net');
+
+/**
+ * Normalize an IP address: strip the IPv4-mapped IPv6 prefix (::ffff:1.2.3.4)
+ * so the same client always produces the same string
+ * @param {string} ip - IP address
+ * @returns {string} - Normalized address
+ */
+const normalizeIp = (ip) => {
+  if (!ip) return '';
+  
+  const value = String(ip).trim();
+  const mapped = value.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  
+  return mapped ? mapped[1] : value.toLowerCase();
+};
+
+/**
+ * Expand an IPv6 address into its eight 16-bit groups
+ * @param {string} ip - IPv6 address, possibly compressed or with an embedded IPv4 tail
+ * @returns {number[]} - Eight groups
+ */
+const expandIPv6 = (ip) => {
+  let address = ip.split('%')[0]; // Drop any zone index
+  
+  // Embedded IPv4 tail (::ffff:1.2.3.4) becomes two groups
+  const ipv4Tail = address.match(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+  if (ipv4Tail) {
+    const [a, b, c, d] = ipv4Tail.slice(1).map(Number);
+    address = address.slice(0, ipv4Tail.index) + `${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+  
+  const [head, tail] = address.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const missing = tail === undefined ? 0 : 8 - headGroups.length - tailGroups.length;
+  
+  return [...headGroups, ...Array(missing).fill('0'), ...tailGroups].map((group) => parseInt(group, 16));
+};
+
+/**
+ * Format eight 16-bit groups as a compressed IPv6 address
+ */
+const formatIPv6 = (groups) => {
+  // Find the longest run of zero groups to replace with ::
+  let bestStart = -1;
+  let bestLength = 0;
+  
+  for (let i = 0; i < 8; i++) {
+    let length = 0;
+    while (i + length < 8 && groups[i + length] === 0) length++;
+    if (length > bestLength && length > 1) {
+      bestStart = i;
+      bestLength = length;
+    }
+  }
+  
+  const hex = groups.map((group) => group.toString(16));
+  
+  if (bestStart === -1) {
+    return hex.join(':');
+  }
+  
+  return `${hex.slice(0, bestStart).join(':')}::${hex.slice(bestStart + bestLength).join(':')}`;
+};
+
+/**
+ * Get the network an address belongs to, for grouping clients that rotate
+ * through addresses in one allocation
+ * @param {string} ip - IP address
+ * @param {Object} [prefixes] - { ipv4: 24, ipv6: 64 }
+ * @returns {string|null} - CIDR such as '203.0.113.0/24' or '2001:db8:1:2::/64', or null if not an IP
+ */
+const getSubnet = (ip, { ipv4 = 24, ipv6 = 64 } = {}) => {
+  const address = normalizeIp(ip);
+  const type = net.isIP(address);
+  
+  if (type === 4) {
+    const value = address.split('.').reduce((acc, octet) => acc * 256 + Number(octet), 0);
+    const network = ipv4 === 0 ? 0 : value - (value % 2 ** (32 - ipv4));
+    const octets = [24, 16, 8, 0].map((shift) => Math.floor(network / 2 ** shift) % 256);
+    return `${octets.join('.')}/${ipv4}`;
+  }
+  
+  if (type === 6) {
+    const groups = expandIPv6(address).map((group, index) => {
+      const bits = Math.min(Math.max(ipv6 - index * 16, 0), 16);
+      return bits === 0 ? 0 : group & (0xffff << (16 - bits)) & 0xffff;
+    });
+    return `${formatIPv6(groups)}/${ipv6}`;
+  }
+  
+  return null;
+};
+
+/**
+ * Build a matcher for a list of IPs and CIDR ranges
+ * @param {string[]} entries - e.g. ['127.0.0.1', '10.0.0.0/8', '2001:db8::/32']
+ * @returns {Function} - (ip) => boolean
+ */
+const createIpMatcher = (entries = []) => {
+  const blockList = new net.BlockList();
+  
+  entries.forEach((entry) => {
+    const [address, prefix] = String(entry).trim().split('/');
+    const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+    
+    if (!net.isIP(address)) {
+      throw new Error(`Invalid IP address or range: ${entry}`);
+    }
+    
+    if (prefix === undefined) {
+      blockList.addAddress(address, type);
+    } else {
+      blockList.addSubnet(address, parseInt(prefix, 10), type);
+    }
+  });
+  
+  return (ip) => {
+    const address = normalizeIp(ip);
+    const type = net.isIP(address);
+    if (!type) return false;
+    
+    return blockList.check(address, type === 6 ? 'ipv6' : 'ipv4');
+  };
+};
+
+module.exports = {
+  normalizeIp,
+  getSubnet,
+  createIpMatcher
+};
@@ -0,0 +1,305 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+/**
+ * JWT signing key ring.
+ *
+ * Keys come from JWT_KEYS (JSON) or JWT_KEYS_FILE (path to JSON), as an array of:
+ *   {
+ *     kid: '2025-01',                         // key ID, sent in the token header
+ *     alg: 'RS256' | 'ES256' | 'EdDSA' | 'HS256',
+ *     privateKey | privateKeyFile,            // PEM, asymmetric keys that sign
+ *     publicKey | publicKeyFile,              // PEM, verify-only asymmetric keys
+ *     secret,                                 // HS256 only
+ *     notBefore,                              // optional ISO date, start signing from
+ *     expiresAt                               // optional ISO date, stop accepting after
+ *   }
+ *
+ * The newest key that has started and not expired signs new tokens; every
+ * unexpired key still verifies, so rotation is: add the new key with a
+ * future notBefore, then set expiresAt on the old one past the longest token
+ * lifetime. Without JWT_KEYS the ring holds JWT_SECRET as a single HS256 key.
+ * A running server re-reads JWT_KEYS_FILE on SIGHUP.
+ */
+const SUPPORTED_ALGORITHMS = {
+  HS256: null,
+  RS256: 'rsa',
+  ES256: 'ec',
+  EdDSA: 'ed25519'
+};
+
+let cachedRing = null;
+let cachedSource = null;
+
+/**
+ * Read a PEM value given inline or as a file path
+ */
+const readPem = (value, file) => {
+  if (value) return value;
+  if (file) return fs.readFileSync(file, 'utf8');
+  return null;
+};
+
+/**
+ * Normalize one configured key entry
+ * @param {Object} entry - Raw key config
+ * @returns {Object} - Key with KeyObjects and parsed dates
+ */
+const loadKey = (entry) => {
+  const { kid, alg } = entry;
+  
+  if (!kid) {
+    throw new Error('JWT key is missing a kid');
+  }
+  
+  if (!Object.prototype.hasOwnProperty.call(SUPPORTED_ALGORITHMS, alg)) {
+    throw new Error(`JWT key ${kid} has unsupported algorithm ${alg}`);
+  }
+  
+  const key = {
+    kid,
+    alg,
+    notBefore: entry.notBefore ? new Date(entry.notBefore) : null,
+    expiresAt: entry.expiresAt ? new Date(entry.expiresAt) : null
+  };
+  
+  if (alg === 'HS256') {
+    if (!entry.secret) {
+      throw new Error(`JWT key ${kid} requires a secret`);
+    }
+    key.signingKey = entry.secret;
+    key.verificationKey = entry.secret;
+    return key;
+  }
+  
+  const privatePem = readPem(entry.privateKey, entry.privateKeyFile);
+  const publicPem = readPem(entry.publicKey, entry.publicKeyFile);
+  
+  if (!privatePem && !publicPem) {
+    throw new Error(`JWT key ${kid} requires a privateKey or publicKey`);
+  }
+  
+  key.signingKey = privatePem ? crypto.createPrivateKey(privatePem) : null;
+  key.verificationKey = publicPem
+    ? crypto.createPublicKey(publicPem)
+    : crypto.createPublicKey(key.signingKey);
+  
+  if (key.verificationKey.asymmetricKeyType !== SUPPORTED_ALGORITHMS[alg]) {
+    throw new Error(`JWT key ${kid} is not a valid ${alg} key`);
+  }
+  
+  return key;
+};
+
+/**
+ * Get the current key ring, reloading when its configuration changes
+ * @returns {Array} - Loaded keys
+ */
+const getKeyRing = () => {
+  const source = process.env.JWT_KEYS || process.env.JWT_KEYS_FILE || process.env.JWT_SECRET;
+  
+  if (cachedRing && cachedSource === source) {
+    return cachedRing;
+  }
+  
+  let entries;
+  
+  if (process.env.JWT_KEYS) {
+    entries = JSON.parse(process.env.JWT_KEYS);
+  } else if (process.env.JWT_KEYS_FILE) {
+    entries = JSON.parse(fs.readFileSync(process.env.JWT_KEYS_FILE, 'utf8'));
+  } else {
+    entries = [{ kid: 'default', alg: 'HS256', secret: process.env.JWT_SECRET }];
+  }
+  
+  cachedRing = entries.map(loadKey);
+  cachedSource = source;
+  
+  return cachedRing;
+};
+
+/**
+ * Force the key ring to be re-read on next use (e.g. after rotating JWT_KEYS_FILE)
+ */
+const reloadKeyRing = () => {
+  cachedRing = null;
+  cachedSource = null;
+};
+
+/**
+ * Whether a key is inside its validity window
+ */
+const isUsable = (key, now) => {
+  return (!key.notBefore || key.notBefore <= now) && (!key.expiresAt || key.expiresAt > now);
+};
+
+/**
+ * Pick the key that signs new tokens - the most recently activated usable key
+ * @returns {Object} - Signing key
+ */
+const getSigningKey = () => {
+  const now = new Date();
+  const candidates = getKeyRing().filter((key) => key.signingKey && isUsable(key, now));
+  
+  if (candidates.length === 0) {
+    throw new Error('No active JWT signing key');
+  }
+  
+  return candidates.reduce((newest, key) => {
+    const newestStart = newest.notBefore ? newest.notBefore.getTime() : 0;
+    const keyStart = key.notBefore ? key.notBefore.getTime() : 0;
+    return keyStart >= newestStart ? key : newest;
+  });
+};
+
+/**
+ * Convert a jsonwebtoken-style expiresIn ('15m', '24h', 3600) to seconds
+ */
+const toSeconds = (expiresIn) => {
+  if (typeof expiresIn === 'number') return expiresIn;
+  
+  const match = /^(\d+)\s*(s|m|h|d)?$/.exec(String(expiresIn).trim());
+  if (!match) {
+    throw new Error(`Invalid expiresIn value: ${expiresIn}`);
+  }
+  
+  const units = { s: 1, m: 60, h: 3600, d: 86400 };
+  return parseInt(match[1]) * units[match[2] || 's'];
+};
+
+const base64url = (value) => Buffer.from(value).toString('base64url');
+
+/**
+ * Sign an EdDSA JWT (not supported by jsonwebtoken)
+ */
+const signEdDSA = (payload, key, options) => {
+  const iat = Math.floor(Date.now() / 1000);
+  const claims = { ...payload, iat };
+  
+  if (options.expiresIn !== undefined) {
+    claims.exp = iat + toSeconds(options.expiresIn);
+  }
+  
+  if (options.audience !== undefined) {
+    claims.aud = options.audience;
+  }
+  
+  const header = { alg: 'EdDSA', typ: 'JWT', kid: key.kid };
+  const signingInput = `${base64url(JSON.stringify(header))}.${base64url(JSON.stringify(claims))}`;
+  const signature = crypto.sign(null, Buffer.from(signingInput), key.signingKey);
+  
+  return `${signingInput}.${signature.toString('base64url')}`;
+};
+
+/**
+ * Verify an EdDSA JWT, throwing the same errors jsonwebtoken would
+ */
+const verifyEdDSA = (token, key, audience) => {
+  const [encodedHeader, encodedPayload, encodedSignature] = token.split('.');
+  const valid = crypto.verify(
+    null,
+    Buffer.from(`${encodedHeader}.${encodedPayload}`),
+    key.verificationKey,
+    Buffer.from(encodedSignature || '', 'base64url')
+  );
+  
+  if (!valid) {
+    throw new jwt.JsonWebTokenError('invalid signature');
+  }
+  
+  const payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString());
+  const now = Math.floor(Date.now() / 1000);
+  
+  if (payload.exp !== undefined && now >= payload.exp) {
+    throw new jwt.TokenExpiredError('jwt expired', new Date(payload.exp * 1000));
+  }
+  
+  if (payload.nbf !== undefined && now < payload.nbf) {
+    throw new jwt.NotBeforeError('jwt not active', new Date(payload.nbf * 1000));
+  }
+  
+  if (audience !== undefined && ![].concat(payload.aud).includes(audience)) {
+    throw new jwt.JsonWebTokenError(`jwt audience invalid. expected: ${audience}`);
+  }
+  
+  return payload;
+};
+
+/**
+ * Sign a JWT with the active key, adding its kid to the header
+ * @param {Object} payload - Token claims
+ * @param {Object} [options] - { expiresIn, audience }
+ * @returns {string} - JWT
+ */
+const signToken = (payload, options = {}) => {
+  const key = getSigningKey();
+  
+  if (key.alg === 'EdDSA') {
+    return signEdDSA(payload, key, options);
+  }
+  
+  return jwt.sign(payload, key.signingKey, {
+    ...options,
+    algorithm: key.alg,
+    keyid: key.kid
+  });
+};
+
+/**
+ * Verify a JWT against the key named by its kid header
+ * @param {string} token - JWT
+ * @param {Object} [options] - { audience } - reject tokens issued for another audience
+ * @returns {Object} - Decoded payload
+ * @throws {JsonWebTokenError|TokenExpiredError} - On invalid or expired tokens
+ */
+const verifyToken = (token, { audience } = {}) => {
+  const decoded = jwt.decode(token, { complete: true });
+  
+  if (!decoded) {
+    throw new jwt.JsonWebTokenError('jwt malformed');
+  }
+  
+  const { kid, alg } = decoded.header;
+  const key = getKeyRing().find((candidate) => candidate.kid === kid);
+  
+  if (!key || (key.expiresAt && key.expiresAt <= new Date())) {
+    throw new jwt.JsonWebTokenError('unknown or retired kid');
+  }
+  
+  if (alg !== key.alg) {
+    throw new jwt.JsonWebTokenError('jwt algorithm does not match key');
+  }
+  
+  if (key.alg === 'EdDSA') {
+    return verifyEdDSA(token, key, audience);
+  }
+  
+  return jwt.verify(token, key.verificationKey, { algorithms: [key.alg], audience });
+};
+
+/**
+ * Public keys of all unexpired asymmetric keys, as a JWK Set
+ * @returns {Object} - { keys: [...] }
+ */
+const getJwks = () => {
+  const now = new Date();
+  
+  const keys = getKeyRing()
+    .filter((key) => key.alg !== 'HS256' && (!key.expiresAt || key.expiresAt > now))
+    .map((key) => ({
+      ...key.verificationKey.export({ format: 'jwk' }),
+      kid: key.kid,
+      alg: key.alg,
+      use: 'sig'
+    }));
+  
+  return { keys };
+};
+
+module.exports = {
+  signToken,
+  verifyToken,
+  getJwks,
+  reloadKeyRing
+};
@@ -0,0 +1,165 @@
+const User = require('../models/User');
+const { sendAccountUnlockEmail } = require('../config/email');
+const { issueToken, consumeToken } = require('./oneTimeTokens');
+
+const HARD_LOCK_REASON = 'Too many failed login attempts';
+
+/**
+ * Lockout settings. After LOCKOUT_THRESHOLD consecutive failures the account
+ * is locked for LOCKOUT_BASE_SECONDS, doubling with every further failure up
+ * to LOCKOUT_MAX_SECONDS. At LOCKOUT_HARD_THRESHOLD failures the account is
+ * hard locked until the emailed unlock link is used or an admin unlocks it.
+ */
+const getLockoutSettings = () => ({
+  threshold: parseInt(process.env.LOCKOUT_THRESHOLD) || 5,
+  baseSeconds: parseInt(process.env.LOCKOUT_BASE_SECONDS) || 60,
+  maxSeconds: parseInt(process.env.LOCKOUT_MAX_SECONDS) || 60 * 60,
+  hardThreshold: parseInt(process.env.LOCKOUT_HARD_THRESHOLD) || 15
+});
+
+/**
+ * Get the lockout delay after a number of consecutive failures
+ * @param {number} failures - Consecutive failed attempts
+ * @returns {number} - Delay in milliseconds (0 below the threshold)
+ */
+const getLockoutDelay = (failures) => {
+  const { threshold, baseSeconds, maxSeconds } = getLockoutSettings();
+  if (failures < threshold) return 0;
+  
+  const seconds = Math.min(baseSeconds * 2 ** (failures - threshold), maxSeconds);
+  return seconds * 1000;
+};
+
+/**
+ * Check whether a user may attempt to log in
+ * @param {Object} user - User document
+ * @returns {Object|null} - { reason, retryAfter? } if blocked, otherwise null
+ */
+const getLockoutStatus = (user) => {
+  if (user.isLocked()) {
+    // Only locks from failed attempts come with an unlock link
+    return { reason: 'account_locked', unlockable: user.lockReason === HARD_LOCK_REASON };
+  }
+  
+  if (user.lockoutUntil && user.lockoutUntil > new Date()) {
+    return {
+      reason: 'too_many_failed_attempts',
+      retryAfter: Math.ceil((user.lockoutUntil.getTime() - Date.now()) / 1000)
+    };
+  }
+  
+  return null;
+};
+
+/**
+ * Send the response for a blocked login: 429 with Retry-After while the
+ * backoff runs, 423 once the account is hard locked
+ * @param {Object} res - Response
+ * @param {Object} status - Result of getLockoutStatus
+ */
+const sendLockoutResponse = (res, status) => {
+  if (status.reason === 'account_locked') {
+    return res.status(423).json({
+      success: false,
+      reason: status.reason,
+      message: status.unlockable
+        ? 'Account is locked. Use the unlock link sent to your email or contact support.'
+        : 'Account is locked. Please contact support.'
+    });
+  }
+  
+  res.set('Retry-After', String(status.retryAfter));
+  return res.status(429).json({
+    success: false,
+    reason: status.reason,
+    retryAfter: status.retryAfter,
+    message: `Account temporarily locked after too many failed login attempts. Please try again in ${status.retryAfter} seconds.`
+  });
+};
+
+/**
+ * Count a failed password or second-factor attempt and lock the account
+ * when the thresholds are reached
+ * @param {string} userId - User ID
+ * @returns {Promise<void>}
+ */
+const registerFailedLogin = async (userId) => {
+  try {
+    // Increment atomically so concurrent failures are all counted
+    const user = await User.findOneAndUpdate(
+      { _id: userId },
+      { $inc: { failedLoginAttempts: 1 } },
+      { new: true }
+    );
+    
+    if (!user) return;
+    
+    const { hardThreshold } = getLockoutSettings();
+    
+    if (user.failedLoginAttempts >= hardThreshold) {
+      if (user.isLocked()) return;
+      
+      await User.updateOne({ _id: user._id }, {
+        lockedAt: new Date(),
+        lockReason: HARD_LOCK_REASON,
+        lockoutUntil: null
+      });
+      
+      const unlockToken = await issueToken(user._id, 'account_unlock');
+      
+      await sendAccountUnlockEmail(user.email, unlockToken);
+      return;
+    }
+    
+    const delay = getLockoutDelay(user.failedLoginAttempts);
+    
+    if (delay > 0) {
+      await User.updateOne({ _id: user._id }, { lockoutUntil: new Date(Date.now() + delay) });
+    }
+  } catch (error) {
+    console.error('Error registering failed login:', error);
+  }
+};
+
+/**
+ * Clear the failure counter and any temporary lockout
+ * @param {string} userId - User ID
+ * @returns {Promise<void>}
+ */
+const resetFailedLogins = async (userId) => {
+  await User.updateOne(
+    { _id: userId, $or: [{ failedLoginAttempts: { $gt: 0 } }, { lockoutUntil: { $ne: null } }] },
+    { failedLoginAttempts: 0, lockoutUntil: null }
+  );
+};
+
+/**
+ * Lift a hard lock with an emailed unlock token
+ * @param {string} token - Unlock token from the email
+ * @returns {Promise<Object|null>} - Unlocked user, or null if the token is invalid or expired
+ */
+const unlockWithToken = async (token) => {
+  const record = await consumeToken(token, 'account_unlock');
+  if (!record) return null;
+  
+  // Only lift the lock the token was sent for, not one an admin set since
+  return User.findOneAndUpdate(
+    { _id: record.userId, lockReason: HARD_LOCK_REASON },
+    {
+      lockedAt: null,
+      lockReason: null,
+      lockoutUntil: null,
+      failedLoginAttempts: 0
+    },
+    { new: true }
+  );
+};
+
+module.exports = {
+  getLockoutDelay,
+  getLockoutStatus,
+  sendLockoutResponse,
+  registerFailedLogin,
+  resetFailedLogins,
+  unlockWithToken
+};
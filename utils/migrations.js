@@ -0,0 +1,90 @@
+const ActiveSession = require('../models/ActiveSession');
+const User = require('../models/User');
+
+/**
+ * Upgrade steps for databases created by earlier versions. Every step is
+ * idempotent, so they all run on each start.
+ */
+
+/**
+ * Drop the indexes of a collection that match a predicate
+ * @param {Object} Model - Mongoose model
+ * @param {Function} isObsolete - Called with each index description
+ * @returns {Promise<string[]>} - Names of the dropped indexes
+ */
+const dropObsoleteIndexes = async (Model, isObsolete) => {
+  let indexes;
+  
+  try {
+    indexes = await Model.collection.indexes();
+  } catch (error) {
+    // Nothing to upgrade if the collection was never created
+    if (error.codeName === 'NamespaceNotFound') return [];
+    throw error;
+  }
+  
+  const obsolete = indexes.filter(isObsolete).map((index) => index.name);
+  
+  for (const name of obsolete) {
+    await Model.collection.dropIndex(name);
+  }
+  
+  return obsolete;
+};
+
+// One-time tokens that used to be stored on the user, some of them in plain text
+const LEGACY_USER_TOKEN_FIELDS = [
+  'registrationToken',
+  'registrationTokenExpires',
+  'passwordResetToken',
+  'passwordResetExpires',
+  'loginConfirmationToken',
+  'loginConfirmationExpires',
+  'magicLinkToken',
+  'magicLinkExpires',
+  'unlockToken',
+  'unlockTokenExpires'
+];
+
+const migrations = [
+  {
+    // Sessions used to be one per user (unique userId) and expire 24 hours
+    // after createdAt; both indexes would break multiple sessions and expiresAt
+    name: 'active-session-indexes',
+    up: () => dropObsoleteIndexes(ActiveSession, (index) => {
+      const fields = Object.keys(index.key);
+      
+      if (fields.length !== 1) return false;
+      if (fields[0] === 'userId') return Boolean(index.unique);
+      if (fields[0] === 'createdAt') return index.expireAfterSeconds !== undefined;
+      
+      return false;
+    })
+  },
+  {
+    // One-time tokens now live hashed in OneTimeToken; clear the old copies.
+    // Through the driver, as the fields are no longer in the schema.
+    name: 'remove-legacy-user-tokens',
+    up: () => User.collection.updateMany(
+      { $or: LEGACY_USER_TOKEN_FIELDS.map((field) => ({ [field]: { $exists: true } })) },
+      { $unset: Object.fromEntries(LEGACY_USER_TOKEN_FIELDS.map((field) => [field, ''])) }
+    )
+  }
+];
+
+/**
+ * Run every migration in order
+ */
+const runMigrations = async () => {
+  for (const migration of migrations) {
+    try {
+      await migration.up();
+    } catch (error) {
+      throw new Error(`Migration ${migration.name} failed: ${error.message}`);
+    }
+  }
+};
+
+module.exports = {
+  runMigrations
+};
@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+const OneTimeToken = require('../models/OneTimeToken');
+const {
+  hashToken,
+  getTokenExpiryDate,
+  getPasswordResetExpiryDate,
+  getLoginConfirmationExpiryDate,
+  getMagicLinkExpiryDate,
+  getUnlockTokenExpiryDate,
+  getEmailChangeExpiryDate,
+  getEmailRevertExpiryDate
+} = require('./tokenGenerator');
+
+/**
+ * Purposes a one-time token can be issued for, with their expiry. Issuing a
+ * token replaces the user's outstanding one for the same purpose unless
+ * keepPrevious is set.
+ */
+const TOKEN_PURPOSES = {
+  registration: { getExpiryDate: getTokenExpiryDate },
+  password_reset: { getExpiryDate: getPasswordResetExpiryDate },
+  login_confirmation: { getExpiryDate: getLoginConfirmationExpiryDate },
+  magic_link: { getExpiryDate: getMagicLinkExpiryDate },
+  account_unlock: { getExpiryDate: getUnlockTokenExpiryDate },
+  email_change: { getExpiryDate: getEmailChangeExpiryDate },
+  // Every change sends a revert link to the address it replaces; a later
+  // change must not take away the way back from an earlier one
+  email_revert: { getExpiryDate: getEmailRevertExpiryDate, keepPrevious: true }
+};
+
+/**
+ * Issue a one-time token. Only its hash is stored, and any earlier
+ * outstanding token the user has for the same purpose stops working
+ * (see keepPrevious).
+ * @param {string} userId - User the token acts for
+ * @param {string} purpose - One of TOKEN_PURPOSES
+ * @param {Object} [data] - Flow-specific details returned on use
+ * @returns {Promise<string>} - Raw token to email
+ */
+const issueToken = async (userId, purpose, data = null) => {
+  const settings = TOKEN_PURPOSES[purpose];
+  
+  if (!settings) {
+    throw new Error(`Unknown token purpose: ${purpose}`);
+  }
+  
+  const token = crypto.randomBytes(32).toString('hex');
+  
+  if (!settings.keepPrevious) {
+    await revokeTokens(userId, purpose);
+  }
+  
+  await OneTimeToken.create({
+    userId,
+    purpose,
+    tokenHash: hashToken(token),
+    data,
+    expiresAt: settings.getExpiryDate()
+  });
+  
+  return token;
+};
+
+/**
+ * Filter for an unused, unexpired token
+ */
+const usableToken = (token, purpose) => ({
+  tokenHash: hashToken(String(token)),
+  purpose,
+  consumedAt: null,
+  expiresAt: { $gt: new Date() }
+});
+
+/**
+ * Look up a token without using it, e.g. to validate input before the
+ * token is spent
+ * @param {string} token - Raw token
+ * @param {string} purpose - Expected purpose
+ * @returns {Promise<Object|null>} - OneTimeToken document, or null if invalid, used or expired
+ */
+const findToken = async (token, purpose) => {
+  return OneTimeToken.findOne(usableToken(token, purpose));
+};
+
+/**
+ * Use a token. Marking it consumed is atomic, so of several concurrent
+ * requests with the same token only one succeeds.
+ * @param {string} token - Raw token
+ * @param {string} purpose - Expected purpose
+ * @returns {Promise<Object|null>} - Consumed OneTimeToken document, or null if invalid, used or expired
+ */
+const consumeToken = async (token, purpose) => {
+  return OneTimeToken.findOneAndUpdate(
+    usableToken(token, purpose),
+    { consumedAt: new Date() },
+    { new: true }
+  );
+};
+
+/**
+ * Invalidate a user's outstanding tokens
+ * @param {string} userId - User ID
+ * @param {string} [purpose] - Only tokens for this purpose
+ * @returns {Promise<number>} - Number of tokens invalidated
+ */
+const revokeTokens = async (userId, purpose) => {
+  const filter = { userId, consumedAt: null };
+  if (purpose) filter.purpose = purpose;
+  
+  const result = await OneTimeToken.deleteMany(filter);
+  return result.deletedCount;
+};
+
+module.exports = {
+  TOKEN_PURPOSES,
+  issueToken,
+  findToken,
+  consumeToken,
+  revokeTokens
+};
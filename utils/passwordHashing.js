@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const argon2 = require('argon2');
+const bcrypt = require('bcrypt');
+
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * Password hashing.
+ *
+ * PASSWORD_HASH_ALGORITHM selects how new hashes are made: argon2id
+ * (default), scrypt or bcrypt. Each hash records its own algorithm and
+ * parameters, so stored hashes of any kind keep verifying and are upgraded
+ * on the next successful login when they fall behind the settings:
+ *
+ *   argon2id  $argon2id$v=19$m=19456,t=2,p=1$<salt>$<hash>
+ *             PASSWORD_HASH_ARGON2_MEMORY (KiB, default 19456),
+ *             PASSWORD_HASH_ARGON2_TIME (default 2), PASSWORD_HASH_ARGON2_PARALLELISM (default 1)
+ *   scrypt    $scrypt$ln=17,r=8,p=1$<salt>$<hash>
+ *             PASSWORD_HASH_SCRYPT_LOG_N (default 17), PASSWORD_HASH_SCRYPT_R (default 8),
+ *             PASSWORD_HASH_SCRYPT_P (default 1)
+ *   bcrypt    $2b$12$<salt and hash>
+ *             PASSWORD_HASH_BCRYPT_COST (default 12)
+ */
+const ALGORITHMS = ['argon2id', 'scrypt', 'bcrypt'];
+
+const SCRYPT_KEY_LENGTH = 32;
+
+const getHashSettings = () => {
+  const algorithm = process.env.PASSWORD_HASH_ALGORITHM || 'argon2id';
+  
+  if (!ALGORITHMS.includes(algorithm)) {
+    throw new Error(`Unsupported password hash algorithm: ${algorithm}`);
+  }
+  
+  return {
+    algorithm,
+    argon2: {
+      memoryCost: parseInt(process.env.PASSWORD_HASH_ARGON2_MEMORY) || 19456,
+      timeCost: parseInt(process.env.PASSWORD_HASH_ARGON2_TIME) || 2,
+      parallelism: parseInt(process.env.PASSWORD_HASH_ARGON2_PARALLELISM) || 1
+    },
+    scrypt: {
+      logN: parseInt(process.env.PASSWORD_HASH_SCRYPT_LOG_N) || 17,
+      r: parseInt(process.env.PASSWORD_HASH_SCRYPT_R) || 8,
+      p: parseInt(process.env.PASSWORD_HASH_SCRYPT_P) || 1
+    },
+    bcryptCost: parseInt(process.env.PASSWORD_HASH_BCRYPT_COST) || 12
+  };
+};
+
+/**
+ * Identify the algorithm of a stored hash
+ * @param {string} hash - Stored hash
+ * @returns {string|null} - argon2id, scrypt, bcrypt, or null if unrecognized
+ */
+const getHashAlgorithm = (hash) => {
+  if (typeof hash !== 'string') return null;
+  if (hash.startsWith('$argon2id$')) return 'argon2id';
+  if (hash.startsWith('$scrypt$')) return 'scrypt';
+  if (/^\$2[aby]\$\d{2}\$/.test(hash)) return 'bcrypt';
+  return null;
+};
+
+/**
+ * Derive an scrypt key. Memory use is 128 * N * r bytes, above Node's default limit.
+ */
+const deriveScryptKey = (password, salt, { logN, r, p }, keyLength) => scrypt(password, salt, keyLength, {
+  N: 2 ** logN,
+  r,
+  p,
+  maxmem: 256 * 2 ** logN * r
+});
+
+/**
+ * Parse a $scrypt$ln=..,r=..,p=..$salt$hash string
+ */
+const parseScryptHash = (hash) => {
+  const [, , params, salt, key] = hash.split('$');
+  const values = Object.fromEntries(params.split(',').map((pair) => pair.split('=')));
+  
+  return {
+    logN: parseInt(values.ln),
+    r: parseInt(values.r),
+    p: parseInt(values.p),
+    salt: Buffer.from(salt, 'base64'),
+    key: Buffer.from(key, 'base64')
+  };
+};
+
+/**
+ * Hash a password with the configured algorithm
+ * @param {string} password - Plain text password
+ * @returns {Promise<string>} - Self-describing hash
+ */
+const hashPassword = async (password) => {
+  const settings = getHashSettings();
+  
+  if (settings.algorithm === 'argon2id') {
+    return argon2.hash(password, { type: argon2.argon2id, ...settings.argon2 });
+  }
+  
+  if (settings.algorithm === 'scrypt') {
+    const { logN, r, p } = settings.scrypt;
+    const salt = crypto.randomBytes(16);
+    const key = await deriveScryptKey(password, salt, settings.scrypt, SCRYPT_KEY_LENGTH);
+    const encode = (buffer) => buffer.toString('base64').replace(/=+$/, '');
+    
+    return `$scrypt$ln=${logN},r=${r},p=${p}$${encode(salt)}$${encode(key)}`;
+  }
+  
+  return bcrypt.hash(password, settings.bcryptCost);
+};
+
+/**
+ * Check a password against a stored hash of any supported algorithm
+ * @param {string} password - Plain text password
+ * @param {string} hash - Stored hash
+ * @returns {Promise<boolean>} - Whether the password matches
+ */
+const verifyPassword = async (password, hash) => {
+  const algorithm = getHashAlgorithm(hash);
+  
+  if (algorithm === 'argon2id') {
+    return argon2.verify(hash, password);
+  }
+  
+  if (algorithm === 'scrypt') {
+    const { salt, key, ...params } = parseScryptHash(hash);
+    const candidate = await deriveScryptKey(password, salt, params, key.length);
+    return crypto.timingSafeEqual(candidate, key);
+  }
+  
+  if (algorithm === 'bcrypt') {
+    return bcrypt.compare(password, hash);
+  }
+  
+  return false;
+};
+
+/**
+ * Whether a stored hash should be replaced: it uses a different algorithm
+ * than the configured one, or weaker parameters
+ * @param {string} hash - Stored hash
+ * @returns {boolean}
+ */
+const needsRehash = (hash) => {
+  const settings = getHashSettings();
+  const algorithm = getHashAlgorithm(hash);
+  
+  if (algorithm !== settings.algorithm) return true;
+  
+  if (algorithm === 'argon2id') {
+    return argon2.needsRehash(hash, settings.argon2);
+  }
+  
+  if (algorithm === 'scrypt') {
+    const { logN, r, p } = parseScryptHash(hash);
+    return logN < settings.scrypt.logN || r < settings.scrypt.r || p < settings.scrypt.p;
+  }
+  
+  return bcrypt.getRounds(hash) < settings.bcryptCost;
+};
+
+module.exports = {
+  getHashAlgorithm,
+  hashPassword,
+  verifyPassword,
+  needsRehash
+};
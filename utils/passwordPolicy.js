@@ -0,0 +1,284 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { verifyPassword } = require('./passwordHashing');
+
+/**
+ * Password policy.
+ *
+ *   PASSWORD_MIN_LENGTH      Minimum length in characters (default 8)
+ *   PASSWORD_MAX_LENGTH      Maximum length in characters (default 128)
+ *   PASSWORD_MIN_STRENGTH    Minimum strength score, 0-4 (default 2)
+ *   PASSWORD_HISTORY         Number of recent passwords that may not be reused (default 5, 0 disables)
+ *   BREACHED_PASSWORDS_PATH  Breached-password corpus, no network lookups:
+ *                            - a file of SHA-1 hashes, one "HASH" or "HASH:COUNT" per line, or
+ *                            - a directory of range files named by 5-character hash prefix
+ *                              (ABCDE.txt holding "SUFFIX:COUNT" lines, as downloaded from
+ *                              Have I Been Pwned), read one prefix at a time.
+ *                            Defaults to the small list of common passwords in config/.
+ */
+const DEFAULT_BREACHED_PASSWORDS_PATH = path.join(__dirname, '..', 'config', 'breached-passwords.txt');
+
+const getPasswordPolicySettings = () => ({
+  minLength: parseInt(process.env.PASSWORD_MIN_LENGTH) || 8,
+  maxLength: parseInt(process.env.PASSWORD_MAX_LENGTH) || 128,
+  minStrength: process.env.PASSWORD_MIN_STRENGTH !== undefined
+    ? parseInt(process.env.PASSWORD_MIN_STRENGTH)
+    : 2,
+  historySize: process.env.PASSWORD_HISTORY !== undefined
+    ? parseInt(process.env.PASSWORD_HISTORY)
+    : 5
+});
+
+// Words that make up most human-chosen passwords; matched after undoing leetspeak
+const COMMON_WORDS = [
+  'password', 'passwort', 'pass', 'secret', 'letmein', 'welcome', 'admin', 'login', 'master',
+  'qwerty', 'dragon', 'monkey', 'shadow', 'sunshine', 'princess', 'football', 'baseball',
+  'soccer', 'hockey', 'superman', 'batman', 'starwars', 'iloveyou', 'love', 'hello', 'freedom',
+  'whatever', 'trustno', 'access', 'michael', 'jordan', 'charlie', 'summer', 'winter',
+  'spring', 'autumn', 'flower', 'computer', 'internet', 'google', 'changeme', 'default', 'test',
+  'guest', 'user', 'root', 'angel', 'tiger', 'hunter', 'killer', 'cheese', 'pepper', 'ginger',
+  'orange', 'banana', 'cookie', 'chocolate', 'money', 'company', 'secure', 'security'
+];
+
+const KEYBOARD_ROWS = ['qwertyuiop', 'asdfghjkl', 'zxcvbnm', '1234567890', 'qazwsxedc'];
+
+const LEET = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', '@': 'a', $: 's', '!': 'i' };
+
+/**
+ * Whether a run of characters repeats, counts up or down by one, or follows a keyboard row
+ */
+const isPatternRun = (run) => {
+  const steps = [...run].slice(1).map((char, i) => char.charCodeAt(0) - run.charCodeAt(i));
+  if (steps.every((step) => step === steps[0] && Math.abs(step) <= 1)) return true;
+  
+  return KEYBOARD_ROWS.some((row) => row.includes(run) || [...row].reverse().join('').includes(run));
+};
+
+/**
+ * Find repeats, sequences and keyboard runs of at least three characters
+ * @param {string} text - Lowercase password
+ * @returns {Object[]} - [{ start, length, repeat }]
+ */
+const findPatterns = (text) => {
+  const patterns = [];
+  let i = 0;
+  
+  while (i < text.length - 2) {
+    if (!isPatternRun(text.slice(i, i + 3))) {
+      i++;
+      continue;
+    }
+    
+    let length = 3;
+    while (i + length < text.length && isPatternRun(text.slice(i, i + length + 1))) {
+      length++;
+    }
+    
+    patterns.push({ start: i, length, repeat: text[i] === text[i + 1] });
+    i += length;
+  }
+  
+  return patterns;
+};
+
+/**
+ * Estimate how hard a password is to guess. Repeats, sequences, dictionary
+ * words and personal details are charged as a handful of guesses each;
+ * everything else as brute force over the character classes in use.
+ * @param {string} password - Password
+ * @param {string[]} [userInputs] - Personal details to penalize, e.g. the email address
+ * @returns {Object} - { score (0-4), guessesLog10, suggestions }
+ */
+const estimatePasswordStrength = (password, userInputs = []) => {
+  const lower = password.toLowerCase();
+  const unleet = [...lower].map((char) => LEET[char] || char).join('');
+  const suggestions = new Set();
+  const covered = new Array(lower.length).fill(false);
+  let bits = 0;
+  
+  findPatterns(lower).forEach(({ start, length, repeat }) => {
+    covered.fill(true, start, start + length);
+    bits += Math.log2(length * 26);
+    suggestions.add(repeat
+      ? 'Avoid repeated characters like "aaa"'
+      : 'Avoid sequences like "abc", "123" or "qwerty"');
+  });
+  
+  const personalWords = userInputs
+    .flatMap((input) => String(input).toLowerCase().split(/[^a-z0-9]+/))
+    .filter((word) => word.length >= 3);
+  
+  // Longest words first, so 'password' wins over 'pass'
+  const words = [
+    ...personalWords.map((word) => ({ word, personal: true })),
+    ...COMMON_WORDS.map((word) => ({ word, personal: false }))
+  ].sort((a, b) => b.word.length - a.word.length);
+  
+  words.forEach(({ word, personal }) => {
+    [lower, unleet].forEach((text) => {
+      let index = text.indexOf(word);
+      while (index !== -1) {
+        if (!covered.slice(index, index + word.length).some(Boolean)) {
+          covered.fill(true, index, index + word.length);
+          bits += 10;
+          suggestions.add(personal
+            ? 'Avoid using your name or email address'
+            : 'Avoid common words and passwords');
+        }
+        index = text.indexOf(word, index + 1);
+      }
+    });
+  });
+  
+  // Brute force for the rest, over the character classes the password uses
+  let pool = 0;
+  if (/[a-z]/.test(password)) pool += 26;
+  if (/[A-Z]/.test(password)) pool += 26;
+  if (/[0-9]/.test(password)) pool += 10;
+  if (/[^a-zA-Z0-9]/.test(password)) pool += 33;
+  
+  const remaining = covered.filter((isCovered) => !isCovered).length;
+  bits += remaining * Math.log2(pool || 1);
+  
+  const guessesLog10 = bits * Math.log10(2);
+  const thresholds = [3, 6, 8, 10];
+  const score = thresholds.filter((threshold) => guessesLog10 >= threshold).length;
+  
+  if (score < 3) {
+    suggestions.add('Use a longer password, such as a few unrelated words');
+  }
+  
+  return { score, guessesLog10: Math.round(guessesLog10 * 10) / 10, suggestions: [...suggestions] };
+};
+
+let corpusCache = { source: null, hashes: null };
+
+/**
+ * Whether a password appears in the local breached-password corpus
+ * @param {string} password - Password
+ * @returns {Promise<boolean>}
+ */
+const isBreachedPassword = async (password) => {
+  const source = process.env.BREACHED_PASSWORDS_PATH || DEFAULT_BREACHED_PASSWORDS_PATH;
+  const hash = crypto.createHash('sha1').update(password).digest('hex').toUpperCase();
+  const stats = await fs.promises.stat(source);
+  
+  // Range directory - only the file for this hash's prefix is read
+  if (stats.isDirectory()) {
+    const rangeFile = path.join(source, `${hash.slice(0, 5)}.txt`);
+    let contents;
+    
+    try {
+      contents = await fs.promises.readFile(rangeFile, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+    
+    const suffix = hash.slice(5);
+    return contents.split('\n').some((line) => line.trim().toUpperCase().startsWith(`${suffix}:`) ||
+      line.trim().toUpperCase() === suffix);
+  }
+  
+  if (corpusCache.source !== source) {
+    const contents = await fs.promises.readFile(source, 'utf8');
+    const hashes = new Set(contents
+      .split('\n')
+      .map((line) => line.split(':')[0].trim().toUpperCase())
+      .filter(Boolean));
+    
+    corpusCache = { source, hashes };
+  }
+  
+  return corpusCache.hashes.has(hash);
+};
+
+/**
+ * Whether a password matches the user's current or recent passwords.
+ * The user must be loaded with +password +passwordHistory.
+ * @param {Object} user - User document
+ * @param {string} password - Candidate password
+ * @returns {Promise<boolean>}
+ */
+const isReusedPassword = async (user, password) => {
+  const { historySize } = getPasswordPolicySettings();
+  if (historySize <= 0) return false;
+  
+  // Unverified accounts only hold the placeholder password set at registration
+  const current = user.isVerified && user.password ? [user.password] : [];
+  const hashes = [...new Set([...current, ...(user.passwordHistory || [])])].slice(0, historySize);
+  
+  for (const hash of hashes) {
+    if (await verifyPassword(password, hash)) return true;
+  }
+  
+  return false;
+};
+
+/**
+ * Check a new password against the policy
+ * @param {string} password - Candidate password
+ * @param {Object} [options] - { user } - the account it is for, for personal-detail and reuse checks
+ * @returns {Promise<Object>} - { valid, errors: [{ code, message }], strength: { score, minScore, suggestions } }
+ */
+const validatePassword = async (password, { user } = {}) => {
+  const { minLength, maxLength, minStrength } = getPasswordPolicySettings();
+  const value = String(password);
+  const length = [...value].length;
+  const errors = [];
+  
+  if (length < minLength) {
+    errors.push({ code: 'too_short', message: `Password should be at least ${minLength} characters long` });
+  }
+  
+  if (length > maxLength) {
+    errors.push({ code: 'too_long', message: `Password should be at most ${maxLength} characters long` });
+  }
+  
+  const strength = estimatePasswordStrength(value, user ? [user.email] : []);
+  
+  if (length <= maxLength && await isBreachedPassword(value)) {
+    errors.push({ code: 'breached', message: 'This password has appeared in a data breach and cannot be used' });
+  }
+  
+  if (strength.score < minStrength) {
+    errors.push({ code: 'too_weak', message: 'Password is too easy to guess' });
+  }
+  
+  // Comparing against history is slow, so only do it for otherwise acceptable passwords
+  if (!errors.length && user && await isReusedPassword(user, value)) {
+    errors.push({ code: 'reused', message: 'Password was used recently, please choose a different one' });
+  }
+  
+  return {
+    valid: errors.length === 0,
+    errors,
+    strength: {
+      score: strength.score,
+      minScore: minStrength,
+      suggestions: strength.suggestions
+    }
+  };
+};
+
+/**
+ * Send the response for a rejected password: the first problem as the
+ * message, with every problem and the strength feedback for display
+ * @param {Object} res - Response
+ * @param {Object} result - Result of validatePassword
+ */
+const sendPasswordPolicyError = (res, result) => res.status(400).json({
+  success: false,
+  message: result.errors[0].message,
+  errors: result.errors,
+  strength: result.strength
+});
+
+module.exports = {
+  getPasswordPolicySettings,
+  estimatePasswordStrength,
+  isBreachedPassword,
+  validatePassword,
+  sendPasswordPolicyError
+};
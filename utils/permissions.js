@@ -0,0 +1,149 @@
+const Role = require('../models/Role');
+const User = require('../models/User');
+
+/**
+ * Roles seeded at startup. Stored permissions win over these once seeded,
+ * so an operator can adjust a built-in role without a code change.
+ */
+const BUILT_IN_ROLES = {
+  admin: {
+    description: 'Full access, including user administration',
+    permissions: ['*']
+  },
+  user: {
+    description: 'Default role for registered users',
+    permissions: ['profile:read', 'profile:write']
+  }
+};
+
+const DEFAULT_ROLE = 'user';
+
+/**
+ * Permissions granted by a membership role, within the active organization only
+ */
+const ORGANIZATION_ROLES = {
+  owner: ['org:*', 'members:*'],
+  admin: ['org:read', 'members:*'],
+  member: ['org:read', 'members:read']
+};
+
+/**
+ * In-process cache of role name -> permissions. Role changes made through
+ * this process invalidate it; other instances pick them up after the TTL.
+ */
+let roleCache = null;
+
+const getTTL = () => {
+  const ttl = parseInt(process.env.ROLE_CACHE_TTL_MS);
+  return Number.isNaN(ttl) ? 60 * 1000 : ttl; // 1 minute
+};
+
+/**
+ * Load permissions for every role
+ * @returns {Promise<Map>} - Role name -> permission list
+ */
+const loadRoles = async () => {
+  if (roleCache && roleCache.expiresAt > Date.now()) {
+    return roleCache.roles;
+  }
+  
+  const roles = new Map(
+    Object.entries(BUILT_IN_ROLES).map(([name, role]) => [name, role.permissions])
+  );
+  
+  const storedRoles = await Role.find({});
+  storedRoles.forEach((role) => roles.set(role.name, role.permissions));
+  
+  roleCache = { roles, expiresAt: Date.now() + getTTL() };
+  return roles;
+};
+
+/**
+ * Drop cached role permissions
+ */
+const invalidateRoleCache = () => {
+  roleCache = null;
+};
+
+/**
+ * Check a granted permission covers a required one
+ * @param {string} granted - Granted permission ('*', 'users:*' or 'users:read')
+ * @param {string} required - Required permission
+ * @returns {boolean} - Whether access is granted
+ */
+const permissionMatches = (granted, required) => {
+  if (granted === '*' || granted === required) return true;
+  
+  const [resource, action] = granted.split(':');
+  return action === '*' && required.startsWith(`${resource}:`);
+};
+
+/**
+ * Check a permission list covers a required permission
+ * @param {string[]} permissions - Granted permissions
+ * @param {string} required - Required permission
+ * @returns {boolean} - Whether access is granted
+ */
+const hasPermission = (permissions, required) => {
+  return permissions.some((granted) => permissionMatches(granted, required));
+};
+
+/**
+ * Resolve a user's effective permissions from their roles and direct grants,
+ * plus their membership role in the active organization
+ * @param {Object} user - User document
+ * @param {Object} [membership] - Membership in the active organization
+ * @returns {Promise<string[]>} - Effective permissions
+ */
+const resolvePermissions = async (user, membership) => {
+  const roles = await loadRoles();
+  const permissions = new Set(user.permissions || []);
+  
+  (user.roles || []).forEach((name) => {
+    (roles.get(name) || []).forEach((permission) => permissions.add(permission));
+  });
+  
+  if (membership) {
+    (ORGANIZATION_ROLES[membership.role] || []).forEach((permission) => permissions.add(permission));
+  }
+  
+  return [...permissions];
+};
+
+/**
+ * Create any missing built-in roles and grant admin to ADMIN_EMAILS
+ * @returns {Promise<void>}
+ */
+const seedRoles = async () => {
+  await Promise.all(Object.entries(BUILT_IN_ROLES).map(([name, role]) => {
+    return Role.updateOne(
+      { name },
+      { $setOnInsert: { name, ...role, builtIn: true } },
+      { upsert: true }
+    );
+  }));
+  
+  const adminEmails = (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map((email) => email.trim().toLowerCase())
+    .filter(Boolean);
+  
+  if (adminEmails.length > 0) {
+    await User.updateMany(
+      { email: { $in: adminEmails } },
+      { $addToSet: { roles: 'admin' } }
+    );
+  }
+  
+  invalidateRoleCache();
+};
+
+module.exports = {
+  BUILT_IN_ROLES,
+  DEFAULT_ROLE,
+  ORGANIZATION_ROLES,
+  hasPermission,
+  resolvePermissions,
+  seedRoles,
+  invalidateRoleCache
+};
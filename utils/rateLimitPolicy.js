@@ -0,0 +1,248 @@
+const fs = require('fs');
+const { createIpMatcher } = require('./ipAddress');
+
+/**
+ * Rate-limit policy set.
+ *
+ * Read from RATE_LIMIT_POLICY (JSON) or RATE_LIMIT_POLICY_FILE (path to JSON)
+ * and merged over the defaults below, e.g.
+ *   {
+ *     "policies": {
+ *       "auth": { "windowMs": 900000, "max": 20 },
+ *       "api": { "max": 1000, "keyBy": "apiKey" },
+ *       "loginFailures": { "maxPerEmail": 10 },
+ *       "credentialStuffing": { "maxSubnetFailures": 100, "action": "block" },
+ *       "captcha": { "afterLoginFailures": 2 }
+ *     },
+ *     "routes": {
+ *       "POST /api/auth/forgot-password": { "auth": { "max": 3, "windowMs": 3600000 } }
+ *     },
+ *     "allowlist": {
+ *       "ips": ["10.0.0.0/8"],
+ *       "users": ["<user id>"],
+ *       "apiKeys": ["sbk_AbCdEfGh"]
+ *     }
+ *   }
+ *
+ * keyBy is one of ip, email, user or apiKey; clients without that identity
+ * fall back to their IP. Limiters that run before authentication, like the
+ * global api one, identify users and API keys from the request's
+ * credentials. Route overrides are keyed by "METHOD /full/path" and
+ * name the policy they adjust; configured overrides are merged over
+ * DEFAULT_ROUTES. Allowlisted clients skip every limit. The
+ * captcha thresholds only apply when CAPTCHA_PROVIDER is set. The
+ * file is re-read when its path or the env values change, or on
+ * reloadRateLimitPolicy() (called on SIGHUP).
+ */
+const DEFAULT_POLICIES = {
+  auth: {
+    windowMs: 15 * 60 * 1000,
+    max: 5,
+    keyBy: 'ip',
+    message: 'Too many authentication attempts, please try again after {window}'
+  },
+  registration: {
+    windowMs: 60 * 60 * 1000,
+    max: 3,
+    keyBy: 'ip',
+    message: 'Too many registration attempts, please try again after {window}'
+  },
+  api: {
+    windowMs: 15 * 60 * 1000,
+    max: 100,
+    keyBy: 'ip',
+    message: 'Too many requests, please try again after {window}'
+  },
+  loginFailures: {
+    windowMs: 15 * 60 * 1000,
+    maxPerEmail: 5,
+    maxPerIp: 10
+  },
+  credentialStuffing: {
+    windowMs: 15 * 60 * 1000,
+    ipv4Prefix: 24,
+    ipv6Prefix: 64,
+    maxSubnetFailures: 50, // Failed logins from one network
+    maxDistinctEmails: 20, // Different accounts tried from one network
+    action: 'challenge', // 'block' or 'challenge' (confirm by email)
+    durationMs: 60 * 60 * 1000
+  },
+  captcha: {
+    afterLoginFailures: 3, // Failed logins (per email or IP) before login needs a CAPTCHA
+    afterRequests: 2 // Requests within the route limiter's window before register / forgot-password need one
+  }
+};
+
+/**
+ * Built-in route overrides. Token refresh and passkey sign-in options are
+ * routine for every client, so they get their own, larger budgets instead of
+ * sharing the auth one.
+ */
+const DEFAULT_ROUTES = {
+  'POST /api/auth/refresh': { auth: { max: 30 } },
+  'POST /api/auth/webauthn/login/options': { auth: { max: 30 } }
+};
+
+const KEY_TYPES = ['ip', 'email', 'user', 'apiKey'];
+
+let cachedPolicy = null;
+let cachedSource = null;
+let version = 0;
+
+/**
+ * Check a policy entry is usable
+ */
+const validatePolicy = (name, policy) => {
+  if (policy.keyBy !== undefined && !KEY_TYPES.includes(policy.keyBy)) {
+    throw new Error(`Rate limit policy ${name} has unsupported keyBy ${policy.keyBy}`);
+  }
+  
+  if (policy.action !== undefined && !['block', 'challenge'].includes(policy.action)) {
+    throw new Error(`Rate limit policy ${name} has unsupported action ${policy.action}`);
+  }
+  
+  const numericFields = [
+    'windowMs', 'max', 'maxPerEmail', 'maxPerIp', 'ipv4Prefix', 'ipv6Prefix',
+    'maxSubnetFailures', 'maxDistinctEmails', 'durationMs', 'afterLoginFailures', 'afterRequests'
+  ];
+  
+  numericFields.forEach((field) => {
+    if (policy[field] !== undefined && !(Number.isInteger(policy[field]) && policy[field] >= 0)) {
+      throw new Error(`Rate limit policy ${name} has an invalid ${field}`);
+    }
+  });
+};
+
+/**
+ * Merge a configuration over the defaults and validate it
+ * @param {Object} config - Parsed configuration
+ * @returns {Object} - { policies, routes, allowlist }
+ */
+const buildPolicy = (config = {}) => {
+  const policies = {};
+  
+  Object.keys({ ...DEFAULT_POLICIES, ...config.policies }).forEach((name) => {
+    policies[name] = { ...DEFAULT_POLICIES[name], ...(config.policies || {})[name] };
+    validatePolicy(name, policies[name]);
+  });
+  
+  const routes = {};
+  Object.keys({ ...DEFAULT_ROUTES, ...config.routes }).forEach((route) => {
+    const defaults = DEFAULT_ROUTES[route] || {};
+    const configured = (config.routes || {})[route] || {};
+    
+    routes[route] = {};
+    Object.keys({ ...defaults, ...configured }).forEach((name) => {
+      routes[route][name] = { ...defaults[name], ...configured[name] };
+    });
+  });
+  
+  Object.entries(routes).forEach(([route, overrides]) => {
+    Object.entries(overrides).forEach(([name, override]) => {
+      validatePolicy(`${name} (${route})`, override);
+    });
+  });
+  
+  const allowlist = config.allowlist || {};
+  
+  return {
+    policies,
+    routes,
+    allowlist: {
+      isAllowedIp: createIpMatcher(allowlist.ips || []),
+      users: new Set((allowlist.users || []).map(String)),
+      apiKeys: new Set(allowlist.apiKeys || [])
+    }
+  };
+};
+
+/**
+ * Get the current policy set, reloading when its configuration changes
+ * @returns {Object} - { policies, routes, allowlist, version }
+ */
+const getRateLimitPolicy = () => {
+  const source = process.env.RATE_LIMIT_POLICY || process.env.RATE_LIMIT_POLICY_FILE || '';
+  
+  if (cachedPolicy && cachedSource === source) {
+    return cachedPolicy;
+  }
+  
+  let policy;
+  
+  try {
+    let config = {};
+    
+    if (process.env.RATE_LIMIT_POLICY) {
+      config = JSON.parse(process.env.RATE_LIMIT_POLICY);
+    } else if (process.env.RATE_LIMIT_POLICY_FILE) {
+      config = JSON.parse(fs.readFileSync(process.env.RATE_LIMIT_POLICY_FILE, 'utf8'));
+    }
+    
+    policy = buildPolicy(config);
+  } catch (error) {
+    // A bad edit should not take the limits down - keep serving the last good set
+    if (!cachedPolicy) throw error;
+    
+    console.error('Invalid rate limit policy, keeping the previous one:', error.message);
+    cachedSource = source;
+    return cachedPolicy;
+  }
+  
+  version += 1;
+  cachedPolicy = { ...policy, version };
+  cachedSource = source;
+  
+  return cachedPolicy;
+};
+
+/**
+ * Force the policy to be re-read on next use (e.g. after editing RATE_LIMIT_POLICY_FILE)
+ */
+const reloadRateLimitPolicy = () => {
+  cachedSource = null;
+};
+
+/**
+ * Resolve the policy that applies to a request, with any route override
+ * @param {string} name - Policy name
+ * @param {Object} req - Request
+ * @returns {Object} - { policy, route } - route is set when an override applied
+ */
+const resolvePolicy = (name, req) => {
+  const { policies, routes } = getRateLimitPolicy();
+  const base = policies[name];
+  
+  if (!base) {
+    throw new Error(`Unknown rate limit policy: ${name}`);
+  }
+  
+  const route = `${req.method} ${req.baseUrl || ''}${req.path}`.replace(/(.)\/$/, '$1');
+  const override = routes[route] && routes[route][name];
+  
+  return override
+    ? { policy: { ...base, ...override }, route }
+    : { policy: base, route: null };
+};
+
+/**
+ * Describe a window for messages, e.g. "15 minutes" or "1 hour"
+ */
+const formatWindow = (windowMs) => {
+  const minutes = Math.round(windowMs / 60000);
+  
+  if (minutes >= 60 && minutes % 60 === 0) {
+    const hours = minutes / 60;
+    return `${hours} hour${hours === 1 ? '' : 's'}`;
+  }
+  
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+};
+
+module.exports = {
+  DEFAULT_POLICIES,
+  DEFAULT_ROUTES,
+  getRateLimitPolicy,
+  reloadRateLimitPolicy,
+  resolvePolicy,
+  formatWindow
+};
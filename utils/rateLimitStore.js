@@ -0,0 +1,186 @@
+const { MemoryStore } = require('express-rate-limit');
+const RateLimitCounter = require('../models/RateLimitCounter');
+const { createRespClient } = require('./respClient');
+
+/**
+ * Shared stores for express-rate-limit, so limits hold across instances and
+ * restarts. Pick one with RATE_LIMIT_STORE:
+ *   memory - express-rate-limit's in-process store (default, single instance only)
+ *   mongo  - counters in the RateLimitCounter collection
+ *   redis  - counters in Redis at REDIS_URL
+ * Each store implements increment/decrement/resetKey/get and counts hits in
+ * a fixed window that starts with the first hit.
+ *
+ * When the store fails, RATE_LIMIT_FAIL_MODE decides what happens:
+ *   open   - let the request through unlimited and log the error (default),
+ *            so a store outage does not take the whole API down
+ *   closed - reject the request with a server error
+ */
+const isFailOpen = () => (process.env.RATE_LIMIT_FAIL_MODE || 'open') !== 'closed';
+
+/**
+ * MongoDB-backed store. A single pipeline update increments the counter, or
+ * restarts it if the window has ended, so concurrent hits are never lost.
+ * @param {Object} options - { prefix }
+ * @returns {Object} - express-rate-limit store
+ */
+const createMongoStore = ({ prefix }) => {
+  let windowMs = 60 * 1000;
+  
+  const increment = async (key) => {
+    const now = new Date();
+    const windowOpen = { $gt: ['$resetAt', now] };
+    
+    const update = [{
+      $set: {
+        hits: { $cond: [windowOpen, { $add: ['$hits', 1] }, 1] },
+        resetAt: { $cond: [windowOpen, '$resetAt', new Date(now.getTime() + windowMs)] }
+      }
+    }];
+    
+    try {
+      return await RateLimitCounter.findOneAndUpdate(
+        { key: prefix + key },
+        update,
+        { upsert: true, new: true }
+      );
+    } catch (error) {
+      // Two first hits raced on the upsert - the document exists now, so retry once
+      if (error.code === 11000) {
+        return RateLimitCounter.findOneAndUpdate({ key: prefix + key }, update, { new: true });
+      }
+      throw error;
+    }
+  };
+  
+  return {
+    prefix,
+    localKeys: false,
+    
+    init(options) {
+      windowMs = options.windowMs;
+    },
+    
+    async get(key) {
+      const counter = await RateLimitCounter.findOne({ key: prefix + key, resetAt: { $gt: new Date() } });
+      return counter ? { totalHits: counter.hits, resetTime: counter.resetAt } : undefined;
+    },
+    
+    async increment(key) {
+      const counter = await increment(key);
+      return { totalHits: counter.hits, resetTime: counter.resetAt };
+    },
+    
+    async decrement(key) {
+      await RateLimitCounter.updateOne(
+        { key: prefix + key, hits: { $gt: 0 }, resetAt: { $gt: new Date() } },
+        { $inc: { hits: -1 } }
+      );
+    },
+    
+    async resetKey(key) {
+      await RateLimitCounter.deleteOne({ key: prefix + key });
+    }
+  };
+};
+
+/**
+ * Redis-protocol store. Works with any client that can send a raw command,
+ * e.g. node-redis (`(args) => client.sendCommand(args)`), ioredis
+ * (`([command, ...args]) => client.call(command, ...args)`) or the bundled
+ * RESP client. INCR is atomic, and the key gets its TTL from SET NX PX
+ * before the first increment.
+ * @param {Object} options - { prefix, sendCommand }
+ * @returns {Object} - express-rate-limit store
+ */
+const createRedisStore = ({ prefix, sendCommand }) => {
+  let windowMs = 60 * 1000;
+  
+  return {
+    prefix,
+    localKeys: false,
+    
+    init(options) {
+      windowMs = options.windowMs;
+    },
+    
+    async get(key) {
+      const [hits, ttl] = await Promise.all([
+        sendCommand(['GET', prefix + key]),
+        sendCommand(['PTTL', prefix + key])
+      ]);
+      
+      if (hits === null || ttl < 0) return undefined;
+      return { totalHits: parseInt(hits), resetTime: new Date(Date.now() + ttl) };
+    },
+    
+    async increment(key) {
+      const redisKey = prefix + key;
+      
+      // Pipelined in order: start the window if needed, count the hit, read the TTL
+      const [, totalHits, ttl] = await Promise.all([
+        sendCommand(['SET', redisKey, '0', 'PX', String(windowMs), 'NX']),
+        sendCommand(['INCR', redisKey]),
+        sendCommand(['PTTL', redisKey])
+      ]);
+      
+      let remaining = ttl;
+      
+      // The key expired between SET and INCR and was recreated without a TTL
+      if (remaining < 0) {
+        await sendCommand(['PEXPIRE', redisKey, String(windowMs)]);
+        remaining = windowMs;
+      }
+      
+      return { totalHits, resetTime: new Date(Date.now() + remaining) };
+    },
+    
+    async decrement(key) {
+      await sendCommand(['DECR', prefix + key]);
+    },
+    
+    async resetKey(key) {
+      await sendCommand(['DEL', prefix + key]);
+    }
+  };
+};
+
+let redisClient = null;
+
+/**
+ * Shared Redis connection for every limiter
+ */
+const getRedisClient = () => {
+  if (!redisClient) {
+    redisClient = createRespClient(process.env.REDIS_URL || 'redis://localhost:6379');
+  }
+  return redisClient;
+};
+
+/**
+ * Create the configured store for one limiter
+ * @param {string} name - Limiter name, used as the key prefix
+ * @returns {Object} - Store
+ */
+const createRateLimitStore = (name) => {
+  const prefix = `rl:${name}:`;
+  
+  switch (process.env.RATE_LIMIT_STORE) {
+    case 'mongo':
+      return createMongoStore({ prefix });
+    case 'redis':
+      return createRedisStore({
+        prefix,
+        sendCommand: (args) => getRedisClient().sendCommand(args)
+      });
+    default:
+      return new MemoryStore();
+  }
+};
+
+module.exports = {
+  isFailOpen,
+  createMongoStore,
+  createRedisStore,
+  createRateLimitStore
+};
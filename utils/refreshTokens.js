@@ -0,0 +1,81 @@
+const crypto = require('crypto');
+const RefreshToken = require('../models/RefreshToken');
+const {
+  generateRefreshToken,
+  getRefreshTokenExpiryDate,
+  hashToken
+} = require('./tokenGenerator');
+
+/**
+ * Issue a new refresh token, starting a new family unless one is given
+ * @param {string} userId - User the token belongs to
+ * @param {string} [family] - Token family to continue (the owning session ID)
+ * @returns {Promise<string>} - Raw refresh token (only the hash is stored)
+ */
+const issueRefreshToken = async (userId, family) => {
+  const token = generateRefreshToken();
+  
+  await RefreshToken.create({
+    userId,
+    tokenHash: hashToken(token),
+    family: family || crypto.randomBytes(16).toString('hex'),
+    expiresAt: getRefreshTokenExpiryDate()
+  });
+  
+  return token;
+};
+
+/**
+ * Rotate a refresh token: mark it used and issue its successor.
+ * Presenting a token that was already rotated or revoked revokes its whole family.
+ * @param {string} token - Raw refresh token presented by the client
+ * @returns {Promise<Object>} - { userId, family, refreshToken } or { error: 'invalid' | 'expired' | 'reused' }
+ */
+const rotateRefreshToken = async (token) => {
+  const tokenHash = hashToken(token);
+  const now = new Date();
+  
+  // Atomically claim the token so two concurrent refreshes cannot both succeed
+  const current = await RefreshToken.findOneAndUpdate(
+    { tokenHash, usedAt: null, revokedAt: null },
+    { usedAt: now }
+  );
+  
+  if (!current) {
+    const existing = await RefreshToken.findOne({ tokenHash });
+    
+    if (!existing) {
+      return { error: 'invalid' };
+    }
+    
+    // Token was already used or revoked - treat as theft and kill the family
+    await revokeRefreshTokens({ family: existing.family });
+    return { error: 'reused', userId: existing.userId, family: existing.family };
+  }
+  
+  if (current.expiresAt <= now) {
+    return { error: 'expired' };
+  }
+  
+  const refreshToken = await issueRefreshToken(current.userId, current.family);
+  
+  return { userId: current.userId, family: current.family, refreshToken };
+};
+
+/**
+ * Revoke outstanding refresh tokens
+ * @param {Object} filter - { userId } or { family }
+ * @returns {Promise}
+ */
+const revokeRefreshTokens = async (filter) => {
+  await RefreshToken.updateMany(
+    { ...filter, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+};
+
+module.exports = {
+  issueRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshTokens
+};
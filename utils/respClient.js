@@ -0,0 +1,190 @@
+const net = require('net');
+const tls = require('tls');
+
+/**
+ * Minimal Redis (RESP2) client - just enough to send commands for the
+ * rate-limit store without pulling in a full client library. Commands are
+ * pipelined over one connection and replies are matched in order. A dropped
+ * connection is reopened by the next command; after a failure, commands are
+ * rejected straight away until a backoff (100ms doubling up to 30 seconds)
+ * has passed, so an outage does not turn into a reconnect per request.
+ */
+const MIN_RETRY_DELAY = 100;
+const MAX_RETRY_DELAY = 30 * 1000;
+
+/**
+ * Encode a command as a RESP array of bulk strings
+ * @param {Array} args - Command name and arguments
+ * @returns {Buffer} - Encoded command
+ */
+const encodeCommand = (args) => {
+  const parts = [`*${args.length}\r\n`];
+  
+  args.forEach((arg) => {
+    const value = String(arg);
+    parts.push(`$${Buffer.byteLength(value)}\r\n${value}\r\n`);
+  });
+  
+  return Buffer.from(parts.join(''));
+};
+
+/**
+ * Parse one reply from the start of a buffer
+ * @param {Buffer} buffer - Received data
+ * @param {number} [offset] - Position to start reading
+ * @returns {Object|null} - { value, offset } or null if the reply is incomplete
+ */
+const parseReply = (buffer, offset = 0) => {
+  const lineEnd = buffer.indexOf('\r\n', offset);
+  if (lineEnd === -1) return null;
+  
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+  
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: new Error(line), offset: next };
+    case ':':
+      return { value: parseInt(line, 10), offset: next };
+    case '$': {
+      const length = parseInt(line, 10);
+      if (length === -1) return { value: null, offset: next };
+      if (buffer.length < next + length + 2) return null;
+      return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const count = parseInt(line, 10);
+      if (count === -1) return { value: null, offset: next };
+      
+      const values = [];
+      let position = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, position);
+        if (!item) return null;
+        values.push(item.value);
+        position = item.offset;
+      }
+      return { value: values, offset: position };
+    }
+    default:
+      throw new Error(`Unexpected RESP reply type: ${type}`);
+  }
+};
+
+/**
+ * Create a client for a redis:// or rediss:// URL
+ * @param {string} url - Connection URL, e.g. redis://:password@localhost:6379/0
+ * @returns {Object} - { sendCommand(args), quit() }
+ */
+const createRespClient = (url) => {
+  const { protocol, hostname, port, username, password, pathname } = new URL(url);
+  const database = parseInt(pathname.slice(1)) || 0;
+  
+  let socket = null;
+  let buffer = Buffer.alloc(0);
+  let failures = 0;
+  let retryAt = 0;
+  let closing = false;
+  const pending = [];
+  
+  const failPending = (error) => {
+    while (pending.length > 0) {
+      pending.shift().reject(error);
+    }
+  };
+  
+  const onData = (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+    failures = 0;
+    
+    let reply;
+    try {
+      reply = parseReply(buffer);
+      while (reply) {
+        buffer = buffer.subarray(reply.offset);
+        const waiter = pending.shift();
+        
+        // A reply nobody is waiting for means the stream is out of step
+        if (!waiter) {
+          throw new Error('Unexpected Redis reply');
+        }
+        
+        if (reply.value instanceof Error) {
+          waiter.reject(reply.value);
+        } else {
+          waiter.resolve(reply.value);
+        }
+        reply = buffer.length > 0 ? parseReply(buffer) : null;
+      }
+    } catch (error) {
+      // Replies can no longer be matched to commands - start over on a new connection
+      console.error('Redis protocol error:', error.message);
+      socket.destroy(error);
+    }
+  };
+  
+  const write = (args) => new Promise((resolve, reject) => {
+    pending.push({ resolve, reject });
+    socket.write(encodeCommand(args));
+  });
+  
+  const connect = () => {
+    const options = { host: hostname || 'localhost', port: parseInt(port) || 6379 };
+    socket = protocol === 'rediss:' ? tls.connect(options) : net.connect(options);
+    buffer = Buffer.alloc(0);
+    
+    socket.on('data', onData);
+    socket.on('error', (error) => {
+      console.error('Redis connection error:', error.message);
+    });
+    socket.on('close', (hadError) => {
+      if (hadError && !closing) {
+        failures += 1;
+        retryAt = Date.now() + Math.min(MIN_RETRY_DELAY * 2 ** (failures - 1), MAX_RETRY_DELAY);
+      }
+      
+      socket = null;
+      closing = false;
+      failPending(new Error('Redis connection closed'));
+    });
+    
+    // Queued ahead of any command, so no need to wait for the handshake
+    if (password) {
+      const credentials = username
+        ? [decodeURIComponent(username), decodeURIComponent(password)]
+        : [decodeURIComponent(password)];
+      write(['AUTH', ...credentials]).catch((error) => console.error('Redis AUTH error:', error.message));
+    }
+    if (database) {
+      write(['SELECT', database]).catch((error) => console.error('Redis SELECT error:', error.message));
+    }
+  };
+  
+  return {
+    sendCommand(args) {
+      if (!socket) {
+        if (Date.now() < retryAt) {
+          return Promise.reject(new Error('Redis unavailable, waiting to reconnect'));
+        }
+        connect();
+      }
+      return write(args);
+    },
+    
+    async quit() {
+      if (!socket) return;
+      closing = true;
+      await write(['QUIT']).catch(() => {});
+      if (socket) socket.end();
+    }
+  };
+};
+
+module.exports = {
+  createRespClient,
+  encodeCommand,
+  parseReply
+};
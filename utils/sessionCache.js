@@ -0,0 +1,72 @@
+/**
+ * Short-lived in-process cache of active session tokens, keyed by session ID.
+ * Lets `protect` skip the ActiveSession lookup on hot paths. Entries are
+ * dropped whenever this process creates or removes a session; other
+ * instances pick up changes once SESSION_CACHE_TTL_MS has passed. At most
+ * SESSION_CACHE_MAX_ENTRIES (default 10000) are kept, least recently used
+ * first out.
+ */
+const cache = new Map();
+
+const getTTL = () => {
+  const ttl = parseInt(process.env.SESSION_CACHE_TTL_MS);
+  return Number.isNaN(ttl) ? 10 * 1000 : ttl; // 10 seconds
+};
+
+const getMaxEntries = () => parseInt(process.env.SESSION_CACHE_MAX_ENTRIES) || 10000;
+
+/**
+ * Get cached token for a session
+ * @param {string} sessionId - Session ID
+ * @returns {string|null} - Cached token or null if missing or stale
+ */
+const getCachedSession = (sessionId) => {
+  const key = sessionId.toString();
+  const entry = cache.get(key);
+  
+  if (!entry) return null;
+  
+  if (entry.expiresAt <= Date.now()) {
+    cache.delete(key);
+    return null;
+  }
+  
+  // Map keeps insertion order, so re-inserting marks the entry most recently used
+  cache.delete(key);
+  cache.set(key, entry);
+  
+  return entry.token;
+};
+
+/**
+ * Cache a live session's token
+ * @param {string} sessionId - Session ID
+ * @param {string} token - Session token
+ */
+const cacheSession = (sessionId, token) => {
+  const ttl = getTTL();
+  if (ttl <= 0) return;
+  
+  const key = sessionId.toString();
+  cache.delete(key);
+  cache.set(key, { token, expiresAt: Date.now() + ttl });
+  
+  const maxEntries = getMaxEntries();
+  while (cache.size > maxEntries) {
+    cache.delete(cache.keys().next().value);
+  }
+};
+
+/**
+ * Drop a cached session
+ * @param {string} sessionId - Session ID
+ */
+const invalidateSession = (sessionId) => {
+  cache.delete(sessionId.toString());
+};
+
+module.exports = {
+  getCachedSession,
+  cacheSession,
+  invalidateSession
+};
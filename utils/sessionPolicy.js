@@ -0,0 +1,75 @@
+const ActiveSession = require('../models/ActiveSession');
+const { removeOldestSessions } = require('./sessions');
+
+/**
+ * Supported concurrent-login policies
+ * - reject:  refuse a new login while any session exists (single session)
+ * - replace: end the oldest session(s) to make room for the new one
+ * - limit:   allow up to LOGIN_MAX_SESSIONS sessions, then refuse
+ * - confirm: once the limit is reached, require an emailed confirmation link
+ */
+const SESSION_POLICIES = ['reject', 'replace', 'limit', 'confirm'];
+
+/**
+ * Read the deployment's concurrent-login policy from the environment
+ * @returns {Object} - { mode, maxSessions }
+ */
+const getSessionPolicy = () => {
+  const mode = SESSION_POLICIES.includes(process.env.LOGIN_SESSION_POLICY)
+    ? process.env.LOGIN_SESSION_POLICY
+    : 'limit';
+  
+  const maxSessions = mode === 'reject'
+    ? 1
+    : Math.max(parseInt(process.env.LOGIN_MAX_SESSIONS) || 5, 1);
+  
+  return { mode, maxSessions };
+};
+
+/**
+ * Decide whether a user may start another session under the current policy.
+ * For 'replace' the oldest sessions are removed before returning.
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - { outcome: 'allowed' | 'rejected' | 'confirmation_required', mode, maxSessions, evicted }
+ */
+const applySessionPolicy = async (userId) => {
+  const policy = getSessionPolicy();
+  const activeSessions = await ActiveSession.countDocuments({ userId });
+  
+  if (activeSessions < policy.maxSessions) {
+    return { outcome: 'allowed', ...policy, evicted: 0 };
+  }
+  
+  if (policy.mode === 'replace') {
+    const evicted = await makeRoomForSession(userId, policy.maxSessions);
+    return { outcome: 'allowed', ...policy, evicted };
+  }
+  
+  if (policy.mode === 'confirm') {
+    return { outcome: 'confirmation_required', ...policy, evicted: 0 };
+  }
+  
+  return { outcome: 'rejected', ...policy, evicted: 0 };
+};
+
+/**
+ * Remove the oldest sessions so one more fits under the limit
+ * @param {string} userId - User ID
+ * @param {number} [maxSessions] - Session limit, defaults to the configured policy
+ * @returns {Promise<number>} - Number of sessions removed
+ */
+const makeRoomForSession = async (userId, maxSessions = getSessionPolicy().maxSessions) => {
+  const activeSessions = await ActiveSession.countDocuments({ userId });
+  const excess = activeSessions - maxSessions + 1;
+  
+  if (excess <= 0) return 0;
+  
+  return removeOldestSessions(userId, excess);
+};
+
+module.exports = {
+  SESSION_POLICIES,
+  getSessionPolicy,
+  applySessionPolicy,
+  makeRoomForSession
+};
@@ -0,0 +1,217 @@
+const mongoose = require('mongoose');
+const ActiveSession = require('../models/ActiveSession');
+const { generateAuthToken, getRefreshTokenExpiryDate } = require('./tokenGenerator');
+const { issueRefreshToken, revokeRefreshTokens } = require('./refreshTokens');
+const { invalidateSession } = require('./sessionCache');
+const { getClientIp } = require('./clientIp');
+
+/**
+ * Derive a readable device label from a user agent string
+ * @param {string} userAgent - User-Agent header
+ * @returns {string} - e.g. 'Chrome on Windows'
+ */
+const describeDevice = (userAgent) => {
+  if (!userAgent) return 'Unknown device';
+  
+  const browsers = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//]
+  ];
+  const platforms = [
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad|iPod/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X/],
+    ['Linux', /Linux/]
+  ];
+  
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+  const platform = platforms.find(([, pattern]) => pattern.test(userAgent));
+  
+  if (!browser && !platform) return 'Unknown device';
+  if (!platform) return browser[0];
+  if (!browser) return platform[0];
+  return `${browser[0]} on ${platform[0]}`;
+};
+
+/**
+ * Create a new active session and issue its tokens
+ * @param {string} userId - User ID
+ * @param {Object} [req] - Login request, used for device, user agent and IP
+ * @returns {Promise<Object>} - { session, token, refreshToken }
+ */
+const createActiveSession = async (userId, req = {}) => {
+  try {
+    const headers = req.headers || {};
+    const userAgent = headers['user-agent'] || '';
+    const deviceName = req.body && req.body.deviceName;
+    const sessionId = new mongoose.Types.ObjectId();
+    
+    // The session ID is both the token's sid claim and its refresh token family
+    const token = generateAuthToken(userId, sessionId);
+    const refreshToken = await issueRefreshToken(userId, sessionId.toString());
+    
+    const session = await ActiveSession.create({
+      _id: sessionId,
+      userId,
+      token,
+      device: deviceName ? String(deviceName).slice(0, 100) : describeDevice(userAgent),
+      userAgent: userAgent.slice(0, 500),
+      ip: getClientIp(req),
+      expiresAt: getRefreshTokenExpiryDate()
+    });
+    
+    return { session, token, refreshToken };
+  } catch (error) {
+    console.error('Error creating active session:', error);
+    throw error;
+  }
+};
+
+/**
+ * Issue a new access token for an existing session after refresh
+ * @param {string} sessionId - Session ID (refresh token family)
+ * @param {string} userId - User ID
+ * @returns {Promise<string|null>} - New access token, or null if the session is gone
+ */
+const refreshActiveSession = async (sessionId, userId) => {
+  // Keep the session's active organization across refreshes
+  const current = await ActiveSession.findOne({ _id: sessionId, userId }).select('organizationId');
+  
+  if (!current) {
+    invalidateSession(sessionId);
+    return null;
+  }
+  
+  const token = generateAuthToken(userId, sessionId, current.organizationId);
+  const now = new Date();
+  
+  const session = await ActiveSession.findOneAndUpdate(
+    { _id: sessionId, userId },
+    { token, lastSeenAt: now, expiresAt: getRefreshTokenExpiryDate() }
+  );
+  
+  invalidateSession(sessionId);
+  
+  return session ? token : null;
+};
+
+/**
+ * Remove a single active session (logout) and revoke its refresh tokens
+ * @param {string} sessionId - Session ID
+ * @param {string} [userId] - Restrict removal to this user's sessions
+ * @returns {Promise<boolean>} - Whether a session was removed
+ */
+const removeActiveSession = async (sessionId, userId) => {
+  try {
+    const filter = { _id: sessionId };
+    if (userId) filter.userId = userId;
+    
+    const result = await ActiveSession.deleteOne(filter);
+    
+    const refreshFilter = { family: sessionId.toString() };
+    if (userId) refreshFilter.userId = userId;
+    await revokeRefreshTokens(refreshFilter);
+    
+    invalidateSession(sessionId);
+    
+    return result.deletedCount > 0;
+  } catch (error) {
+    console.error('Error removing active session:', error);
+    throw error;
+  }
+};
+
+/**
+ * Remove all of a user's sessions, optionally keeping one
+ * @param {string} userId - User ID
+ * @param {string} [exceptSessionId] - Session to keep (e.g. the current one)
+ * @returns {Promise<number>} - Number of sessions removed
+ */
+const removeAllSessions = async (userId, exceptSessionId) => {
+  try {
+    const filter = { userId };
+    if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+    
+    const sessions = await ActiveSession.find(filter).select('_id');
+    await ActiveSession.deleteMany(filter);
+    
+    const refreshFilter = { userId };
+    if (exceptSessionId) refreshFilter.family = { $ne: exceptSessionId.toString() };
+    await revokeRefreshTokens(refreshFilter);
+    
+    sessions.forEach((session) => invalidateSession(session._id));
+    
+    return sessions.length;
+  } catch (error) {
+    console.error('Error removing sessions:', error);
+    throw error;
+  }
+};
+
+/**
+ * Remove a user's oldest sessions
+ * @param {string} userId - User ID
+ * @param {number} count - Number of sessions to remove
+ * @returns {Promise<number>} - Number of sessions removed
+ */
+const removeOldestSessions = async (userId, count) => {
+  const sessions = await ActiveSession.find({ userId })
+    .sort({ createdAt: 1 })
+    .limit(count)
+    .select('_id');
+  
+  for (const session of sessions) {
+    await removeActiveSession(session._id);
+  }
+  
+  return sessions.length;
+};
+
+/**
+ * Change a session's active organization and reissue its access token
+ * @param {string} sessionId - Session ID
+ * @param {string} userId - User ID
+ * @param {string|null} organizationId - Organization to switch to, or null to clear
+ * @returns {Promise<string|null>} - New access token, or null if the session is gone
+ */
+const switchSessionOrganization = async (sessionId, userId, organizationId) => {
+  const token = generateAuthToken(userId, sessionId, organizationId);
+  
+  const session = await ActiveSession.findOneAndUpdate(
+    { _id: sessionId, userId },
+    { token, organizationId: organizationId || null, lastSeenAt: new Date() }
+  );
+  
+  invalidateSession(sessionId);
+  
+  return session ? token : null;
+};
+
+/**
+ * Record session activity, at most once a minute per session
+ * @param {Object} session - ActiveSession document
+ */
+const touchSession = async (session) => {
+  const now = Date.now();
+  if (session.lastSeenAt && now - session.lastSeenAt.getTime() < 60 * 1000) return;
+  
+  try {
+    await ActiveSession.updateOne({ _id: session._id }, { lastSeenAt: new Date(now) });
+  } catch (error) {
+    console.error('Error updating session activity:', error);
+  }
+};
+
+module.exports = {
+  createActiveSession,
+  refreshActiveSession,
+  removeActiveSession,
+  removeAllSessions,
+  removeOldestSessions,
+  switchSessionOrganization,
+  touchSession
+};
@@ -1,42 +1,123 @@
-const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
+const { signToken } = require('./keyRing');
 
 /**
- * Generate JWT token for authenticated users
+ * aud claims of the JWTs signed here. Both kinds share the key ring, so
+ * verifiers must name the audience they accept.
+ */
+const TOKEN_AUDIENCES = {
+  access: 'access',
+  mfa: 'mfa'
+};
+
+/**
+ * Generate short-lived JWT access token for authenticated users
  * @param {string} userId - User ID to include in token
+ * @param {string} sessionId - Active session the token belongs to
+ * @param {string} [organizationId] - Active organization, sent as the org claim
  * @returns {string} - JWT token
  */
-const generateAuthToken = (userId) => {
-  return jwt.sign(
-    { id: userId },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRY }
-  );
+const generateAuthToken = (userId, sessionId, organizationId) => {
+  const payload = { id: userId, sid: sessionId };
+  
+  if (organizationId) {
+    payload.org = organizationId.toString();
+  }
+  
+  return signToken(payload, {
+    expiresIn: process.env.ACCESS_TOKEN_EXPIRY || '15m',
+    audience: TOKEN_AUDIENCES.access
+  });
 };
 
 /**
- * Generate temporary registration token
+ * Get account unlock token expiration date
+ * @returns {Date} - Date when token expires
+ */
+const getUnlockTokenExpiryDate = () => {
+  const expiryHours = parseInt(process.env.UNLOCK_TOKEN_EXPIRY) || 24;
+  return new Date(Date.now() + expiryHours * 60 * 60 * 1000);
+};
+
+/**
+ * Generate organization invitation token
  * @returns {string} - Random token
  */
-const generateRegistrationToken = () => {
+const generateInvitationToken = () => {
   return crypto.randomBytes(32).toString('hex');
 };
 
 /**
- * Get token expiration date
+ * Get organization invitation expiration date
+ * @returns {Date} - Date when invitation expires
+ */
+const getInvitationExpiryDate = () => {
+  const expiryDays = parseInt(process.env.INVITATION_EXPIRY_DAYS) || 7;
+  return new Date(Date.now() + expiryDays * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * Get magic-link token expiration date
  * @returns {Date} - Date when token expires
  */
-const getTokenExpiryDate = () => {
-  const expiryMinutes = parseInt(process.env.REGISTRATION_TOKEN_EXPIRY) || 60;
+const getMagicLinkExpiryDate = () => {
+  const expiryMinutes = parseInt(process.env.MAGIC_LINK_EXPIRY) || 15;
   return new Date(Date.now() + expiryMinutes * 60 * 1000);
 };
 
 /**
- * Generate temporary password reset token
+ * Generate short-lived MFA challenge token issued after a correct password
+ * @param {string} userId - User ID to include in token
+ * @returns {string} - JWT token
+ */
+const generateMfaToken = (userId) => {
+  return signToken(
+    { id: userId, purpose: 'mfa' },
+    { expiresIn: process.env.MFA_TOKEN_EXPIRY || '5m', audience: TOKEN_AUDIENCES.mfa }
+  );
+};
+
+/**
+ * Generate long-lived refresh token
  * @returns {string} - Random token
  */
-const generatePasswordResetToken = () => {
-  return crypto.randomBytes(32).toString('hex');
+const generateRefreshToken = () => {
+  return crypto.randomBytes(48).toString('hex');
+};
+
+/**
+ * Get refresh token expiration date
+ * @returns {Date} - Date when token expires
+ */
+const getRefreshTokenExpiryDate = () => {
+  const expiryDays = parseInt(process.env.REFRESH_TOKEN_EXPIRY_DAYS) || 7;
+  return new Date(Date.now() + expiryDays * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * Get login confirmation token expiration date (15 minutes)
+ * @returns {Date} - Date when token expires
+ */
+const getLoginConfirmationExpiryDate = () => {
+  return new Date(Date.now() + 15 * 60 * 1000); // 15 minutes
+};
+
+/**
+ * Hash a token for server-side storage
+ * @param {string} token - Raw token
+ * @returns {string} - SHA-256 hex digest
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Get token expiration date
+ * @returns {Date} - Date when token expires
+ */
+const getTokenExpiryDate = () => {
+  const expiryMinutes = parseInt(process.env.REGISTRATION_TOKEN_EXPIRY) || 60;
+  return new Date(Date.now() + expiryMinutes * 60 * 1000);
 };
 
 /**
@@ -47,10 +128,38 @@ const getPasswordResetExpiryDate = () => {
   return new Date(Date.now() + 15 * 60 * 1000); // 15 minutes
 };
 
+/**
+ * Get email change confirmation token expiration date
+ * @returns {Date} - Date when token expires
+ */
+const getEmailChangeExpiryDate = () => {
+  const expiryHours = parseInt(process.env.EMAIL_CHANGE_TOKEN_EXPIRY) || 24;
+  return new Date(Date.now() + expiryHours * 60 * 60 * 1000);
+};
+
+/**
+ * Get email change revert token expiration date
+ * @returns {Date} - Date when token expires
+ */
+const getEmailRevertExpiryDate = () => {
+  const expiryDays = parseInt(process.env.EMAIL_REVERT_EXPIRY_DAYS) || 7;
+  return new Date(Date.now() + expiryDays * 24 * 60 * 60 * 1000);
+};
+
 module.exports = {
+  TOKEN_AUDIENCES,
   generateAuthToken,
-  generateRegistrationToken,
-  generatePasswordResetToken,
+  generateMfaToken,
+  generateRefreshToken,
+  getRefreshTokenExpiryDate,
+  hashToken,
   getTokenExpiryDate,
-  getPasswordResetExpiryDate
+  getPasswordResetExpiryDate,
+  getLoginConfirmationExpiryDate,
+  getMagicLinkExpiryDate,
+  generateInvitationToken,
+  getInvitationExpiryDate,
+  getUnlockTokenExpiryDate,
+  getEmailChangeExpiryDate,
+  getEmailRevertExpiryDate
 };
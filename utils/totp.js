@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+
+/**
+ * RFC 6238 time-based one-time passwords (SHA-1, 6 digits, 30 second steps),
+ * compatible with Google Authenticator, Authy, 1Password and similar apps.
+ */
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DIGITS = 6;
+const PERIOD = 30;
+
+/**
+ * Encode bytes as unpadded RFC 4648 base32
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} - Base32 string
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  
+  return output;
+};
+
+/**
+ * Decode an RFC 4648 base32 string
+ * @param {string} input - Base32 string (case-insensitive, padding optional)
+ * @returns {Buffer} - Decoded bytes
+ */
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    
+    value = (value << 5) | index;
+    bits += 5;
+    
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new random TOTP secret
+ * @returns {string} - Base32 secret (160 bits)
+ */
+const generateTotpSecret = () => {
+  return base32Encode(crypto.randomBytes(20));
+};
+
+/**
+ * Compute the code for a given time step
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step counter
+ * @returns {string} - Zero-padded code
+ */
+const generateHotp = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  
+  return (binary % 10 ** DIGITS).toString().padStart(DIGITS, '0');
+};
+
+/**
+ * Get the current code for a secret
+ * @param {string} secret - Base32 secret
+ * @param {number} [time] - Unix time in milliseconds
+ * @returns {string} - Current code
+ */
+const generateTotp = (secret, time = Date.now()) => {
+  return generateHotp(secret, Math.floor(time / 1000 / PERIOD));
+};
+
+/**
+ * Verify a code, allowing for clock drift of one step either way
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {number} [window] - Steps of drift to allow
+ * @returns {number|null} - Matching time step, or null if the code is invalid
+ */
+const verifyTotp = (secret, code, window = 1) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+  
+  const currentStep = Math.floor(Date.now() / 1000 / PERIOD);
+  
+  for (let step = currentStep - window; step <= currentStep + window; step++) {
+    const expected = generateHotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  
+  return null;
+};
+
+/**
+ * Build the otpauth:// provisioning URI shown to the user as a QR code
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Usually the user's email
+ * @returns {string} - Key URI
+ */
+const buildOtpAuthUri = (secret, accountName) => {
+  const issuer = process.env.TOTP_ISSUER || 'Secure Backend';
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(PERIOD)
+  });
+  
+  // Authenticator apps expect %20 rather than + for spaces
+  return `otpauth://totp/${label}?${params.toString().replace(/\+/g, '%20')}`;
+};
+
+/**
+ * Generate one-time recovery codes
+ * @param {number} [count] - Number of codes
+ * @returns {string[]} - Codes formatted as xxxxx-xxxxx
+ */
+const generateRecoveryCodes = (count = 10) => {
+  return Array.from({ length: count }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+};
+
+/**
+ * Hash a recovery code for storage
+ * @param {string} code - Recovery code as entered
+ * @returns {string} - SHA-256 hex digest of the normalized code
+ */
+const hashRecoveryCode = (code) => {
+  const normalized = String(code).trim().toLowerCase();
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+};
+
+module.exports = {
+  generateTotpSecret,
+  generateTotp,
+  verifyTotp,
+  buildOtpAuthUri,
+  generateRecoveryCodes,
+  hashRecoveryCode
+};